@@ -0,0 +1,82 @@
+// Markdown parsing shared by the validator and the MIF projector.
+//
+// One CommonMark + GFM parse (micromark) into an mdast tree whose nodes carry
+// 1-based line/column positions. Headings are the document's top-level ones:
+// a `#` inside a fence, an HTML block, a list or a quote is not a section.
+
+import { fromMarkdown } from "mdast-util-from-markdown";
+import { gfmFromMarkdown } from "mdast-util-gfm";
+import { toString } from "mdast-util-to-string";
+import { gfm } from "micromark-extension-gfm";
+
+export function parseMarkdown(text) {
+  return fromMarkdown(String(text ?? ""), {
+    extensions: [gfm()],
+    mdastExtensions: [gfmFromMarkdown()],
+  });
+}
+
+// Plain text of a node (inline markup dropped), whitespace-trimmed.
+export function nodeText(node) {
+  return toString(node).trim();
+}
+
+// Depth-first walk; `fn` returning false skips the node's children.
+export function visit(node, fn) {
+  if (fn(node) === false) return;
+  for (const child of node.children ?? []) visit(child, fn);
+}
+
+// Top-level heading nodes, in document order.
+export function headingNodes(tree) {
+  return tree.children.filter((n) => n.type === "heading");
+}
+
+// Top-level nodes after `heading` up to the next heading of the same or a
+// higher level (or the end of the document).
+export function sectionChildren(tree, heading) {
+  const start = tree.children.indexOf(heading);
+  if (start === -1) return [];
+  const out = [];
+  for (const node of tree.children.slice(start + 1)) {
+    if (node.type === "heading" && node.depth <= heading.depth) break;
+    out.push(node);
+  }
+  return out;
+}
+
+// Bold labels ("**Status:** Pending", "**Advantages**:") anywhere in `nodes`, as
+// { label, value, node }: the label without its colon, and the rest of its
+// paragraph as plain text with whitespace collapsed.
+export function boldLabels(nodes) {
+  const labels = [];
+  for (const root of nodes) {
+    visit(root, (node) => {
+      if (!node.children) return;
+      node.children.forEach((child, i) => {
+        if (child.type !== "strong") return;
+        const text = nodeText(child);
+        const after = node.children.slice(i + 1).map((n) => toString(n)).join("");
+        if (!text.endsWith(":") && !after.startsWith(":")) return;
+        labels.push({
+          label: text.replace(/:$/, "").trim(),
+          value: after.replace(/^:/, "").replace(/\s+/g, " ").trim(),
+          node: child,
+        });
+      });
+    });
+  }
+  return labels;
+}
+
+// http(s) links ([label](url), autolinks and GFM bare URLs), first per URL.
+export function extractLinks(tree) {
+  const out = [];
+  const seen = new Set();
+  visit(tree, (node) => {
+    if (node.type !== "link" || !/^https?:\/\//.test(node.url) || seen.has(node.url)) return;
+    seen.add(node.url);
+    out.push({ text: nodeText(node), url: node.url, position: node.position });
+  });
+  return out;
+}
@@ -7,7 +7,12 @@
 // overrides honored when MIF-native keys are present. Output is validated by the
 // level profiles (see mif-validate.js); this module only assembles.
 
+import { parseMarkdown, extractLinks } from "./markdown.js";
+
 const MIF_CONTEXT = "https://mif-spec.dev/schema/context.jsonld";
+// Statuses that end a decision's validity unless the caller passes its own
+// (see src/statuses.js)
+const CLOSES_VALIDITY = ["deprecated", "superseded"];
 
 export function slugify(s) {
   return String(s || "")
@@ -29,36 +34,33 @@ function fileSlug(filename) {
   return slugify(String(filename || "").replace(/\.md$/i, "").replace(/^.*\//, ""));
 }
 
-// Extract [label](url) http(s) links from the body's reference-ish sections.
+// http(s) links in the body (outside code), parsed as CommonMark/GFM.
 function extractCitations(body) {
-  const out = [];
-  const seen = new Set();
-  const re = /\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g;
-  let m;
-  while ((m = re.exec(body)) !== null) {
-    const url = m[2];
-    if (seen.has(url)) continue;
-    seen.add(url);
-    out.push({
-      "@type": "Citation",
-      citationType: "documentation",
-      citationRole: "background",
-      title: m[1].trim(),
-      url,
-    });
-  }
-  return out;
+  return extractLinks(parseMarkdown(body)).map((link) => ({
+    "@type": "Citation",
+    citationType: "documentation",
+    citationRole: "background",
+    title: link.text || link.url,
+    url: link.url,
+  }));
 }
 
 /**
  * @param {object} fm   parsed frontmatter
  * @param {string} body markdown body
- * @param {object} opts { level=2, filename, ontologyEnabled=false }
+ * @param {object} opts { level=2, filename, ontologyEnabled=false, closesValidity, sources }
+ *                      closesValidity: statuses that end validity (temporal.validUntil)
+ *                      sources: object to fill with the provenance map, MIF field
+ *                      ("summary", "temporal/validFrom") -> the frontmatter keys it is
+ *                      derived from, in order of preference ("body": the markdown body)
  * @returns {object} MIF JSON-LD object
  */
 export function projectAdr(fm, body, opts = {}) {
   const level = Number(opts.level || 2);
   const f = fm || {};
+  const from = (field, ...keys) => {
+    if (opts.sources) opts.sources[field] = keys;
+  };
   const project = f.project || "smadr";
   const slug = fileSlug(opts.filename);
   // A full `urn:mif:` id is used verbatim; a bare UUID/slug `id` becomes the URN's
@@ -77,6 +79,11 @@ export function projectAdr(fm, body, opts = {}) {
     created: toDateTime(f.created),
   };
   if (f.title) obj.title = f.title;
+  from("@id", "id", "project");
+  from("conceptType", "conceptType");
+  from("content", "body");
+  from("created", "created");
+  from("title", "title");
   if (level === 1) return obj;
 
   // ---- Level 2 (standard) ----
@@ -86,6 +93,13 @@ export function projectAdr(fm, body, opts = {}) {
   obj.modified = toDateTime(f.updated || f.created);
   if (Array.isArray(f.tags) && f.tags.length) obj.tags = f.tags;
   obj.temporal = { recordedAt: toDateTime(f.created) };
+  from("namespace", "namespace", "category");
+  from("modified", "updated", "created");
+  from("tags", "tags");
+  from("temporal", "created");
+  from("temporal/recordedAt", "created");
+  from("relationships", "relationships", "x-superseded-by", "related");
+  from("entities", "entities", "technologies");
 
   // relationships: author-supplied win; else derive from related[] + x-superseded-by
   if (Array.isArray(f.relationships) && f.relationships.length) {
@@ -125,13 +139,18 @@ export function projectAdr(fm, body, opts = {}) {
   obj.summary = f.summary || f.description;
   obj.provenance = f.provenance || { sourceType: "user_explicit", trustLevel: "user_stated" };
   obj.temporal.validFrom = toDateTime(f.created);
-  if (f.status === "deprecated" || f.status === "superseded") {
+  if ((opts.closesValidity || CLOSES_VALIDITY).includes(f.status)) {
     obj.temporal.validUntil = toDateTime(f.updated || f.created);
   }
   const cites = Array.isArray(f.citations) && f.citations.length
     ? f.citations
     : extractCitations(body);
   if (cites.length) obj.citations = cites;
+  from("summary", "summary", "description");
+  from("provenance", "provenance");
+  from("temporal/validFrom", "created");
+  from("temporal/validUntil", "updated", "created");
+  from("citations", "citations", "body");
 
   // fold remaining x-* extension keys (except the superseded hint) into extensions
   const ext = {};
@@ -139,8 +158,26 @@ export function projectAdr(fm, body, opts = {}) {
     if (k.startsWith("x-") && k !== "x-superseded-by") ext[k] = v;
   }
   if (Object.keys(ext).length) obj.extensions = ext;
+  for (const k of Object.keys(ext)) from(`extensions/${k}`, k);
 
   return obj;
 }
 
+// Relationship targets mapped to @ids. `resolve(target)` returns the @id a target
+// names, or null when it names nothing known; those relationships are returned
+// unchanged in `dangling` so the caller can reject them (MIF mode is fail-closed).
+export function resolveRelationships(obj, resolve) {
+  if (!Array.isArray(obj.relationships)) return { object: obj, dangling: [] };
+  const dangling = [];
+  const relationships = obj.relationships.map((r) => {
+    const id = resolve(r?.target);
+    if (id == null) {
+      dangling.push(r);
+      return r;
+    }
+    return { ...r, target: id };
+  });
+  return { object: { ...obj, relationships }, dangling };
+}
+
 export default projectAdr;
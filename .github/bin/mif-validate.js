@@ -8,41 +8,50 @@
 //
 // Usage: node .github/bin/mif-validate.js [--level N] [--path DIR]
 //                                             [--pattern GLOB] [--config FILE]
+//        smadr mif [same options]            (runMifGate() is the shared entry)
 // MIF mode is error-only (fail-closed); there is no warning tier, so no --strict.
+// Exit codes: 0 conformant, 1 non-conformant, 2 configuration error.
 // Outputs (GITHUB_OUTPUT): mif-valid, mif-total, mif-passed, mif-failed.
 
-import { readFileSync, existsSync, appendFileSync } from "node:fs";
-import { fileURLToPath } from "node:url";
-import { dirname, join, relative } from "node:path";
+import { readFileSync, existsSync, appendFileSync, statSync } from "node:fs";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { dirname, join, relative, resolve, basename } from "node:path";
+import { parseArgs as parseNodeArgs } from "node:util";
 import { globSync } from "glob";
 import yaml from "yaml";
 import Ajv2020 from "ajv/dist/2020.js";
 import addFormats from "ajv-formats";
-import { projectAdr } from "./mif-project.js";
+import { projectAdr, resolveRelationships } from "./mif-project.js";
 
 const here = dirname(fileURLToPath(import.meta.url));
 
-function parseArgs(argv) {
-  const a = {};
-  for (let i = 0; i < argv.length; i++) {
-    const k = argv[i];
-    if (k === "--level") a.level = Number(argv[++i]);
-    else if (k === "--path") a.path = argv[++i];
-    else if (k === "--pattern") a.pattern = argv[++i];
-    else if (k === "--config") a.config = argv[++i];
-  }
+// Option spec shared with the `smadr mif` subcommand (src/cli.js).
+export const MIF_OPTIONS = {
+  level: { type: "string" },
+  path: { type: "string" },
+  pattern: { type: "string" },
+  config: { type: "string" },
+};
+
+// Unknown flags are ignored here (the script has always been lenient); the smadr
+// CLI parses the same spec strictly. --level stays a Number so NaN fails closed.
+export function parseArgs(argv, { strict = false } = {}) {
+  const { values } = parseNodeArgs({ args: argv, options: MIF_OPTIONS, strict, allowPositionals: !strict });
+  const a = { ...values };
+  // Lenient parsing yields `true` for a valueless --level; treat it as NaN.
+  if (a.level !== undefined) a.level = typeof a.level === "string" ? Number(a.level) : NaN;
   return a;
 }
 
 // Vendored schemas live with the action; ADRs + config live in the consumer cwd.
-function schemaDir() {
+export function schemaDir() {
   const ap = process.env.GITHUB_ACTION_PATH;
   if (ap && existsSync(join(ap, ".github/schema/mif.schema.json")))
     return join(ap, ".github/schema");
   return join(here, "..", "schema"); // .github/bin -> .github/schema
 }
 
-function buildValidators(S) {
+export function buildValidators(S) {
   const load = (p) => JSON.parse(readFileSync(join(S, p), "utf8"));
   const ajv = new Ajv2020({ strict: false, allErrors: true });
   addFormats(ajv);
@@ -52,7 +61,7 @@ function buildValidators(S) {
   return (n) => ajv.getSchema(`https://smadr.dev/schemas/mif-profile-level-${n}.schema.json`);
 }
 
-function loadConfig(file) {
+export function loadConfig(file) {
   if (!existsSync(file)) return {};
   return yaml.parse(readFileSync(file, "utf8")) || {};
 }
@@ -60,29 +69,79 @@ function loadConfig(file) {
 // Fail-closed on a malformed config: an invalid/typo'd config (e.g. a misspelled
 // mifConformanceLevel) must not silently fall back to the default level. Validate
 // the parsed config against the project-owned config.schema.json when present.
-function assertConfigValid(S, file, cfg) {
+// Returns false (after annotating through `say`) so callers can exit 2 without this
+// module exiting.
+function assertConfigValid(S, file, cfg, say) {
   const ajv = new Ajv2020({ strict: false, allErrors: true });
   addFormats(ajv);
   const schema = JSON.parse(readFileSync(join(S, "config.schema.json"), "utf8"));
   const validate = ajv.compile(schema);
   if (!validate(cfg)) {
     for (const err of (validate.errors || []).slice(0, 5))
-      console.log(`::error file=${file}::MIF config invalid: ${err.instancePath || "/"} ${err.message}`);
-    console.log(`::error::Refusing to run with an invalid ${file} (fail-closed). Validate it against .github/schema/config.schema.json.`);
-    process.exit(2);
+      say(`::error file=${file}::MIF config invalid: ${err.instancePath || "/"} ${err.message}`);
+    say(`::error::Refusing to run with an invalid ${file} (fail-closed). Validate it against .github/schema/config.schema.json.`);
+    return false;
   }
+  return true;
 }
 
-function splitFrontmatter(content) {
+// { fm, body, lines, end }: `lines` maps each top-level frontmatter key to its
+// 1-based file line and `end` is the line of the closing "---", so failures can
+// point at the key to edit.
+export function splitFrontmatter(content) {
   const lines = content.split("\n");
   if (lines[0] !== "---") return null;
   const end = lines.indexOf("---", 1);
   if (end === -1) return null;
-  return { fm: yaml.parse(lines.slice(1, end).join("\n")) || {}, body: lines.slice(end + 1).join("\n") };
+  const keyLines = {};
+  for (let i = 1; i < end; i++) {
+    const key = /^(?!- )([^\s#][^:]*):(?:\s|$)/.exec(lines[i])?.[1].replace(/^(["'])(.*)\1$/, "$2");
+    if (key && !(key in keyLines)) keyLines[key] = i + 1;
+  }
+  return {
+    fm: yaml.parse(lines.slice(1, end).join("\n")) || {},
+    body: lines.slice(end + 1).join("\n"),
+    lines: keyLines,
+    end: end + 1,
+  };
+}
+
+// "frontmatter `a` or `b`", "the body", ...
+function sourceNames(keys) {
+  const names = keys.filter((k) => k !== "body").map((k) => `\`${k}\``);
+  const parts = names.length ? [`frontmatter ${names.join(" or ")}`] : [];
+  if (keys.includes("body")) parts.push("the body");
+  return parts.join(" or ");
 }
 
-function annotate(kind, file, msg) {
-  console.log(`::${kind} file=${file}::${msg}`);
+// Where a projected field comes from: the first of `keys` (from the provenance
+// map) the ADR sets, with its line, or { key: null } when it sets none.
+function sourceOf(keys, parsed) {
+  const key = keys.find((k) => (k === "body" ? parsed.body.trim() !== "" : parsed.fm[k] != null));
+  if (key === undefined) return { key: null, line: keys.every((k) => k === "body") ? parsed.end + 1 : parsed.end };
+  return { key, line: key === "body" ? parsed.end + 1 : (parsed.lines[key] ?? null) };
+}
+
+// An Ajv profile error traced back to the ADR: { message, line }. The failing MIF
+// field is looked up in the provenance map projectAdr() recorded (`sources`), so
+// the message names the frontmatter key that feeds it and `line` is that key's
+// line (the closing "---" when none is set, to add one). Fields the map does not
+// cover keep Ajv's wording.
+export function explainError(err, parsed, sources) {
+  const path = err.keyword === "required" ? `${err.instancePath}/${err.params.missingProperty}` : err.instancePath;
+  const segments = path.split("/").slice(1);
+  const field = [segments.slice(0, 2).join("/"), segments[0]].find((f) => f && sources[f]);
+  if (!field) return { message: `${err.instancePath || "/"} ${err.message}`, line: null };
+
+  const keys = sources[field];
+  const { key, line } = sourceOf(keys, parsed);
+  if (key === null) {
+    const none =
+      keys.length === 1 ? (keys[0] === "body" ? "it is empty" : "it is not set") : keys.length === 2 ? "neither is set" : "none is set";
+    return { message: `\`${field.replace("/", ".")}\` is derived from ${sourceNames(keys)}; ${none}`, line };
+  }
+  const name = err.instancePath ? err.instancePath.slice(1).replaceAll("/", ".") : field.replace("/", ".");
+  return { message: `\`${name}\` ${err.message}; it is derived from ${sourceNames([key])}`, line };
 }
 
 function setOutputs(o) {
@@ -91,72 +150,188 @@ function setOutputs(o) {
   if (f) appendFileSync(f, lines + "\n");
 }
 
-function main() {
-  const args = parseArgs(process.argv.slice(2));
-  // Resolve the config path. The plugin now homes config at .github/config.yml, but a
-  // consumer set up against the published action may still have the legacy
-  // .github/mif/config.yml. If the resolved path is absent and the legacy one exists,
-  // use the legacy file so the consumer's level/adrPath are honored, not silently dropped.
-  let configFile = args.config || ".github/config.yml";
+// { filePath, id } of every ADR file with frontmatter. The @id does not depend on
+// the level, so a level-1 projection is enough; unparseable files are skipped
+// (the gate reports them itself).
+export function adrIds(files) {
+  const out = [];
+  for (const filePath of files) {
+    try {
+      const parsed = splitFrontmatter(readFileSync(filePath, "utf8"));
+      if (parsed) out.push({ filePath, id: projectAdr(parsed.fm, parsed.body, { level: 1, filename: filePath })["@id"] });
+    } catch {
+      // not an ADR we can read; nothing to link to
+    }
+  }
+  return out;
+}
+
+// @ids of other projects' ADRs, for cross-project relationships. The project map
+// sends each project to its ADR directory or to a JSON-LD file `smadr mif export`
+// wrote (one object or an @graph document). Throws on a missing or unreadable entry.
+export function projectIds(projects = {}) {
+  const ids = new Set();
+  for (const [name, location] of Object.entries(projects)) {
+    if (!existsSync(location)) throw new Error(`projects.${name}: ${location} does not exist`);
+    if (statSync(location).isDirectory()) {
+      for (const { id } of adrIds(globSync(join(location, "**/*.md"), { nodir: true }))) ids.add(id);
+      continue;
+    }
+    let doc;
+    try {
+      doc = JSON.parse(readFileSync(location, "utf8"));
+    } catch (e) {
+      throw new Error(`projects.${name}: cannot read ${location}: ${e.message}`);
+    }
+    for (const obj of doc["@graph"] ?? [doc]) if (typeof obj?.["@id"] === "string") ids.add(obj["@id"]);
+  }
+  return ids;
+}
+
+// Relationship target -> @id for a set of ADRs ({ filePath, id }): "/decisions/<file>"
+// names the ADR in <file>; an @id must belong to the set or to `known` (projectIds()).
+// Anything else is dangling (null).
+export function targetResolver(set, known = new Set()) {
+  const paths = new Map(set.map(({ filePath, id }) => [`/decisions/${basename(filePath)}`, id]));
+  const ids = new Set([...known, ...paths.values()]);
+  return (target) => paths.get(target) ?? (ids.has(target) ? target : null);
+}
+
+// The project map: the MIF config's `projects` (relative to the working directory,
+// like adrPath) with `overrides` (already absolute, from .smadrrc) on top.
+export function projectMap(cfg, overrides = {}) {
+  const map = Object.fromEntries(Object.entries(cfg.projects || {}).map(([k, v]) => [k, resolve(v)]));
+  return { ...map, ...overrides };
+}
+
+// Resolve the config path. The plugin now homes config at .github/config.yml, but a
+// consumer set up against the published action may still have the legacy
+// .github/mif/config.yml. If the resolved path is absent and the legacy one exists,
+// use the legacy file so the consumer's level/adrPath are honored, not silently dropped.
+export function resolveConfigFile(configArg) {
+  let configFile = configArg || ".github/config.yml";
   if (!existsSync(configFile) && existsSync(".github/mif/config.yml")) {
     configFile = ".github/mif/config.yml";
   }
+  return configFile;
+}
+
+// Run the gate; returns the process exit code instead of exiting.
+// `report(summary)` (optional) receives the per-file results in the validator's
+// summary shape so src/reporters.js can render them. `log` carries the gate's own
+// progress and annotations; callers whose report owns stdout pass console.error.
+// `objects(projected, { level, adrPath })` (optional) receives [{ filePath, object }]
+// for every ADR, only when the whole set passes (`smadr mif export` writes them).
+// Relationship targets are resolved to @ids (see targetResolver()); a dangling one
+// fails its ADR. `args.projects` adds to the MIF config's project map.
+export function runMifGate(args = {}, { report, log = console.log, objects } = {}) {
+  const say = (m) => log(m);
+  const configFile = resolveConfigFile(args.config);
   const cfg = loadConfig(configFile);
   const S = schemaDir();
-  if (existsSync(configFile)) assertConfigValid(S, configFile, cfg);
+  if (existsSync(configFile) && !assertConfigValid(S, configFile, cfg, say)) return 2;
   // Fail-closed: an explicit --level that isn't 1|2|3 (typo, empty, NaN) must error,
   // not silently fall back to the default level and gate at the wrong strictness.
   if (args.level !== undefined && ![1, 2, 3].includes(args.level)) {
-    console.log(`::error::Invalid --level (expected 1|2|3)`);
-    process.exit(2);
+    say(`::error::Invalid --level (expected 1|2|3)`);
+    return 2;
   }
   const level = args.level || cfg.mifConformanceLevel || 2;
   const adrPath = args.path || cfg.adrPath || "docs/decisions";
   const pattern = args.pattern || "**/*.md";
   const ontologyEnabled = (cfg.ontologies || []).some((o) => o.id === "structured-madr" && o.enabled);
+  // Statuses that end validity, from the validator's status vocabulary (default in mif-project.js)
+  const closesValidity = args.closesValidity;
+
+  let known;
+  try {
+    known = projectIds(projectMap(cfg, args.projects));
+  } catch (e) {
+    say(`::error file=${configFile}::${e.message}`);
+    return 2;
+  }
 
   const profileFor = buildValidators(S);
   const validate = profileFor(level);
   if (!validate) {
-    console.log(`::error::Unknown MIF level ${level} (expected 1|2|3)`);
-    process.exit(2);
+    say(`::error::Unknown MIF level ${level} (expected 1|2|3)`);
+    return 2;
   }
 
   const files = globSync(join(adrPath, pattern), { nodir: true });
-  console.log(`MIF conformance gate: level ${level}, ${files.length} ADR(s) under ${adrPath}`);
+  say(`MIF conformance gate: level ${level}, ${files.length} ADR(s) under ${adrPath}`);
 
   // Fail-closed: a gate that matches no ADRs must not report success. An empty
   // glob is a misconfiguration (wrong path/pattern), not a clean pass.
   if (files.length === 0) {
-    console.log(`::error::MIF conformance gate matched no ADRs at ${join(adrPath, pattern)} — refusing to pass (fail-closed). Check path/pattern/adrPath.`);
+    say(`::error::MIF conformance gate matched no ADRs at ${join(adrPath, pattern)} — refusing to pass (fail-closed). Check path/pattern/adrPath.`);
     setOutputs({ "mif-valid": false, "mif-total": 0, "mif-passed": 0, "mif-failed": 0 });
-    process.exit(1);
+    if (report) report({ results: [], total: 0, passed: 0, failed: 0, errors: 0, warnings: 0, valid: false });
+    return 1;
   }
 
-  let passed = 0, failed = 0;
+  // Project the whole set first: relationships resolve against every ADR's @id.
+  const results = [];
+  const projected = [];
   for (const file of files) {
     const rel = relative(process.cwd(), file);
-    let obj;
+    const result = { filePath: file, errors: [], warnings: [], valid: true };
+    result.fail = (ruleId, message, line = null) => {
+      result.valid = false;
+      result.errors.push({ message, line, ruleId });
+      say(`::error file=${rel}${line ? `,line=${line}` : ""}::${message}`);
+    };
+    results.push(result);
     try {
       const parsed = splitFrontmatter(readFileSync(file, "utf8"));
-      if (!parsed) { failed++; annotate("error", rel, "no YAML frontmatter"); continue; }
-      obj = projectAdr(parsed.fm, parsed.body, { level, filename: file, ontologyEnabled });
+      if (!parsed) { result.fail("mif/frontmatter", "no YAML frontmatter", 1); continue; }
+      const sources = {};
+      const object = projectAdr(parsed.fm, parsed.body, { level, filename: file, ontologyEnabled, closesValidity, sources });
+      projected.push({ filePath: file, object, result, parsed, sources });
     } catch (e) {
-      failed++; annotate("error", rel, `parse/projection failed: ${e.message}`); continue;
+      result.fail("mif/projection", `parse/projection failed: ${e.message}`);
+    }
+  }
+
+  const resolveTarget = targetResolver(projected.map((p) => ({ filePath: p.filePath, id: p.object["@id"] })), known);
+  for (const entry of projected) {
+    const { object, dangling } = resolveRelationships(entry.object, resolveTarget);
+    entry.object = object;
+    for (const r of dangling) {
+      const { key, line } = sourceOf(entry.sources.relationships, entry.parsed);
+      entry.result.fail(
+        "mif/dangling-relationship",
+        `relationship ${r.type} -> ${r.target} (from frontmatter \`${key}\`) matches no ADR in this set or the project map`,
+        line
+      );
     }
-    if (validate(obj)) {
-      passed++;
-    } else {
-      failed++;
-      for (const err of (validate.errors || []).slice(0, 5))
-        annotate("error", rel, `MIF L${level}: ${err.instancePath || "/"} ${err.message}`);
+    if (!validate(object)) {
+      // Several profile branches can report the same problem; explain each once
+      const explained = new Map();
+      for (const err of validate.errors || []) {
+        const { message, line } = explainError(err, entry.parsed, entry.sources);
+        if (!explained.has(message)) explained.set(message, line);
+      }
+      for (const [message, line] of [...explained].slice(0, 5))
+        entry.result.fail(`mif/level-${level}`, `MIF L${level}: ${message}`, line);
     }
   }
+  for (const result of results) delete result.fail;
 
+  const failed = results.filter((r) => !r.valid).length;
+  const passed = results.length - failed;
   const valid = failed === 0;
-  console.log(`MIF: ${passed} passed, ${failed} failed (level ${level})`);
+  say(`MIF: ${passed} passed, ${failed} failed (level ${level})`);
   setOutputs({ "mif-valid": valid, "mif-total": files.length, "mif-passed": passed, "mif-failed": failed });
-  process.exit(valid ? 0 : 1);
+  if (report) {
+    const errors = results.reduce((n, r) => n + r.errors.length, 0);
+    report({ results, total: results.length, passed, failed, errors, warnings: 0, valid });
+  }
+  if (valid && objects) objects(projected.map(({ filePath, object }) => ({ filePath, object })), { level, adrPath });
+  return valid ? 0 : 1;
 }
 
-main();
+// Run only when executed directly, so the CLI can import runMifGate().
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  process.exit(runMifGate(parseArgs(process.argv.slice(2))));
+}
@@ -37,6 +37,7 @@ export default defineConfig({
           items: [
             { label: "Set Up CI Validation", slug: "guides/ci-validation" },
             { label: "Validate Locally", slug: "guides/local-validation" },
+            { label: "Add House Rules with Plugins", slug: "guides/plugins" },
             {
               label: "Integrate with AI Tools",
               slug: "guides/ai-integration",
@@ -73,6 +74,9 @@ export default defineConfig({
             },
             { label: "Schema", slug: "reference/schema" },
             { label: "GitHub Action", slug: "reference/github-action" },
+            { label: "Command Line", slug: "reference/cli" },
+            { label: "Configuration", slug: "reference/configuration" },
+            { label: "Validation Rules", slug: "reference/rules" },
             { label: "MIF Compliance", slug: "reference/mif-compliance" },
             { label: "Templates", slug: "reference/templates" },
             { label: "Changelog", slug: "reference/changelog" },
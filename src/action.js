@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+
+/**
+ * GitHub Action entrypoint for the Structured MADR validator.
+ *
+ * Reads the action inputs from INPUT_* environment variables, validates every
+ * matching ADR through the library API in validate.js, and reports results as
+ * workflow annotations and step outputs.
+ */
+
+import { existsSync, appendFileSync, writeFileSync } from 'node:fs';
+import { join, resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { glob } from 'glob';
+import { validateFiles, loadSchema } from './validate.js';
+import { reporters, reportFileName } from './reporters.js';
+import { findConfigFile, loadConfigFile, configResolver, validationConfigFor, isIgnored } from './config.js';
+import { loadPlugins, ruleRegistry } from './plugins.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Append step outputs for GitHub Actions.
+ */
+function setOutputs(outputs) {
+  if (process.env.GITHUB_OUTPUT) {
+    appendFileSync(process.env.GITHUB_OUTPUT, outputs.join('\n') + '\n');
+  }
+}
+
+/**
+ * Load a JSON Schema, or null (with a warning) when it is missing or broken.
+ */
+function readSchema(schemaPath) {
+  if (!existsSync(schemaPath)) return null;
+  try {
+    return loadSchema(schemaPath);
+  } catch (error) {
+    console.log(`::warning::Failed to load schema: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Main entry point.
+ */
+async function main() {
+  // Get configuration from environment (GitHub Actions inputs)
+  const inputPath = process.env.INPUT_PATH || '';
+  const inputPattern = process.env.INPUT_PATTERN || '';
+  const inputSchema = process.env.INPUT_SCHEMA || '';
+  const inputConfig = process.env.INPUT_CONFIG || '';
+  const strict = process.env.INPUT_STRICT === 'true';
+  const inputHistory = process.env.INPUT_HISTORY || '';
+  const failOnError = process.env.INPUT_FAIL_ON_ERROR !== 'false';
+  const format = process.env.INPUT_FORMAT || '';
+  const outputFile = process.env.INPUT_OUTPUT_FILE || '';
+  const actionPath = process.env.ACTION_PATH || dirname(__dirname);
+
+  if (format && !reporters[format]) {
+    throw new Error(`Unknown format '${format}'. Expected one of: ${Object.keys(reporters).join(', ')}`);
+  }
+
+  // Load the validator config; a broken config fails the step rather than being ignored
+  const configPath = inputConfig ? resolve(process.cwd(), inputConfig) : findConfigFile();
+  const config = configPath ? loadConfigFile(configPath) : {};
+  const plugins = await loadPlugins(config.plugins);
+  const resolveFor = configResolver(config);
+
+  // Resolve paths: inputs first, then the config
+  const searchPath = resolve(process.cwd(), inputPath || config.path || 'docs/decisions');
+  const fullPattern = join(searchPath, inputPattern || config.pattern || '**/*.md');
+
+  // Load schemas: the schema input, else the config's (per directory), else the built-in one
+  const schemas = new Map();
+  const schemaFor = (own) => {
+    const schemaPath = inputSchema
+      ? resolve(process.cwd(), inputSchema)
+      : (own.schema ?? join(actionPath, 'schemas', 'structured-madr.schema.json'));
+    if (!schemas.has(schemaPath)) schemas.set(schemaPath, readSchema(schemaPath));
+    return schemas.get(schemaPath);
+  };
+
+  // Find ADR files
+  const files = (await glob(fullPattern, { nodir: true })).filter((f) => !isIgnored(f, resolveFor(f)));
+
+  if (files.length === 0) {
+    console.log(`::warning::No ADR files found matching pattern: ${fullPattern}`);
+    console.log('valid=true');
+    console.log('total=0');
+    console.log('passed=0');
+    console.log('failed=0');
+    console.log('warnings=0');
+
+    setOutputs(['valid=true', 'total=0', 'passed=0', 'failed=0', 'warnings=0']);
+    return;
+  }
+
+  console.log(`\nValidating ${files.length} ADR file(s)...\n`);
+
+  const summary = validateFiles(files, {
+    schema: schemaFor(config),
+    body: config.body,
+    rules: config.rules,
+    statuses: config.statuses,
+    auditStatuses: config.auditStatuses,
+    transitions: config.transitions,
+    plugins,
+    configFor: validationConfigFor(config, ruleRegistry(plugins), schemaFor),
+    // The history input, else `history` from the config; on by default
+    history: inputHistory ? inputHistory === 'true' : config.history !== false,
+    strict,
+  });
+  console.log(reporters.github(summary));
+
+  // Write the machine-readable report alongside the annotations
+  if (format) {
+    const reportFile = outputFile || reportFileName(format);
+    writeFileSync(reportFile, reporters[format](summary) + '\n');
+    setOutputs([`report-file=${reportFile}`]);
+  }
+
+  // Set outputs for GitHub Actions
+  setOutputs([
+    `valid=${summary.valid}`,
+    `total=${summary.total}`,
+    `passed=${summary.passed}`,
+    `failed=${summary.failed}`,
+    `warnings=${summary.warnings}`,
+  ]);
+
+  // Exit with appropriate code
+  if (!summary.valid && failOnError) {
+    process.exit(1);
+  }
+}
+
+main().catch((error) => {
+  console.error(`::error::${error.message}`);
+  process.exit(1);
+});
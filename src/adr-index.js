@@ -0,0 +1,164 @@
+/**
+ * ADR index (decision log) generated from frontmatter.
+ *
+ * Markdown output is a table that lives between marker comments in an existing
+ * file, so the hand-written text around it survives regeneration:
+ *
+ *   <!-- smadr-index:start -->
+ *   | ADR | Title | Status | ... |
+ *   <!-- smadr-index:end -->
+ *
+ * JSON and CSV output replace the whole file.
+ */
+
+import { readFileSync } from 'node:fs';
+import { basename, relative, sep } from 'node:path';
+import { fileNumber } from './corpus.js';
+import { parseFrontmatter } from './validate.js';
+
+export const INDEX_START = '<!-- smadr-index:start -->';
+export const INDEX_END = '<!-- smadr-index:end -->';
+export const INDEX_FORMATS = Object.freeze(['markdown', 'json', 'csv']);
+export const GROUP_BY = Object.freeze(['status', 'category', 'tag']);
+
+const COLUMNS = ['number', 'title', 'status', 'category', 'tags', 'created', 'updated', 'author', 'file'];
+
+function dateText(value) {
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  return value == null ? '' : String(value);
+}
+
+/**
+ * One index entry per ADR; files without frontmatter (such as the index
+ * itself) are skipped.
+ *
+ * @param {string[]} files
+ * @param {string} base  directory that entry `file` paths are relative to
+ */
+export function collectEntries(files, base = process.cwd()) {
+  const entries = [];
+  for (const filePath of files) {
+    const parsed = parseFrontmatter(readFileSync(filePath, 'utf-8'));
+    if (!parsed?.frontmatter || typeof parsed.frontmatter !== 'object') continue;
+    const fm = parsed.frontmatter;
+    const number = fileNumber(basename(filePath));
+    entries.push({
+      number: number === null ? '' : String(number).padStart(4, '0'),
+      title: fm.title ?? '',
+      status: fm.status ?? '',
+      category: fm.category ?? '',
+      tags: Array.isArray(fm.tags) ? fm.tags.filter((t) => typeof t === 'string') : [],
+      created: dateText(fm.created),
+      updated: dateText(fm.updated),
+      author: fm.author ?? '',
+      file: relative(base, filePath).split(sep).join('/'),
+    });
+  }
+  return entries.sort((a, b) => a.number.localeCompare(b.number) || a.file.localeCompare(b.file));
+}
+
+/**
+ * Keep entries matching every given filter ({ status, category, tag }).
+ */
+export function filterEntries(entries, { status, category, tag } = {}) {
+  return entries.filter(
+    (e) =>
+      (!status || e.status === status) &&
+      (!category || e.category === category) &&
+      (!tag || e.tags.includes(tag))
+  );
+}
+
+/**
+ * Group entries by status, category or tag. An ADR with several tags appears
+ * under each; groups are sorted by name, with ungrouped entries last.
+ */
+export function groupEntries(entries, groupBy) {
+  const groups = new Map();
+  for (const entry of entries) {
+    const keys = groupBy === 'tag' ? entry.tags : [entry[groupBy]];
+    for (const key of keys.length ? keys : ['']) {
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(entry);
+    }
+  }
+  return new Map(
+    [...groups].sort(([a], [b]) => (a === '') - (b === '') || a.localeCompare(b))
+  );
+}
+
+function cell(value) {
+  return String(value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+function table(entries) {
+  const rows = entries.map((e) => {
+    const adr = e.number ? `[${e.number}](${e.file})` : `[${basename(e.file)}](${e.file})`;
+    return `| ${[adr, e.title, e.status, e.category, e.tags.join(', '), e.created, e.updated, e.author].map(cell).join(' | ')} |`;
+  });
+  return [
+    '| ADR | Title | Status | Category | Tags | Created | Updated | Author |',
+    '|-----|-------|--------|----------|------|---------|---------|--------|',
+    ...rows,
+  ].join('\n');
+}
+
+function csvField(value) {
+  const text = Array.isArray(value) ? value.join(';') : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render entries as markdown (the table only), json or csv.
+ */
+export function renderIndex(entries, { format = 'markdown', groupBy } = {}) {
+  const groups = groupBy ? groupEntries(entries, groupBy) : null;
+  const label = (key) => key || `No ${groupBy}`;
+
+  if (format === 'json') {
+    const data = groups
+      ? Object.fromEntries([...groups].map(([key, list]) => [label(key), list]))
+      : entries;
+    return JSON.stringify(data, null, 2);
+  }
+
+  if (format === 'csv') {
+    const columns = groups ? [groupBy, ...COLUMNS] : COLUMNS;
+    const rows = groups
+      ? [...groups].flatMap(([key, list]) => list.map((e) => ({ ...e, [groupBy]: key })))
+      : entries;
+    return [columns.join(','), ...rows.map((e) => columns.map((c) => csvField(e[c])).join(','))].join('\n');
+  }
+
+  if (!groups) return table(entries);
+  return [...groups]
+    .map(([key, list]) => `### ${label(key)}\n\n${table(list)}`)
+    .join('\n\n');
+}
+
+/**
+ * Replace the text between the index markers. Throws when they are missing.
+ *
+ * @param {object} markers  { start, end, name } to fill another pair of
+ *                          markers (see graph.js)
+ */
+export function replaceIndex(content, rendered, { start = INDEX_START, end = INDEX_END, name = 'index' } = {}) {
+  const from = content.indexOf(start);
+  const to = content.indexOf(end, from);
+  if (from === -1 || to === -1) {
+    throw new Error(`Missing ${name} markers: add ${start} and ${end} where the ${name} belongs`);
+  }
+  return `${content.slice(0, from + start.length)}\n${rendered}\n${content.slice(to)}`;
+}
+
+/**
+ * Full new content of an index file in the given format.
+ *
+ * @param {string|null} current  existing file content (required for markdown)
+ */
+export function buildIndexFile(current, entries, options = {}) {
+  const rendered = renderIndex(entries, options);
+  if ((options.format ?? 'markdown') === 'markdown') return replaceIndex(current ?? '', rendered);
+  return `${rendered}\n`;
+}
+
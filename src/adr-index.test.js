@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync } from 'node:fs';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import {
+  INDEX_START,
+  INDEX_END,
+  collectEntries,
+  filterEntries,
+  groupEntries,
+  renderIndex,
+  replaceIndex,
+} from './adr-index.js';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+const decisions = join(root, 'docs', 'decisions');
+const files = readdirSync(decisions).map((name) => join(decisions, name));
+
+test('collectEntries reads frontmatter into sorted entries', () => {
+  const entries = collectEntries([...files].reverse(), decisions);
+  assert.deepEqual(entries.map((e) => e.number), ['0001', '0002', '0003']);
+  assert.deepEqual(entries[1], {
+    number: '0002',
+    title: 'Shareable GitHub Action for Structured MADR Validation',
+    status: 'accepted',
+    category: 'tooling',
+    tags: ['github-actions', 'validation', 'ci-cd', 'reusable-action', 'automation'],
+    created: '2026-01-15',
+    updated: '2026-01-15',
+    author: 'Project Maintainers',
+    file: '0002-github-action-validator.md',
+  });
+});
+
+test('entries filter and group by status, category or tag', () => {
+  const entries = collectEntries(files, decisions);
+  assert.deepEqual(filterEntries(entries, { tag: 'validation' }).map((e) => e.number), ['0002', '0003']);
+  assert.deepEqual(filterEntries(entries, { status: 'accepted', category: 'tooling' }).map((e) => e.number), ['0002']);
+  assert.deepEqual(filterEntries(entries, { status: 'proposed' }), []);
+
+  const byTag = groupEntries(entries, 'tag');
+  assert.deepEqual(byTag.get('validation').map((e) => e.number), ['0002', '0003']);
+  assert.deepEqual([...groupEntries(entries, 'category').keys()], ['architecture', 'documentation', 'tooling']);
+});
+
+test('renderIndex writes markdown, json and csv', () => {
+  const entries = [
+    { number: '0001', title: 'Pipes | and, "quotes"', status: 'accepted', category: '', tags: ['a', 'b'], created: '2026-01-01', updated: '2026-01-02', author: 'Ann', file: '0001-x.md' },
+  ];
+
+  const markdown = renderIndex(entries, { groupBy: 'category' });
+  assert.match(markdown, /^### No category\n\n\| ADR \| Title/);
+  assert.match(markdown, /^\| \[0001\]\(0001-x\.md\) \| Pipes \\\| and, "quotes" \| accepted \|  \| a, b \|/m);
+
+  assert.deepEqual(JSON.parse(renderIndex(entries, { format: 'json', groupBy: 'status' })), { accepted: entries });
+
+  const csv = renderIndex(entries, { format: 'csv' }).split('\n');
+  assert.equal(csv[0], 'number,title,status,category,tags,created,updated,author,file');
+  assert.equal(csv[1], '0001,"Pipes | and, ""quotes""",accepted,,a;b,2026-01-01,2026-01-02,Ann,0001-x.md');
+});
+
+test('replaceIndex keeps the text around the markers', () => {
+  const readme = `# Decisions\n\nIntro.\n\n${INDEX_START}\nold table\n${INDEX_END}\n\nFooter.\n`;
+  const updated = replaceIndex(readme, '| new |');
+  assert.equal(updated, `# Decisions\n\nIntro.\n\n${INDEX_START}\n| new |\n${INDEX_END}\n\nFooter.\n`);
+  assert.equal(replaceIndex(updated, '| new |'), updated);
+  assert.throws(() => replaceIndex('# No markers\n', '| new |'), /Missing index markers/);
+});
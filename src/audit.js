@@ -0,0 +1,306 @@
+/**
+ * Audit lifecycle report across a set of ADRs.
+ *
+ * Reads each ADR's `## Audit` entries through the document model and lists
+ * what an architecture review needs to look at:
+ *
+ *   overdue          the latest audit is older than `maxAge` (or there is none)
+ *   pending          the latest audit's status is still Pending
+ *   actionRequired   the latest audit is Non-Compliant with an open Action Required
+ *   dates            entries out of chronological order or dated in the future
+ *
+ * ADRs whose status is not `active` (by default deprecated and superseded; see
+ * statuses.js) are no longer in force, so only their dates are checked.
+ *
+ * addAuditEntry() appends the next entry to an ADR, the write side of the same
+ * lifecycle.
+ */
+
+import { readFileSync } from 'node:fs';
+import {
+  parseAdr,
+  parseFrontmatter,
+  extractHeadings,
+  matchSection,
+  validateContent,
+  summarize,
+} from './validate.js';
+import { setField } from './frontmatter.js';
+import { auditEntry } from './fix.js';
+import { resolveStatuses } from './statuses.js';
+
+export const AUDIT_FORMATS = Object.freeze(['pretty', 'markdown', 'json']);
+
+// Latest audit older than this is overdue; see parsePeriod()
+export const DEFAULT_MAX_AGE = '1y';
+
+const DAY = 24 * 60 * 60 * 1000;
+const UNITS = { d: 1, w: 7, m: 30, y: 365 };
+// Action Required values that mean nothing is open
+const NO_ACTION = /^(none|n\/a|-)?\.?$/i;
+
+/**
+ * Days in a period: a number of days, or `<n>d`, `<n>w`, `<n>m` (30 days) or
+ * `<n>y` (365 days). Throws on anything else.
+ */
+export function parsePeriod(period) {
+  const match = String(period).trim().match(/^(\d+)\s*([dwmy]?)$/i);
+  if (!match || Number(match[1]) === 0) {
+    throw new Error(`Invalid period "${period}": expected days or <n>d, <n>w, <n>m or <n>y`);
+  }
+  return Number(match[1]) * UNITS[(match[2] || 'd').toLowerCase()];
+}
+
+/**
+ * UTC midnight of a YYYY-MM-DD date, or null when it is not a real date.
+ */
+function dateValue(text) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text)) return null;
+  const value = Date.parse(`${text}T00:00:00Z`);
+  return Number.isNaN(value) || new Date(value).toISOString().slice(0, 10) !== text ? null : value;
+}
+
+/**
+ * Audit one parsed ADR (see parseAdr()).
+ *
+ * @param {object} doc      document model
+ * @param {object} options  { today: 'YYYY-MM-DD', maxAge: days, statuses }
+ *                          (statuses: the status vocabulary, as in .smadrrc)
+ * @returns {object} { overdue, pending, actionRequired, dates } with an item
+ *          or null for the first three and a list for dates
+ */
+export function auditDocument(doc, { today, maxAge, statuses }) {
+  const now = dateValue(today);
+  const base = {
+    file: doc.file,
+    number: doc.number,
+    title: doc.title ?? doc.frontmatter.title ?? null,
+  };
+
+  const dates = [];
+  const dated = doc.audit.filter((entry) => dateValue(entry.date) !== null);
+  dated.forEach((entry, i) => {
+    const previous = dated[i - 1];
+    if (previous && dateValue(entry.date) < dateValue(previous.date)) {
+      dates.push({
+        ...base,
+        date: entry.date,
+        line: entry.line,
+        message: `Audit entry ${entry.date} is listed after the later entry ${previous.date}; keep entries in chronological order`,
+      });
+    }
+    if (dateValue(entry.date) > now) {
+      dates.push({ ...base, date: entry.date, line: entry.line, message: `Audit entry ${entry.date} is in the future` });
+    }
+  });
+
+  const result = { overdue: null, pending: null, actionRequired: null, dates };
+  const { names, active } = resolveStatuses(statuses);
+  const status = doc.frontmatter.status;
+  if (names.includes(status) && !active.includes(status)) return result;
+
+  const latest = dated.reduce((a, b) => (dateValue(b.date) >= dateValue(a.date) ? b : a), dated[0]);
+  if (!latest) {
+    result.overdue = { ...base, date: null, line: null, age: null };
+    return result;
+  }
+
+  const at = { ...base, date: latest.date, line: latest.line, status: latest.status };
+  const age = Math.floor((now - dateValue(latest.date)) / DAY);
+  if (age > maxAge) result.overdue = { ...at, age };
+  if (/^pending\b/i.test(latest.status ?? '')) result.pending = at;
+  if (/^non-compliant\b/i.test(latest.status ?? '') && !NO_ACTION.test(latest.actionRequired ?? '')) {
+    result.actionRequired = { ...at, actionRequired: latest.actionRequired };
+  }
+  return result;
+}
+
+/**
+ * Audit every file and collect the findings by kind, sorted by file.
+ *
+ * @param {string[]} files
+ * @param {object} options  { today, maxAge (days), statuses, titlePattern, schema }
+ */
+export function auditFiles(files, options) {
+  const report = { today: options.today, maxAge: options.maxAge, total: 0, overdue: [], pending: [], actionRequired: [], dates: [] };
+  for (const filePath of [...files].sort()) {
+    const doc = parseAdr(readFileSync(filePath, 'utf-8'), { ...options, filePath });
+    if (!doc) continue;
+    report.total++;
+    const result = auditDocument(doc, options);
+    for (const kind of ['overdue', 'pending', 'actionRequired']) {
+      if (result[kind]) report[kind].push(result[kind]);
+    }
+    report.dates.push(...result.dates);
+  }
+  return report;
+}
+
+/**
+ * True when the report lists anything to follow up.
+ */
+export function hasFindings(report) {
+  return ['overdue', 'pending', 'actionRequired', 'dates'].some((kind) => report[kind].length > 0);
+}
+
+function adrLabel(item) {
+  const number = item.number === null ? '' : `ADR-${String(item.number).padStart(4, '0')}: `;
+  return `${number}${item.title ?? ''}`;
+}
+
+function lastAudited(item) {
+  return item.date ? `last audited ${item.date} (${item.age} days ago)` : 'never audited';
+}
+
+// [heading, kind, description of one item] in report order
+const SECTIONS = [
+  ['Overdue', 'overdue', lastAudited],
+  ['Pending', 'pending', (item) => `pending since ${item.date}`],
+  ['Action required', 'actionRequired', (item) => `Non-Compliant ${item.date}: ${item.actionRequired}`],
+  ['Audit dates', 'dates', (item) => item.message],
+];
+
+function totals(report) {
+  return (
+    `${report.total} ADR(s) audited: ${report.overdue.length} overdue, ${report.pending.length} pending, ` +
+    `${report.actionRequired.length} with action required, ${report.dates.length} date problem(s)`
+  );
+}
+
+/**
+ * Render a report as pretty text, a markdown agenda or JSON. `path` formats
+ * file paths for display.
+ */
+export function renderAudit(report, { format = 'pretty', path = (file) => file } = {}) {
+  if (format === 'json') {
+    return JSON.stringify(
+      Object.fromEntries(
+        Object.entries(report).map(([key, value]) =>
+          Array.isArray(value) ? [key, value.map((item) => ({ ...item, file: path(item.file) }))] : [key, value]
+        )
+      ),
+      null,
+      2
+    );
+  }
+
+  const out = [];
+  for (const [heading, kind, describe] of SECTIONS) {
+    const items = report[kind];
+    if (items.length === 0) continue;
+    const title = kind === 'overdue' ? `${heading} (latest audit older than ${report.maxAge} days)` : heading;
+    if (format === 'markdown') {
+      out.push(`## ${title}`, '', '| ADR | File | Details |', '|-----|------|---------|');
+      for (const item of items) {
+        const cells = [adrLabel(item), `${path(item.file)}${item.line ? `:${item.line}` : ''}`, describe(item)];
+        out.push(`| ${cells.map((c) => c.replace(/\|/g, '\\|')).join(' | ')} |`);
+      }
+    } else {
+      out.push(title);
+      for (const item of items) {
+        out.push(`  ${path(item.file)}${item.line ? `:${item.line}` : ''}  ${adrLabel(item)}  ${describe(item)}`);
+      }
+    }
+    out.push('');
+  }
+  if (out.length === 0) out.push('Nothing to review.', '');
+  out.push(format === 'markdown' ? `_${totals(report)} (as of ${report.today})_` : `---\n${totals(report)}`);
+  return out.join('\n');
+}
+
+/**
+ * Canonical audit status for a case-insensitive name, or null when unknown.
+ *
+ * @param {string[]} auditStatuses  known audit statuses (default: built-in)
+ */
+export function auditStatus(name, auditStatuses = resolveStatuses().audit) {
+  return auditStatuses.find((s) => s.toLowerCase() === String(name).toLowerCase()) ?? null;
+}
+
+/**
+ * Append an audit entry at the end of the `## Audit` section (adding the
+ * section when missing) and move `updated` forward to its date.
+ *
+ * Findings are "finding" or "finding|files|lines|assessment"; missing files and
+ * lines read "-" and the assessment defaults to the lowercased status.
+ *
+ * Throws when the date is not a real YYYY-MM-DD date, is in the future, or
+ * would put the entries out of chronological order.
+ *
+ * @param {string} content  ADR file text
+ * @param {object} entry    { date, status, findings, summary, action }
+ * @param {object} options  { today, auditStatuses }
+ * @returns {string} the new content
+ */
+export function addAuditEntry(content, { date, status, findings = [], summary = '', action = '' }, { today, auditStatuses }) {
+  const parsed = parseFrontmatter(content);
+  if (!parsed || parsed.error) throw new Error('frontmatter is missing or invalid');
+  if (dateValue(date) === null) throw new Error(`Invalid audit date "${date}": expected YYYY-MM-DD`);
+  if (dateValue(date) > dateValue(today)) throw new Error(`Audit date ${date} is in the future`);
+  const known = resolveStatuses(undefined, auditStatuses).audit;
+  const canonical = auditStatus(status, known);
+  if (!canonical) throw new Error(`Audit status "${status}" should be one of: ${known.join(', ')}`);
+
+  const latest = parseAdr(content)
+    .audit.map((e) => e.date)
+    .filter((d) => dateValue(d) !== null)
+    .sort()
+    .at(-1);
+  if (latest && date < latest) {
+    throw new Error(`Audit date ${date} is before the latest entry ${latest}; entries are kept in chronological order`);
+  }
+
+  const rows = findings.map((finding) => {
+    const [text, files, lines, assessment] = finding.split('|').map((c) => c.trim());
+    return [text, files || '-', lines || '-', assessment || canonical.toLowerCase()];
+  });
+  const text = auditEntry(date, {
+    status: canonical,
+    findings: rows.length ? rows : [['', '', '', '']],
+    summary: summary.trim(),
+    action: action.trim(),
+  });
+
+  const lines = content.split('\n');
+  let end = parsed.frontmatterEndLine - 1;
+  const updated = String(parsed.frontmatter?.updated ?? '');
+  if (!(dateValue(updated) >= dateValue(date))) end += setField(lines, end, 'updated', date);
+
+  const headings = extractHeadings(lines.slice(end + 1).join('\n'), end + 2);
+  const audit = headings.find((h) => h.level === 2 && matchSection(h.text, 'Audit'));
+  const next = audit && headings.find((h) => h.level <= 2 && h.line > audit.line);
+  let at = next ? next.line - 1 : lines.length;
+  while (at > end + 1 && lines[at - 1].trim() === '') at--;
+  // What follows: blank lines, then the next section if there is one
+  const rest = lines.slice(at);
+  while (rest.length && rest[0].trim() === '') rest.shift();
+  const block = audit ? ['', ...text] : ['', '## Audit', '', ...text];
+  lines.splice(at, lines.length - at, ...block, '', ...rest);
+  return lines.join('\n');
+}
+
+/**
+ * Add an audit entry to an ADR file and check the result: audit findings
+ * (smadr/audit-*) the file did not have before block the change.
+ *
+ * @returns {{ original: string, content: string, summary: object }} write
+ *          `content` only when `summary.valid`
+ */
+export function planAuditEntry(filePath, entry, options) {
+  const original = readFileSync(filePath, 'utf-8');
+  const content = addAuditEntry(original, entry, options);
+
+  const isAudit = (e) => e.ruleId?.startsWith('smadr/audit-');
+  const key = (e) => `${e.ruleId}\0${e.message}`;
+  const validate = (text) => validateContent(text, { ...options, filePath });
+  const before = validate(original);
+  const known = new Set([...before.errors, ...before.warnings].filter(isAudit).map(key));
+  const result = validate(content);
+  const fresh = (e) => isAudit(e) && !known.has(key(e));
+  result.errors = result.errors.filter(fresh);
+  result.warnings = result.warnings.filter(fresh);
+  result.valid = result.errors.length === 0;
+
+  // Audit checks are mostly warnings, so new warnings block too
+  return { original, content, summary: summarize([result], { strict: true }) };
+}
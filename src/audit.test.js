@@ -0,0 +1,135 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, writeFileSync, mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parsePeriod, auditDocument, renderAudit, addAuditEntry, planAuditEntry } from './audit.js';
+import { parseAdr } from './validate.js';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * A minimal ADR whose audit section holds the given entries.
+ */
+function adr(entries, status = 'accepted') {
+  const audit = entries
+    .map(([date, state, action = 'None']) => `### ${date}\n\n**Status:** ${state}\n\n**Action Required:** ${action}\n`)
+    .join('\n');
+  return parseAdr(`---\ntitle: Caching\nstatus: ${status}\n---\n\n# ADR-0004: Caching\n\n## Audit\n\n${audit}`, {
+    filePath: 'docs/decisions/0004-caching.md',
+  });
+}
+
+const options = { today: '2026-10-18', maxAge: parsePeriod('6m') };
+
+test('parsePeriod reads days, weeks, months and years', () => {
+  assert.equal(parsePeriod(90), 90);
+  assert.equal(parsePeriod('2w'), 14);
+  assert.equal(parsePeriod('6m'), 180);
+  assert.equal(parsePeriod('1y'), 365);
+  assert.throws(() => parsePeriod('soon'), /Invalid period/);
+  assert.throws(() => parsePeriod('0d'), /Invalid period/);
+});
+
+test('the latest audit decides overdue, pending and open actions', () => {
+  const current = auditDocument(adr([['2026-01-10', 'Pending'], ['2026-09-01', 'Compliant']]), options);
+  assert.deepEqual(current, { overdue: null, pending: null, actionRequired: null, dates: [] });
+
+  const stale = auditDocument(adr([['2025-10-01', 'Pending']]), options);
+  assert.equal(stale.overdue.age, 382);
+  assert.equal(stale.overdue.line, 10);
+  assert.equal(stale.pending.date, '2025-10-01');
+
+  const open = auditDocument(adr([['2026-10-01', 'Non-Compliant', 'Move the cache behind the gateway']]), options);
+  assert.equal(open.actionRequired.actionRequired, 'Move the cache behind the gateway');
+  const closed = auditDocument(adr([['2026-10-01', 'Non-Compliant', 'None.']]), options);
+  assert.equal(closed.actionRequired, null);
+
+  assert.equal(auditDocument(adr([]), options).overdue.date, null);
+});
+
+test('audit dates must be chronological and not in the future', () => {
+  const { dates, overdue } = auditDocument(
+    adr([['2026-09-01', 'Compliant'], ['2026-03-01', 'Partial'], ['2027-01-01', 'Pending']]),
+    options
+  );
+  assert.deepEqual(
+    dates.map((d) => d.message),
+    [
+      'Audit entry 2026-03-01 is listed after the later entry 2026-09-01; keep entries in chronological order',
+      'Audit entry 2027-01-01 is in the future',
+    ]
+  );
+  assert.equal(overdue, null);
+});
+
+test('retired ADRs are only checked for dates', () => {
+  const result = auditDocument(adr([['2020-01-01', 'Non-Compliant', 'Rewrite']], 'superseded'), options);
+  assert.deepEqual(result, { overdue: null, pending: null, actionRequired: null, dates: [] });
+});
+
+test('renderAudit lists each kind under its own heading', () => {
+  const doc = adr([['2025-10-01', 'Pending']]);
+  const result = auditDocument(doc, options);
+  const report = { ...options, total: 1, overdue: [result.overdue], pending: [result.pending], actionRequired: [], dates: [] };
+
+  const pretty = renderAudit(report);
+  assert.match(pretty, /^Overdue \(latest audit older than 180 days\)\n {2}docs\/decisions\/0004-caching\.md:10 {2}ADR-0004: Caching {2}last audited 2025-10-01 \(382 days ago\)$/m);
+  assert.match(pretty, /1 ADR\(s\) audited: 1 overdue, 1 pending, 0 with action required, 0 date problem\(s\)$/);
+
+  const markdown = renderAudit(report, { format: 'markdown' });
+  assert.match(markdown, /^## Pending\n\n\| ADR \| File \| Details \|$/m);
+  assert.equal(JSON.parse(renderAudit(report, { format: 'json' })).pending[0].number, 4);
+});
+
+test('addAuditEntry appends a formed entry at the end of the Audit section', () => {
+  const content =
+    '---\ntitle: Caching\nupdated: 2026-05-01 # bumped by hand\n---\n\n# ADR-0004: Caching\n\n' +
+    '## Audit\n\n### 2026-05-01\n\n**Status:** Pending\n\n\n## Appendix\n\nNotes.\n';
+  const next = addAuditEntry(
+    content,
+    { date: '2026-10-01', status: 'non-compliant', findings: ['Cache bypass|src/cache.js|L10-L20', 'No docs'], action: 'Route reads via the cache' },
+    { today: '2026-10-18' }
+  );
+
+  assert.match(next, /^updated: 2026-10-01$/m);
+  assert.match(
+    next,
+    /\*\*Status:\*\* Pending\n\n### 2026-10-01\n\n\*\*Status:\*\* Non-Compliant\n\n\*\*Findings:\*\*\n\n\| Finding \| Files \| Lines \| Assessment \|\n/
+  );
+  assert.match(next, /^\| Cache bypass \| src\/cache\.js \| L10-L20 \| non-compliant \|\n\| No docs \| - \| - \| non-compliant \|$/m);
+  assert.match(next, /\*\*Summary:\*\*\n\n\*\*Action Required:\*\* Route reads via the cache\n\n## Appendix\n\nNotes\.\n$/);
+
+  const entries = parseAdr(next).audit;
+  assert.deepEqual(entries.map((e) => [e.date, e.status]), [['2026-05-01', 'Pending'], ['2026-10-01', 'Non-Compliant']]);
+});
+
+test('addAuditEntry keeps entries chronological and never moves updated back', () => {
+  const content = '---\ntitle: Caching\nupdated: 2026-09-01\n---\n\n# ADR-0004: Caching\n\n## Audit\n\n### 2026-05-01\n';
+  const add = (date, status = 'Compliant') => addAuditEntry(content, { date, status }, { today: '2026-10-18' });
+
+  assert.match(add('2026-06-01'), /^updated: 2026-09-01$/m);
+  assert.throws(() => add('2026-04-01'), /before the latest entry 2026-05-01/);
+  assert.throws(() => add('2026-12-01'), /in the future/);
+  assert.throws(() => add('2026-02-30'), /Invalid audit date/);
+  assert.throws(() => add('2026-06-01', 'Done'), /should be one of/);
+
+  const withoutAudit = addAuditEntry('---\ntitle: X\n---\n\n# ADR-0005: X\n', { date: '2026-10-18', status: 'Pending' }, { today: '2026-10-18' });
+  assert.match(withoutAudit, /^# ADR-0005: X\n\n## Audit\n\n### 2026-10-18\n/m);
+});
+
+test('planAuditEntry leaves a file that passes the audit checks', (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'smadr-audit-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const file = join(dir, '0003-adopt-mif-compliance.md');
+  writeFileSync(file, readFileSync(join(root, 'docs', 'decisions', '0003-adopt-mif-compliance.md'), 'utf-8'));
+
+  const plan = planAuditEntry(
+    file,
+    { date: '2026-10-18', status: 'Partial', findings: ['Level 3 gaps'], summary: 'Mostly there.', action: 'Add citations' },
+    { today: '2026-10-18' }
+  );
+  assert.equal(plan.summary.valid, true, JSON.stringify(plan.summary.results[0]));
+  assert.equal(parseAdr(plan.content).audit.at(-1).actionRequired, 'Add citations');
+});
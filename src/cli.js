@@ -0,0 +1,1279 @@
+#!/usr/bin/env node
+
+/**
+ * smadr — command-line interface for Structured MADR.
+ *
+ * Dispatches subcommands to the library modules; each command returns an exit
+ * code rather than exiting, so the CLI can be driven from tests.
+ *
+ * Exit codes:
+ *   0  success (all ADRs valid)
+ *   1  validation failed (errors, or warnings under --strict)
+ *   2  configuration or usage error (bad flag, unreadable schema, no such file)
+ */
+
+import { readFileSync, writeFileSync, mkdirSync, existsSync, statSync, realpathSync, readdirSync } from 'node:fs';
+import { join, resolve, dirname, basename } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import { globSync } from 'glob';
+import { validateFiles, validateDocuments, summarize, loadSchema, resolveConfig } from './validate.js';
+import { reporters, FORMATS, displayPath } from './reporters.js';
+import { fixFile, fixDiff } from './fix.js';
+import { findAdr, planSupersede, writeAll } from './supersede.js';
+import {
+  INDEX_FORMATS,
+  GROUP_BY,
+  collectEntries,
+  filterEntries,
+  renderIndex,
+  buildIndexFile,
+} from './adr-index.js';
+import { GRAPH_FORMATS, collectGraph, filterGraph, nodeId, renderGraph, buildGraphFile } from './graph.js';
+import {
+  DEFAULT_TEMPLATE,
+  nextNumber,
+  slugify,
+  gitAuthor,
+  findTemplate,
+  renderAdr,
+} from './scaffold.js';
+import {
+  AUDIT_FORMATS,
+  DEFAULT_MAX_AGE,
+  parsePeriod,
+  auditFiles,
+  hasFindings,
+  renderAudit,
+  planAuditEntry,
+} from './audit.js';
+import { resolveSeverities } from './rules.js';
+import { loadPlugins, ruleRegistry, PluginError } from './plugins.js';
+import { findConfigFile, loadConfigFile, configResolver, validationConfigFor, isIgnored } from './config.js';
+import { resolveStatuses } from './statuses.js';
+import { fileNumber } from './corpus.js';
+import { importMif, formatAdr } from './mif-import.js';
+import { GRAPH_FILE, planExport } from './mif-export.js';
+import { suggestAdditions, applyAdditions, renderUpgradePlan } from './mif-upgrade.js';
+import {
+  MIF_OPTIONS,
+  runMifGate,
+  loadConfig,
+  resolveConfigFile,
+  splitFrontmatter,
+  schemaDir,
+  buildValidators,
+  adrIds,
+  projectIds,
+  projectMap,
+  targetResolver,
+} from '../.github/bin/mif-validate.js';
+import { projectAdr, resolveRelationships } from '../.github/bin/mif-project.js';
+
+export const EXIT = Object.freeze({ OK: 0, FAILED: 1, CONFIG: 2, INTERNAL: 3 });
+
+const pkg = JSON.parse(
+  readFileSync(fileURLToPath(new URL('../package.json', import.meta.url)), 'utf-8')
+);
+
+/**
+ * Raised for bad invocations and configuration; maps to exit code 2.
+ */
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+const HELP = `Usage: smadr <command> [options]
+
+Commands:
+  validate [files...]   Validate ADRs against the Structured MADR specification
+  lint [files...]       Same as validate --strict (warnings fail the run)
+  new <title>           Create the next numbered ADR from a template
+  supersede <adr>       Mark an ADR superseded by another (--by) or a new one (--new)
+  index [files...]      Generate the ADR index as a markdown table, JSON or CSV
+  graph [files...]      Export the decision graph as Mermaid, Graphviz DOT or JSON
+  audit [files...]      Report overdue, pending and non-compliant ADR audits
+  audit add <adr>       Append an audit entry to an ADR
+  mif                   Run the MIF conformance gate over the ADR directory
+  mif export            Write every ADR's MIF JSON-LD object and a combined graph
+  mif upgrade-plan      Show what raising the MIF level would take, per ADR
+  project <file>        Print the MIF JSON-LD projection of one ADR
+  import-mif <file>     Write an ADR from a MIF JSON-LD object
+  rules                 List rule ids and their default severities
+
+Options:
+  -h, --help            Show help for a command
+  -v, --version         Show the version
+
+Exit codes:
+  0  success
+  1  validation failed
+  2  configuration or usage error
+
+Run "smadr <command> --help" for command options.`;
+
+const VALIDATE_HELP = `Usage: smadr validate [files...] [options]
+
+Validates the given files (or globs, or directories). With no files, validates
+--pattern under --path.
+
+Options:
+  --path <dir>          ADR directory (default: path from .smadrrc, else adrPath from
+                        the MIF config, else docs/decisions)
+  --pattern <glob>      Glob for ADR files under --path (default: from .smadrrc, else **/*.md)
+  --schema <file>       Custom JSON Schema (default: built-in schema)
+  --config <file>       Validator config (default: .smadrrc in the working directory)
+  --strict              Fail on warnings as well as errors
+  --no-history          Skip the status lifecycle checks against git history
+                        (also history: false in .smadrrc)
+  --fix                 Repair mechanical problems in place, then validate
+  --fix-dry-run         Print the fixes as a unified diff; exit 1 if any are pending
+  --format <name>       Output format: ${FORMATS.join(', ')} (default: pretty)
+  --output <file>       Write the report to a file instead of stdout
+  -h, --help            Show this help`;
+
+const NEW_HELP = `Usage: smadr new <title> [options]
+
+Creates {NUMBER}-{slug}.md in the ADR directory with the next free number,
+today's dates, status proposed, the git user as author and a first audit entry.
+
+Options:
+  --path <dir>          ADR directory (default: path from .smadrrc, else adrPath from
+                        the MIF config, else docs/decisions)
+  --category <name>     Frontmatter category
+  --tags <list>         Comma-separated tags (repeatable)
+  --author <name>       Author (default: git config user.name)
+  --template <name>     Template file name (default: template)
+  --template-dir <dir>  Directory searched for templates before the built-in ones (repeatable)
+  --schema <file>       Custom JSON Schema; its body.title_pattern shapes the H1
+  --config <file>       Validator config; its templates list adds template directories
+  -h, --help            Show this help`;
+
+const SUPERSEDE_HELP = `Usage: smadr supersede <adr> (--by <adr> | --new <title>) [options]
+
+Marks <adr> superseded and links both ADRs to each other: status,
+x-superseded-by, related, updated and the ## Status / ## Related Decisions
+sections. ADRs are given by number (0003) or file. Nothing is written unless
+both results validate.
+
+Options:
+  --by <adr>            The existing ADR that replaces <adr>
+  --new <title>         Create the replacing ADR from a template (see smadr new --help)
+  --dry-run             Print the changes as a unified diff without writing
+  --path <dir>          ADR directory (default: path from .smadrrc, else adrPath from
+                        the MIF config, else docs/decisions)
+  --schema <file>       Custom JSON Schema for validation and the H1 pattern
+  --config <file>       Validator config (default: .smadrrc in the working directory)
+  -h, --help            Show this help
+
+With --new, the smadr new options --category, --tags, --author, --template
+and --template-dir apply.`;
+
+const INDEX_HELP = `Usage: smadr index [files...] [options]
+
+Builds an index of ADRs from their frontmatter (title, status, category, tags,
+created, updated, author). Markdown output replaces the table between
+<!-- smadr-index:start --> and <!-- smadr-index:end --> in --output; JSON and
+CSV output replace the whole file.
+
+Options:
+  --path <dir>          ADR directory (default: path from .smadrrc, else adrPath from
+                        the MIF config, else docs/decisions)
+  --pattern <glob>      Glob for ADR files under --path (default: from .smadrrc, else **/*.md)
+  --format <name>       ${INDEX_FORMATS.join(', ')} (default: markdown)
+  --output <file>       Index file to update (default: print to stdout)
+  --group-by <field>    Group by ${GROUP_BY.join(', ')}
+  --status <value>      Only ADRs with this status
+  --category <value>    Only ADRs in this category
+  --tag <value>         Only ADRs with this tag
+  --check               Exit 1 if --output is out of date instead of writing it
+  --config <file>       Validator config (default: .smadrrc in the working directory)
+  -h, --help            Show this help`;
+
+const GRAPH_HELP = `Usage: smadr graph [files...] [options]
+
+Exports the decision graph: ADRs as nodes coloured by status and clustered by
+category, with relates-to edges from related and supersedes edges from
+x-superseded-by. Mermaid output replaces a mermaid block between
+<!-- smadr-graph:start --> and <!-- smadr-graph:end --> in --output; DOT and
+JSON output replace the whole file.
+
+Options:
+  --path <dir>          ADR directory (default: path from .smadrrc, else adrPath from
+                        the MIF config, else docs/decisions)
+  --pattern <glob>      Glob for ADR files under --path (default: from .smadrrc, else **/*.md)
+  --format <name>       ${GRAPH_FORMATS.join(', ')} (default: mermaid)
+  --output <file>       Graph file to update (default: print to stdout)
+  --from <adr>          Only ADRs connected to this one (a number such as 0004, or a file)
+  --depth <n>           With --from, follow at most n edges
+  --category <value>    Only ADRs in this category
+  --tag <value>         Only ADRs with this tag
+  --check               Exit 1 if --output is out of date instead of writing it
+  --config <file>       Validator config (default: .smadrrc in the working directory)
+  -h, --help            Show this help`;
+
+const AUDIT_HELP = `Usage: smadr audit [files...] [options]
+
+Reports ADRs whose latest audit is older than --max-age (or that have none),
+ADRs whose latest audit is still Pending, Non-Compliant audits with an open
+Action Required, and audit entries out of chronological order or dated in the
+future. ADRs whose status is not active (by default superseded and deprecated)
+are only checked for dates. Exits 1 when anything is listed.
+
+Options:
+  --path <dir>          ADR directory (default: path from .smadrrc, else adrPath from
+                        the MIF config, else docs/decisions)
+  --pattern <glob>      Glob for ADR files under --path (default: from .smadrrc, else **/*.md)
+  --max-age <period>    Days, or <n>d, <n>w, <n>m or <n>y (default: audit.maxAge
+                        from the config, else ${DEFAULT_MAX_AGE})
+  --schema <file>       Custom JSON Schema; its body.title_pattern reads the ADR number
+  --config <file>       Validator config (default: .smadrrc in the working directory)
+  --format <name>       ${AUDIT_FORMATS.join(', ')} (default: pretty)
+  --output <file>       Write the report to a file instead of stdout
+  -h, --help            Show this help
+
+Run "smadr audit add --help" to record a new audit entry.`;
+
+const AUDIT_ADD_HELP = `Usage: smadr audit add <adr> --status <status> [options]
+
+Appends a dated entry to the end of the ## Audit section of <adr> (a number
+such as 0004, or a file) and moves frontmatter updated to its date. Nothing is
+written if the result has audit findings the ADR did not have before.
+
+Options:
+  --status <status>     Pending, Compliant, Non-Compliant or Partial (required)
+  --finding <text>      A findings table row (repeatable): "finding" or
+                        "finding|files|lines|assessment"
+  --summary <text>      Summary of the audit
+  --action <text>       Action Required (default: None)
+  --date <YYYY-MM-DD>   Audit date (default: today)
+  --dry-run             Print the change as a unified diff without writing
+  --path <dir>          ADR directory (default: path from .smadrrc, else adrPath from
+                        the MIF config, else docs/decisions)
+  --schema <file>       Custom JSON Schema for validation
+  --config <file>       Validator config (default: .smadrrc in the working directory)
+  -h, --help            Show this help`;
+
+const MIF_HELP = `Usage: smadr mif [options]
+
+Projects every ADR to MIF and validates it against the conformance level.
+Relationship targets must resolve to an ADR in the set or in a project of the
+project map (mif.projects). "smadr mif export" also writes the projected
+objects to disk; "smadr mif upgrade-plan --to <level>" shows what a higher
+level would take.
+
+Options:
+  --level <1|2|3>       Conformance level (default: mif.level from .smadrrc, else from
+                        the MIF config, else 2)
+  --path <dir>          ADR directory (default: path from .smadrrc, else adrPath from
+                        the MIF config)
+  --pattern <glob>      Glob for ADR files under --path (default: from .smadrrc, else **/*.md)
+  --config <file>       MIF config (default: .github/config.yml)
+  --smadrrc <file>      Validator config (default: .smadrrc in the working directory)
+  --format <name>       Report format: ${FORMATS.join(', ')} (default: gate output)
+  --output <file>       Write the report to a file instead of stdout
+  -h, --help            Show this help`;
+
+const MIF_UPGRADE_PLAN_HELP = `Usage: smadr mif upgrade-plan --to <1|2|3> [options]
+
+Runs the MIF gate at the target level without failing the build on it and lists,
+per ADR, what breaks (with the frontmatter key and line to fix) and the
+frontmatter worth adding at that level, such as summary, provenance and
+citations. Exits 1 when any ADR fails the target level.
+
+Options:
+  --to <1|2|3>          Target conformance level (required)
+  --apply               Write the additions that can be derived from the ADR
+  --path <dir>          ADR directory (default: path from .smadrrc, else adrPath from
+                        the MIF config)
+  --pattern <glob>      Glob for ADR files under --path (default: from .smadrrc, else **/*.md)
+  --config <file>       MIF config (default: .github/config.yml)
+  --smadrrc <file>      Validator config (default: .smadrrc in the working directory)
+  -h, --help            Show this help`;
+
+const MIF_EXPORT_HELP = `Usage: smadr mif export [options]
+
+Runs the MIF gate and, when every ADR passes, writes each projected object to
+<out>/<file>.jsonld and all of them to <out>/graph.jsonld as one @graph.
+Relationships point at the target ADR's @id.
+
+Options:
+  --out <dir>           Output directory (default: build/mif)
+  --level <1|2|3>       Conformance level (default: mif.level from .smadrrc, else from
+                        the MIF config, else 2)
+  --path <dir>          ADR directory (default: path from .smadrrc, else adrPath from
+                        the MIF config)
+  --pattern <glob>      Glob for ADR files under --path (default: from .smadrrc, else **/*.md)
+  --config <file>       MIF config (default: .github/config.yml)
+  --smadrrc <file>      Validator config (default: .smadrrc in the working directory)
+  -h, --help            Show this help`;
+
+const PROJECT_HELP = `Usage: smadr project <file> [options]
+
+Prints the MIF JSON-LD object derived from one ADR (read-only). Relationship
+targets are resolved against the ADR directory and the project map; a target
+that matches nothing is kept as written and reported on stderr.
+
+Options:
+  --level <1|2|3>       Conformance level (default: mif.level from .smadrrc, else from
+                        the MIF config, else 2)
+  --config <file>       MIF config (default: .github/config.yml)
+  --smadrrc <file>      Validator config (default: .smadrrc in the working directory)
+  -h, --help            Show this help`;
+
+const IMPORT_MIF_HELP = `Usage: smadr import-mif <file.jsonld> [options]
+
+Writes the ADR a MIF JSON-LD object was projected from: content as the body,
+relationships as related and x-superseded-by, entities as technologies,
+temporal and provenance as dates and author, extensions as x-* keys. Fields
+without a frontmatter equivalent keep their MIF-native keys. The ADR is
+{NUMBER}-{slug}.md in the ADR directory, numbered by its H1 or the next free
+number, and is only written when it validates.
+
+Options:
+  --path <dir>          ADR directory (default: path from .smadrrc, else adrPath from
+                        the MIF config, else docs/decisions)
+  --output <file>       Write the ADR to this file instead
+  --category <name>     Category when the namespace names none
+  --tags <list>         Comma-separated tags when the object has none (repeatable)
+  --author <name>       Author when the provenance names no agent
+                        (default: git config user.name)
+  --dry-run             Print the ADR instead of writing it
+  --schema <file>       Custom JSON Schema; its body.title_pattern shapes the H1
+  --config <file>       Validator config (default: .smadrrc in the working directory)
+  -h, --help            Show this help`;
+
+const HELP_OPTION = { help: { type: 'boolean', short: 'h' } };
+
+const REPORT_OPTIONS = {
+  format: { type: 'string' },
+  output: { type: 'string' },
+};
+
+const VALIDATE_OPTIONS = {
+  ...HELP_OPTION,
+  path: { type: 'string' },
+  pattern: { type: 'string' },
+  schema: { type: 'string' },
+  config: { type: 'string' },
+  strict: { type: 'boolean', default: false },
+  'no-history': { type: 'boolean', default: false },
+  fix: { type: 'boolean', default: false },
+  'fix-dry-run': { type: 'boolean', default: false },
+  ...REPORT_OPTIONS,
+  format: { type: 'string', default: 'pretty' },
+};
+
+/**
+ * Parse a command's arguments, turning parser errors into usage errors.
+ */
+function parseCommand(argv, options, allowPositionals = true) {
+  try {
+    return parseArgs({ args: argv, options, allowPositionals, strict: true });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+}
+
+/**
+ * Look up the reporter for --format, rejecting unknown names.
+ */
+function reporterFor(format) {
+  const reporter = reporters[format];
+  if (!reporter) {
+    throw new UsageError(`Unknown format "${format}". Expected one of: ${FORMATS.join(', ')}`);
+  }
+  return reporter;
+}
+
+/**
+ * Write a report to --output, or to stdout when no file is given.
+ */
+function emit(report, output) {
+  if (!output) {
+    console.log(report);
+    return;
+  }
+  try {
+    writeFileSync(output, report + '\n');
+  } catch (error) {
+    throw new UsageError(`Failed to write ${output}: ${error.message}`);
+  }
+}
+
+/**
+ * Expand positional arguments (files, directories or globs) to file paths.
+ */
+export function resolveFiles(positionals, { path, pattern }) {
+  if (positionals.length === 0) {
+    return globSync(join(resolve(path), pattern), { nodir: true }).sort();
+  }
+
+  const files = [];
+  for (const arg of positionals) {
+    if (existsSync(arg) && statSync(arg).isDirectory()) {
+      files.push(...globSync(join(resolve(arg), pattern), { nodir: true }).sort());
+    } else if (existsSync(arg)) {
+      files.push(resolve(arg));
+    } else {
+      const matches = globSync(arg, { nodir: true, absolute: true }).sort();
+      if (matches.length === 0) throw new UsageError(`No such file or pattern: ${arg}`);
+      files.push(...matches);
+    }
+  }
+  return [...new Set(files)];
+}
+
+function loadSchemaOption(schemaPath) {
+  try {
+    return schemaPath ? loadSchema(resolve(schemaPath)) : loadSchema();
+  } catch (error) {
+    throw new UsageError(`Failed to load schema ${schemaPath ?? ''}: ${error.message}`);
+  }
+}
+
+/**
+ * Load --config, or the .smadrrc in the working directory when present.
+ */
+function loadValidatorConfig(configPath) {
+  const file = configPath ? resolve(configPath) : findConfigFile();
+  if (!file) return {};
+  if (!existsSync(file)) throw new UsageError(`No such config file: ${configPath}`);
+  try {
+    return loadConfigFile(file);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+}
+
+/**
+ * The ADR files to work on: the positionals, or --pattern under --path (each
+ * falling back to the config), less those an `ignore` glob excludes.
+ */
+function adrFiles(positionals, values, config) {
+  const resolveFor = configResolver(config);
+  const files = resolveFiles(positionals, { path: adrPathOption(values, config), pattern: patternOption(values, config) });
+  try {
+    return files.filter((file) => !isIgnored(file, resolveFor(file)));
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+}
+
+/**
+ * Validation options from a loaded config and --schema. `configFor` adds the
+ * overrides of .smadrrc files in subdirectories (see validationConfigFor()).
+ */
+function validationOptions(values, config, plugins) {
+  const schemas = new Map();
+  const schemaAt = (path) => {
+    if (!schemas.has(path)) schemas.set(path, loadSchemaOption(path));
+    return schemas.get(path);
+  };
+  const checked = validationConfigFor(config, ruleRegistry(plugins), (own) => schemaAt(values.schema ?? own.schema));
+  const configFor = (filePath) => {
+    try {
+      return checked(filePath);
+    } catch (error) {
+      throw new UsageError(error.message);
+    }
+  };
+  return {
+    ...statusOptions(config),
+    schema: schemaAt(values.schema ?? config.schema),
+    body: config.body,
+    rules: config.rules,
+    plugins,
+    configFor,
+  };
+}
+
+/**
+ * The status vocabulary and lifecycle options from a loaded config.
+ */
+function statusOptions(config) {
+  return { statuses: config.statuses, auditStatuses: config.auditStatuses, transitions: config.transitions };
+}
+
+/**
+ * Load the plugins a config lists and check the config's rules against the
+ * registry they extend.
+ */
+async function loadConfigPlugins(config) {
+  try {
+    const plugins = await loadPlugins(config.plugins);
+    resolveSeverities(config.rules, ruleRegistry(plugins));
+    return plugins;
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+}
+
+/**
+ * Run a validation or fix step; a plugin that throws or reports a rule it
+ * does not register is a configuration problem, not a crash.
+ */
+function withPlugins(step) {
+  try {
+    return step();
+  } catch (error) {
+    if (error instanceof PluginError) throw new UsageError(error.message);
+    throw error;
+  }
+}
+
+async function validateCommand(argv, { strict = false } = {}) {
+  const { values, positionals } = parseCommand(argv, VALIDATE_OPTIONS);
+  if (values.help) {
+    console.log(VALIDATE_HELP);
+    return EXIT.OK;
+  }
+
+  const reporter = reporterFor(values.format);
+  const config = loadValidatorConfig(values.config);
+  const files = adrFiles(positionals, values, config);
+  if (files.length === 0) {
+    console.error(`No ADR files found matching: ${join(adrPathOption(values, config), patternOption(values, config))}`);
+    return EXIT.OK;
+  }
+
+  const options = {
+    ...validationOptions(values, config, await loadConfigPlugins(config)),
+    history: !values['no-history'] && config.history !== false,
+    strict: strict || values.strict,
+  };
+  // Fail on a broken directory config before anything is fixed or reported
+  files.forEach(options.configFor);
+
+  if (values['fix-dry-run']) {
+    const pending = files
+      .map((file) => withPlugins(() => fixFile(file, { ...options, ...options.configFor(file) })))
+      .filter((f) => f.changed);
+    if (pending.length) {
+      emit(pending.map((f) => fixDiff(f, displayPath(f.filePath))).join('\n').trimEnd(), values.output);
+    }
+    console.error(`${pending.length} file(s) would be fixed`);
+    return pending.length ? EXIT.FAILED : EXIT.OK;
+  }
+
+  if (values.fix) {
+    for (const file of files) {
+      const fixed = withPlugins(() => fixFile(file, { ...options, ...options.configFor(file) }));
+      if (!fixed.changed) continue;
+      writeFileSync(file, fixed.content);
+      for (const { message } of fixed.fixes) console.error(`fixed ${displayPath(file)}: ${message}`);
+    }
+  }
+
+  const summary = withPlugins(() => validateFiles(files, options));
+  emit(reporter(summary), values.output);
+  return summary.valid ? EXIT.OK : EXIT.FAILED;
+}
+
+const SCAFFOLD_OPTIONS = {
+  path: { type: 'string' },
+  category: { type: 'string' },
+  tags: { type: 'string', multiple: true },
+  author: { type: 'string' },
+  template: { type: 'string' },
+  'template-dir': { type: 'string', multiple: true },
+  schema: { type: 'string' },
+  config: { type: 'string' },
+};
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * The ADR directory: --path, else path from the validator config, else adrPath
+ * from the MIF config.
+ */
+function adrPathOption(values, config = loadValidatorConfig(values.config)) {
+  return values.path ?? config.path ?? loadConfig(resolveConfigFile()).adrPath ?? 'docs/decisions';
+}
+
+/**
+ * The ADR file glob: --pattern, else pattern from the validator config.
+ */
+function patternOption(values, config) {
+  return values.pattern ?? config.pattern ?? '**/*.md';
+}
+
+/**
+ * Render the next numbered ADR for `title` from the SCAFFOLD_OPTIONS values,
+ * without writing it.
+ */
+function scaffold(values, title) {
+  if (!slugify(title)) throw new UsageError(`Cannot derive a file name from "${title}"`);
+
+  const config = loadValidatorConfig(values.config);
+  const schemaPath = values.schema ?? config.schema;
+  const { titlePattern } = resolveConfig({ schema: schemaPath ? loadSchemaOption(schemaPath) : undefined, body: config.body });
+  const dirs = [...(values['template-dir'] ?? []).map((d) => resolve(d)), ...(config.templates ?? [])];
+  const name = values.template ?? DEFAULT_TEMPLATE;
+  const template = findTemplate(name, dirs);
+  if (!template) throw new UsageError(`No template "${name}" in ${[...dirs, 'the built-in templates'].join(', ')}`);
+
+  const adrPath = adrPathOption(values, config);
+  const number = nextNumber(adrPath);
+  const filePath = join(adrPath, `${String(number).padStart(4, '0')}-${slugify(title)}.md`);
+  if (existsSync(filePath)) throw new UsageError(`${filePath} already exists`);
+
+  try {
+    const content = renderAdr(readFileSync(template, 'utf-8'), {
+      number,
+      title,
+      today: today(),
+      author: values.author ?? gitAuthor(),
+      category: values.category,
+      tags: values.tags?.flatMap((t) => t.split(',')).map((t) => t.trim()).filter(Boolean),
+      titlePattern,
+      statuses: config.statuses,
+    });
+    return { filePath, content };
+  } catch (error) {
+    throw new UsageError(`${template}: ${error.message}`);
+  }
+}
+
+function newCommand(argv) {
+  const { values, positionals } = parseCommand(argv, { ...HELP_OPTION, ...SCAFFOLD_OPTIONS });
+  if (values.help) {
+    console.log(NEW_HELP);
+    return EXIT.OK;
+  }
+  const title = positionals.join(' ').trim();
+  if (!title) throw new UsageError('new expects a title, e.g. smadr new "Use Kafka for events"');
+
+  const { filePath, content } = scaffold(values, title);
+  mkdirSync(dirname(filePath), { recursive: true });
+  writeFileSync(filePath, content);
+  console.log(filePath);
+  return EXIT.OK;
+}
+
+/**
+ * Resolve an ADR reference (number or file) in the ADR directory.
+ */
+function resolveAdr(adrPath, ref) {
+  let file;
+  try {
+    file = findAdr(adrPath, ref);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  if (!file) throw new UsageError(`No ADR ${ref} in ${adrPath}`);
+  return file;
+}
+
+async function supersedeCommand(argv) {
+  const { values, positionals } = parseCommand(argv, {
+    ...HELP_OPTION,
+    ...SCAFFOLD_OPTIONS,
+    by: { type: 'string' },
+    new: { type: 'string' },
+    'dry-run': { type: 'boolean', default: false },
+  });
+  if (values.help) {
+    console.log(SUPERSEDE_HELP);
+    return EXIT.OK;
+  }
+  if (positionals.length !== 1) throw new UsageError('supersede expects exactly one ADR to replace');
+  if (Boolean(values.by) === Boolean(values.new)) {
+    throw new UsageError('supersede needs either --by <adr> or --new <title>');
+  }
+
+  const adrPath = adrPathOption(values);
+  const find = (ref) => resolveAdr(adrPath, ref);
+  const oldPath = find(positionals[0]);
+  const successor = values.new
+    ? { ...scaffold({ ...values, path: dirname(oldPath) }, values.new), created: true }
+    : { filePath: find(values.by), content: null };
+  successor.content ??= readFileSync(successor.filePath, 'utf-8');
+
+  const config = loadValidatorConfig(values.config);
+  const options = validationOptions(values, config, await loadConfigPlugins(config));
+  let plan;
+  try {
+    plan = planSupersede(oldPath, successor, { ...options, today: today() });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  if (!plan.summary.valid) {
+    console.error(reporters.pretty(plan.summary));
+    console.error(`Refusing to supersede ${displayPath(oldPath)}: the result would not validate`);
+    return EXIT.FAILED;
+  }
+
+  if (values['dry-run']) {
+    const originals = { [oldPath]: readFileSync(oldPath, 'utf-8'), [successor.filePath]: successor.created ? '' : successor.content };
+    for (const doc of plan.documents) {
+      console.log(fixDiff({ original: originals[doc.filePath], content: doc.content }, displayPath(doc.filePath)));
+    }
+    return EXIT.OK;
+  }
+
+  writeAll(plan.documents);
+  for (const doc of plan.documents) console.log(displayPath(doc.filePath));
+  return EXIT.OK;
+}
+
+function indexCommand(argv) {
+  const { values, positionals } = parseCommand(argv, {
+    ...HELP_OPTION,
+    path: VALIDATE_OPTIONS.path,
+    pattern: VALIDATE_OPTIONS.pattern,
+    format: { type: 'string', default: 'markdown' },
+    output: { type: 'string' },
+    'group-by': { type: 'string' },
+    status: { type: 'string' },
+    category: { type: 'string' },
+    tag: { type: 'string' },
+    check: { type: 'boolean', default: false },
+    config: { type: 'string' },
+  });
+  if (values.help) {
+    console.log(INDEX_HELP);
+    return EXIT.OK;
+  }
+  if (!INDEX_FORMATS.includes(values.format)) {
+    throw new UsageError(`Unknown format "${values.format}". Expected one of: ${INDEX_FORMATS.join(', ')}`);
+  }
+  const groupBy = values['group-by'];
+  if (groupBy && !GROUP_BY.includes(groupBy)) {
+    throw new UsageError(`Cannot group by "${groupBy}". Expected one of: ${GROUP_BY.join(', ')}`);
+  }
+  if (values.check && !values.output) throw new UsageError('--check needs --output <file> to compare against');
+
+  const output = values.output && resolve(values.output);
+  const files = adrFiles(positionals, values, loadValidatorConfig(values.config)).filter((f) => f !== output);
+  const entries = filterEntries(collectEntries(files, output ? dirname(output) : process.cwd()), values);
+  const options = { format: values.format, groupBy };
+  if (!output) {
+    console.log(renderIndex(entries, options));
+    return EXIT.OK;
+  }
+
+  const current = existsSync(output) ? readFileSync(output, 'utf-8') : null;
+  if (values.format === 'markdown' && current === null) {
+    throw new UsageError(`${values.output} does not exist; create it with the index markers first`);
+  }
+  let content;
+  try {
+    content = buildIndexFile(current, entries, options);
+  } catch (error) {
+    throw new UsageError(`${values.output}: ${error.message}`);
+  }
+
+  if (values.check) {
+    if (content === current) return EXIT.OK;
+    console.log(fixDiff({ original: current ?? '', content }, displayPath(output)));
+    console.error(`${values.output} is out of date. Run smadr index without --check to update it.`);
+    return EXIT.FAILED;
+  }
+  if (content !== current) writeFileSync(output, content);
+  console.error(`Indexed ${entries.length} ADR(s) in ${values.output}`);
+  return EXIT.OK;
+}
+
+function graphCommand(argv) {
+  const { values, positionals } = parseCommand(argv, {
+    ...HELP_OPTION,
+    path: VALIDATE_OPTIONS.path,
+    pattern: VALIDATE_OPTIONS.pattern,
+    format: { type: 'string', default: 'mermaid' },
+    output: { type: 'string' },
+    from: { type: 'string' },
+    depth: { type: 'string' },
+    category: { type: 'string' },
+    tag: { type: 'string' },
+    check: { type: 'boolean', default: false },
+    config: { type: 'string' },
+  });
+  if (values.help) {
+    console.log(GRAPH_HELP);
+    return EXIT.OK;
+  }
+  if (!GRAPH_FORMATS.includes(values.format)) {
+    throw new UsageError(`Unknown format "${values.format}". Expected one of: ${GRAPH_FORMATS.join(', ')}`);
+  }
+  const depth = values.depth === undefined ? Infinity : Number(values.depth);
+  if (values.depth !== undefined && !(Number.isInteger(depth) && depth >= 0)) {
+    throw new UsageError(`--depth must be a whole number of edges, got "${values.depth}"`);
+  }
+  if (values.depth !== undefined && !values.from) throw new UsageError('--depth needs --from <adr>');
+  if (values.check && !values.output) throw new UsageError('--check needs --output <file> to compare against');
+
+  const output = values.output && resolve(values.output);
+  const base = output ? dirname(output) : process.cwd();
+  const config = loadValidatorConfig(values.config);
+  const files = adrFiles(positionals, values, config).filter((f) => f !== output);
+  const from = values.from && nodeId(resolve(resolveAdr(adrPathOption(values, config), values.from)), base);
+  const graph = filterGraph(collectGraph(files, base), { from, depth, category: values.category, tag: values.tag });
+  if (from && !graph.nodes.some((n) => n.id === from)) {
+    throw new UsageError(`${values.from} is not among the ADRs being graphed`);
+  }
+  const options = { format: values.format, statuses: resolveStatuses(config.statuses) };
+  if (!output) {
+    console.log(renderGraph(graph, options));
+    return EXIT.OK;
+  }
+
+  const current = existsSync(output) ? readFileSync(output, 'utf-8') : null;
+  if (values.format === 'mermaid' && current === null) {
+    throw new UsageError(`${values.output} does not exist; create it with the graph markers first`);
+  }
+  let content;
+  try {
+    content = buildGraphFile(current, graph, options);
+  } catch (error) {
+    throw new UsageError(`${values.output}: ${error.message}`);
+  }
+
+  if (values.check) {
+    if (content === current) return EXIT.OK;
+    console.log(fixDiff({ original: current ?? '', content }, displayPath(output)));
+    console.error(`${values.output} is out of date. Run smadr graph without --check to update it.`);
+    return EXIT.FAILED;
+  }
+  if (content !== current) writeFileSync(output, content);
+  console.error(`Graphed ${graph.nodes.length} ADR(s) and ${graph.edges.length} edge(s) in ${values.output}`);
+  return EXIT.OK;
+}
+
+async function auditAddCommand(argv) {
+  const { values, positionals } = parseCommand(argv, {
+    ...HELP_OPTION,
+    status: { type: 'string' },
+    finding: { type: 'string', multiple: true },
+    summary: { type: 'string', default: '' },
+    action: { type: 'string', default: 'None' },
+    date: { type: 'string' },
+    'dry-run': { type: 'boolean', default: false },
+    path: { type: 'string' },
+    schema: { type: 'string' },
+    config: { type: 'string' },
+  });
+  if (values.help) {
+    console.log(AUDIT_ADD_HELP);
+    return EXIT.OK;
+  }
+  if (positionals.length !== 1) throw new UsageError('audit add expects exactly one ADR');
+  if (!values.status) throw new UsageError('audit add needs --status');
+
+  const config = loadValidatorConfig(values.config);
+  const file = resolveAdr(adrPathOption(values, config), positionals[0]);
+  const options = validationOptions(values, config, await loadConfigPlugins(config));
+  let plan;
+  try {
+    plan = planAuditEntry(
+      file,
+      {
+        date: values.date ?? today(),
+        status: values.status,
+        findings: values.finding ?? [],
+        summary: values.summary,
+        action: values.action,
+      },
+      { ...options, ...options.configFor(file), today: today() }
+    );
+  } catch (error) {
+    throw new UsageError(`${displayPath(file)}: ${error.message}`);
+  }
+
+  if (!plan.summary.valid) {
+    console.error(reporters.pretty(plan.summary));
+    console.error(`Refusing to update ${displayPath(file)}: the new entry does not validate`);
+    return EXIT.FAILED;
+  }
+  if (values['dry-run']) {
+    console.log(fixDiff(plan, displayPath(file)));
+    return EXIT.OK;
+  }
+  writeFileSync(file, plan.content);
+  console.log(displayPath(file));
+  return EXIT.OK;
+}
+
+function auditCommand(argv) {
+  if (argv[0] === 'add') return auditAddCommand(argv.slice(1));
+  const { values, positionals } = parseCommand(argv, {
+    ...HELP_OPTION,
+    path: VALIDATE_OPTIONS.path,
+    pattern: VALIDATE_OPTIONS.pattern,
+    'max-age': { type: 'string' },
+    schema: { type: 'string' },
+    config: { type: 'string' },
+    ...REPORT_OPTIONS,
+    format: { type: 'string', default: 'pretty' },
+  });
+  if (values.help) {
+    console.log(AUDIT_HELP);
+    return EXIT.OK;
+  }
+  if (!AUDIT_FORMATS.includes(values.format)) {
+    throw new UsageError(`Unknown format "${values.format}". Expected one of: ${AUDIT_FORMATS.join(', ')}`);
+  }
+
+  const config = loadValidatorConfig(values.config);
+  let maxAge;
+  try {
+    maxAge = parsePeriod(values['max-age'] ?? config.audit?.maxAge ?? DEFAULT_MAX_AGE);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  const schemaPath = values.schema ?? config.schema;
+  const schema = schemaPath ? loadSchemaOption(schemaPath) : undefined;
+  const files = adrFiles(positionals, values, config);
+  const report = auditFiles(files, { ...statusOptions(config), today: today(), maxAge, schema, body: config.body });
+  emit(renderAudit(report, { format: values.format, path: displayPath }), values.output);
+  return hasFindings(report) ? EXIT.FAILED : EXIT.OK;
+}
+
+// On the MIF commands --config is the MIF config, so the .smadrrc has its own flag
+const SMADRRC_OPTION = { smadrrc: { type: 'string' } };
+
+/**
+ * Gate arguments from the mif options, with defaults from .smadrrc (or
+ * --smadrrc).
+ */
+function mifArgs(values) {
+  const level = values.level === undefined ? undefined : Number(values.level);
+  const config = loadValidatorConfig(values.smadrrc);
+  const { closesValidity } = resolveStatuses(config.statuses);
+  return {
+    ...values,
+    level: level ?? config.mif?.level,
+    path: values.path ?? config.path,
+    pattern: values.pattern ?? config.pattern,
+    projects: config.mif?.projects,
+    closesValidity,
+  };
+}
+
+function mifCommand(argv) {
+  if (argv[0] === 'export') return mifExportCommand(argv.slice(1));
+  if (argv[0] === 'upgrade-plan') return mifUpgradePlanCommand(argv.slice(1));
+  const { values } = parseCommand(
+    argv,
+    { ...HELP_OPTION, ...MIF_OPTIONS, ...SMADRRC_OPTION, ...REPORT_OPTIONS },
+    false
+  );
+  if (values.help) {
+    console.log(MIF_HELP);
+    return EXIT.OK;
+  }
+  const format = values.format ?? (values.output ? 'json' : undefined);
+  const args = mifArgs(values);
+  if (!format) return runMifGate(args);
+
+  const reporter = reporterFor(format);
+  return runMifGate(
+    args,
+    {
+      report: (summary) => emit(reporter(summary), values.output),
+      // Keep gate output on stdout (where Actions reads annotations) unless the report is there
+      log: values.output ? console.log : console.error,
+    }
+  );
+}
+
+function mifExportCommand(argv) {
+  const { values } = parseCommand(
+    argv,
+    { ...HELP_OPTION, ...MIF_OPTIONS, ...SMADRRC_OPTION, out: { type: 'string', default: 'build/mif' } },
+    false
+  );
+  if (values.help) {
+    console.log(MIF_EXPORT_HELP);
+    return EXIT.OK;
+  }
+  const { out, ...gate } = values;
+  let documents = [];
+  const code = runMifGate(mifArgs(gate), {
+    objects: (entries, { adrPath }) => {
+      documents = planExport(entries, { base: adrPath, out });
+    },
+  });
+  if (code !== EXIT.OK) {
+    console.error(`Nothing exported: the ADRs must pass the MIF gate first`);
+    return code;
+  }
+  for (const dir of new Set(documents.map((doc) => dirname(doc.filePath)))) mkdirSync(dir, { recursive: true });
+  writeAll(documents);
+  console.log(`Exported ${documents.length - 1} ADR(s) and ${GRAPH_FILE} to ${out}`);
+  return EXIT.OK;
+}
+
+function mifUpgradePlanCommand(argv) {
+  const { level: _level, ...gateOptions } = MIF_OPTIONS;
+  const { values } = parseCommand(
+    argv,
+    { ...HELP_OPTION, ...gateOptions, ...SMADRRC_OPTION, to: { type: 'string' }, apply: { type: 'boolean', default: false } },
+    false
+  );
+  if (values.help) {
+    console.log(MIF_UPGRADE_PLAN_HELP);
+    return EXIT.OK;
+  }
+  const to = Number(values.to);
+  if (![1, 2, 3].includes(to)) throw new UsageError('upgrade-plan expects --to <1|2|3>');
+
+  const { to: _to, apply, ...gate } = values;
+  const args = mifArgs(gate);
+  const from = args.level ?? loadConfig(resolveConfigFile(values.config)).mifConformanceLevel ?? 2;
+  // The gate's annotations repeat what the plan lists; keep them for when there is no plan
+  const log = [];
+  let results = [];
+  const code = runMifGate({ ...args, level: to }, { report: (summary) => (results = summary.results), log: (m) => log.push(m) });
+  if (results.length === 0) {
+    for (const line of log) console.error(line);
+    return code;
+  }
+
+  const plan = [...results].sort((a, b) => a.filePath.localeCompare(b.filePath)).map(({ filePath, errors }) => {
+    const content = readFileSync(filePath, 'utf-8');
+    let parsed = null;
+    try {
+      parsed = splitFrontmatter(content);
+    } catch {
+      // unparseable frontmatter is already one of the failures
+    }
+    return {
+      filePath,
+      content,
+      failures: errors.map(({ message, line }) => ({ message, line })),
+      additions: parsed ? suggestAdditions(parsed.fm, parsed.body, to) : [],
+    };
+  });
+  if (apply) {
+    writeAll(
+      plan
+        .filter((p) => p.additions.some((a) => a.value !== undefined))
+        .map((p) => ({ filePath: p.filePath, content: applyAdditions(p.content, p.additions) }))
+    );
+  }
+  console.log(renderUpgradePlan(plan, { from, to, applied: apply, path: displayPath }));
+  return plan.some((p) => p.failures.length) ? EXIT.FAILED : EXIT.OK;
+}
+
+function projectCommand(argv) {
+  const { values, positionals } = parseCommand(argv, {
+    ...HELP_OPTION,
+    level: MIF_OPTIONS.level,
+    config: MIF_OPTIONS.config,
+    ...SMADRRC_OPTION,
+  });
+  if (values.help) {
+    console.log(PROJECT_HELP);
+    return EXIT.OK;
+  }
+  if (positionals.length !== 1) throw new UsageError('project expects exactly one ADR file');
+
+  const [file] = positionals;
+  const cfg = loadConfig(resolveConfigFile(values.config));
+  const config = loadValidatorConfig(values.smadrrc);
+  const level = Number(values.level ?? config.mif?.level ?? cfg.mifConformanceLevel ?? 2);
+  if (![1, 2, 3].includes(level)) throw new UsageError('Invalid --level (expected 1|2|3)');
+
+  let content;
+  try {
+    content = readFileSync(file, 'utf-8');
+  } catch (error) {
+    throw new UsageError(`Failed to read ${file}: ${error.message}`);
+  }
+  const parsed = splitFrontmatter(content);
+  if (!parsed) {
+    console.error(`${file}: no YAML frontmatter`);
+    return EXIT.FAILED;
+  }
+
+  const ontologyEnabled = (cfg.ontologies || []).some(
+    (o) => o.id === 'structured-madr' && o.enabled
+  );
+  const { closesValidity } = resolveStatuses(config.statuses);
+  const projected = projectAdr(parsed.fm, parsed.body, { level, filename: file, ontologyEnabled, closesValidity });
+
+  let known;
+  try {
+    known = projectIds(projectMap(cfg, config.mif?.projects));
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  const adrPath = config.path ?? cfg.adrPath ?? 'docs/decisions';
+  const set = adrIds(globSync(join(adrPath, config.pattern ?? '**/*.md'), { nodir: true }));
+  set.push({ filePath: file, id: projected['@id'] });
+  const { object, dangling } = resolveRelationships(projected, targetResolver(set, known));
+  for (const r of dangling) {
+    console.error(`${file}: relationship ${r.type} -> ${r.target} matches no ADR in ${adrPath} or the project map`);
+  }
+  console.log(JSON.stringify(object, null, 2));
+  return EXIT.OK;
+}
+
+async function importMifCommand(argv) {
+  const { values, positionals } = parseCommand(argv, {
+    ...HELP_OPTION,
+    path: { type: 'string' },
+    output: { type: 'string' },
+    category: { type: 'string' },
+    tags: { type: 'string', multiple: true },
+    author: { type: 'string' },
+    'dry-run': { type: 'boolean', default: false },
+    schema: { type: 'string' },
+    config: { type: 'string' },
+  });
+  if (values.help) {
+    console.log(IMPORT_MIF_HELP);
+    return EXIT.OK;
+  }
+  if (positionals.length !== 1) throw new UsageError('import-mif expects exactly one JSON-LD file');
+
+  const [source] = positionals;
+  let obj;
+  try {
+    obj = JSON.parse(readFileSync(source, 'utf-8'));
+  } catch (error) {
+    throw new UsageError(`Failed to read ${source}: ${error.message}`);
+  }
+  const isConcept = buildValidators(schemaDir())(1);
+  if (!isConcept(obj)) {
+    const [error] = isConcept.errors;
+    throw new UsageError(`${source} is not a MIF object: ${error.instancePath || '/'} ${error.message}`);
+  }
+
+  const config = loadValidatorConfig(values.config);
+  const options = validationOptions(values, config, await loadConfigPlugins(config));
+  const { titlePattern } = resolveConfig({ schema: options.schema, body: config.body });
+  const ontologyEnabled = (loadConfig(resolveConfigFile()).ontologies || []).some(
+    (o) => o.id === 'structured-madr' && o.enabled
+  );
+  const adrPath = adrPathOption(values, config);
+  const output = values.output && resolve(values.output);
+  const dir = output ? dirname(output) : resolve(adrPath);
+  const others = adrFiles([], { ...values, path: dir }, config);
+  let imported;
+  try {
+    imported = importMif(obj, {
+      defaults: {
+        category: values.category,
+        tags: values.tags?.flatMap((t) => t.split(',')).map((t) => t.trim()).filter(Boolean),
+        author: values.author ?? gitAuthor(),
+      },
+      number: nextNumber(adrPath),
+      filename: output,
+      titlePattern,
+      statuses: config.statuses,
+      ontologyEnabled,
+      files: new Map(adrIds(others).map(({ filePath, id }) => [id, basename(filePath)])),
+    });
+  } catch (error) {
+    throw new UsageError(`${source}: ${error.message}`);
+  }
+
+  const filePath = output ?? join(resolve(adrPath), imported.fileName);
+  if (existsSync(filePath)) throw new UsageError(`${filePath} already exists`);
+  const clash =
+    imported.number !== null && existsSync(dir) && readdirSync(dir).find((name) => fileNumber(name) === imported.number);
+  if (clash) throw new UsageError(`${join(dir, clash)} already has number ${imported.number}; pass --output`);
+  if (imported.lost.length) {
+    console.error(`${source}: the ADR cannot carry ${imported.lost.join(', ')}; its projection will differ there`);
+  }
+
+  const content = formatAdr(imported.frontmatter, imported.body);
+  const documents = others.map((file) => ({ filePath: file, content: readFileSync(file, 'utf-8') }));
+  const summary = summarize(validateDocuments([{ filePath, content }, ...documents], options).results.slice(0, 1));
+  if (!summary.valid) {
+    console.error(reporters.pretty(summary));
+    console.error(`Refusing to write ${displayPath(filePath)}: the imported ADR does not validate`);
+    return EXIT.FAILED;
+  }
+  if (values['dry-run']) {
+    console.log(content);
+    return EXIT.OK;
+  }
+  mkdirSync(dir, { recursive: true });
+  writeFileSync(filePath, content);
+  console.log(displayPath(filePath));
+  return EXIT.OK;
+}
+
+async function rulesCommand(argv) {
+  const { values } = parseCommand(argv, { ...HELP_OPTION, config: { type: 'string' } }, false);
+  if (values.help) {
+    console.log('Usage: smadr rules [--config <file>]\n\nLists every rule id, plugin rules included, with its effective severity.');
+    return EXIT.OK;
+  }
+  const config = loadValidatorConfig(values.config);
+  const registry = ruleRegistry(await loadConfigPlugins(config));
+  const severities = resolveSeverities(config.rules, registry);
+  for (const [id, rule] of Object.entries(registry)) {
+    const fixable = rule.fixable ? ' (fixable)' : '';
+    console.log(`${id.padEnd(32)} ${severities[id].padEnd(5)}  ${rule.description}${fixable}`);
+  }
+  return EXIT.OK;
+}
+
+export const commands = {
+  validate: (argv) => validateCommand(argv),
+  lint: (argv) => validateCommand(argv, { strict: true }),
+  new: newCommand,
+  supersede: supersedeCommand,
+  index: indexCommand,
+  graph: graphCommand,
+  audit: auditCommand,
+  mif: mifCommand,
+  project: projectCommand,
+  'import-mif': importMifCommand,
+  rules: rulesCommand,
+};
+
+/**
+ * Run the CLI with the given arguments and return the exit code.
+ */
+export async function main(argv = process.argv.slice(2)) {
+  const [name, ...rest] = argv;
+
+  if (!name || name === '-h' || name === '--help' || name === 'help') {
+    console.log(HELP);
+    return name ? EXIT.OK : EXIT.CONFIG;
+  }
+  if (name === '-v' || name === '--version') {
+    console.log(pkg.version);
+    return EXIT.OK;
+  }
+
+  const command = commands[name];
+  if (!command) {
+    console.error(`Unknown command "${name}".\n\n${HELP}`);
+    return EXIT.CONFIG;
+  }
+
+  try {
+    return await command(rest);
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(`smadr ${name}: ${error.message}`);
+      return EXIT.CONFIG;
+    }
+    // A crash is neither a failing ADR nor a bad invocation
+    console.error(`smadr ${name}: unexpected error\n${error.stack ?? error.message}`);
+    return EXIT.INTERNAL;
+  }
+}
+
+// Run only when executed directly (npx resolves the bin through a symlink).
+if (process.argv[1] && import.meta.url === pathToFileURL(realpathSync(process.argv[1])).href) {
+  main().then(
+    (code) => process.exit(code),
+    (error) => {
+      console.error(error.stack ?? error.message);
+      process.exit(EXIT.INTERNAL);
+    }
+  );
+}
@@ -0,0 +1,455 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, writeFileSync, mkdtempSync, rmSync, cpSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { execFileSync } from 'node:child_process';
+import { main, EXIT } from './cli.js';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+const example = join(root, 'docs', 'decisions', '0001-adopt-structured-madr-format.md');
+
+/**
+ * Run the CLI with console output captured.
+ */
+async function run(t, ...argv) {
+  const out = [];
+  t.mock.method(console, 'log', (...args) => out.push(args.join(' ')));
+  t.mock.method(console, 'error', (...args) => out.push(args.join(' ')));
+  const code = await main(argv);
+  return { code, output: out.join('\n') };
+}
+
+test('validate exits 0 for a valid ADR', async (t) => {
+  const { code, output } = await run(t, 'validate', example);
+  assert.equal(code, EXIT.OK);
+  assert.match(output, /Passed: 1/);
+});
+
+test('unknown commands, flags and files are configuration errors', async (t) => {
+  assert.equal((await run(t, 'frobnicate')).code, EXIT.CONFIG);
+  assert.equal((await run(t, 'validate', '--no-such-flag')).code, EXIT.CONFIG);
+  assert.equal((await run(t, 'validate', 'missing-adr.md')).code, EXIT.CONFIG);
+  assert.equal((await run(t, 'validate', '--format', 'xml', example)).code, EXIT.CONFIG);
+});
+
+test('--help prints usage and exits 0', async (t) => {
+  const { code, output } = await run(t, 'validate', '--help');
+  assert.equal(code, EXIT.OK);
+  assert.match(output, /Usage: smadr validate/);
+});
+
+test('mif rejects an out-of-range level', async (t) => {
+  assert.equal((await run(t, 'mif', '--level', '7')).code, EXIT.CONFIG);
+});
+
+test('mif keeps its annotations off stdout when a report owns it', async (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'smadr-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const mifConfig = join(dir, 'config.yml');
+  writeFileSync(mifConfig, 'version: 1\nmifConformanceLevel: 7\n');
+
+  for (const argv of [['--level', '7'], ['--config', mifConfig]]) {
+    const stdout = [];
+    const stderr = [];
+    t.mock.method(console, 'log', (...args) => stdout.push(args.join(' ')));
+    t.mock.method(console, 'error', (...args) => stderr.push(args.join(' ')));
+    assert.equal(await main(['mif', '--format', 'json', ...argv]), EXIT.CONFIG);
+    assert.deepEqual(stdout, []);
+    assert.match(stderr.join('\n'), /^::error/);
+  }
+});
+
+test('--fix-dry-run reports pending fixes and --fix applies them', async (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'smadr-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const adr = join(dir, '0001-example.md');
+  // Alone in the temp directory, so without links to sibling ADRs
+  const original = readFileSync(example, 'utf-8').replace(/^related:\n(?: {2}- .*\n)+/m, '');
+  const broken = original.replace('  - madr\n', '  - MADR\n');
+  writeFileSync(adr, broken);
+
+  const dryRun = await run(t, 'validate', '--fix-dry-run', adr);
+  assert.equal(dryRun.code, EXIT.FAILED);
+  assert.match(dryRun.output, /^- {2}- MADR\n\+ {2}- madr$/m);
+  assert.equal(readFileSync(adr, 'utf-8'), broken);
+
+  const fixed = await run(t, 'validate', '--fix', adr);
+  assert.equal(fixed.code, EXIT.OK);
+  assert.equal(readFileSync(adr, 'utf-8'), original);
+});
+
+test('new scaffolds the next numbered ADR', async (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'smadr-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  writeFileSync(join(dir, '0003-existing.md'), '');
+
+  const { code, output } = await run(t, 'new', 'Use Kafka for events', '--path', dir, '--tags', 'messaging,events');
+  assert.equal(code, EXIT.OK);
+  const file = join(dir, '0004-use-kafka-for-events.md');
+  assert.equal(output, file);
+  assert.match(readFileSync(file, 'utf-8'), /^tags:\n {2}- messaging\n {2}- events$/m);
+
+  assert.equal((await run(t, 'new', '--path', dir)).code, EXIT.CONFIG);
+  assert.equal((await run(t, 'new', 'X', '--path', dir, '--template', 'missing')).code, EXIT.CONFIG);
+});
+
+test('supersede rewrites both ADRs, or only previews them with --dry-run', async (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'smadr-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  cpSync(dirname(example), dir, { recursive: true });
+  const old = join(dir, '0002-github-action-validator.md');
+  const original = readFileSync(old, 'utf-8');
+
+  const preview = await run(t, 'supersede', '0002', '--by', '0003', '--path', dir, '--dry-run');
+  assert.equal(preview.code, EXIT.OK);
+  assert.match(preview.output, /^\+x-superseded-by: 0003-adopt-mif-compliance\.md$/m);
+  assert.equal(readFileSync(old, 'utf-8'), original);
+
+  assert.equal((await run(t, 'supersede', '0002', '--by', '0003', '--path', dir)).code, EXIT.OK);
+  assert.match(readFileSync(old, 'utf-8'), /^status: superseded$/m);
+
+  assert.equal((await run(t, 'supersede', '0002', '--by', '0042', '--path', dir)).code, EXIT.CONFIG);
+  assert.equal((await run(t, 'supersede', '0001', '--path', dir)).code, EXIT.CONFIG);
+});
+
+test('index updates the table between markers and --check detects drift', async (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'smadr-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  cpSync(dirname(example), dir, { recursive: true });
+  const readme = join(dir, 'README.md');
+  writeFileSync(readme, '# Decisions\n\n<!-- smadr-index:start -->\n<!-- smadr-index:end -->\n');
+
+  assert.equal((await run(t, 'index', dir, '--output', readme, '--check')).code, EXIT.FAILED);
+  assert.equal((await run(t, 'index', dir, '--output', readme)).code, EXIT.OK);
+  assert.match(readFileSync(readme, 'utf-8'), /^\| \[0003\]\(0003-adopt-mif-compliance\.md\) \|/m);
+  assert.equal((await run(t, 'index', dir, '--output', readme, '--check')).code, EXIT.OK);
+
+  assert.equal((await run(t, 'index', dir, '--format', 'yaml')).code, EXIT.CONFIG);
+  assert.equal((await run(t, 'index', dir, '--check')).code, EXIT.CONFIG);
+});
+
+test('index and graph take the ADR set from --config', async (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'smadr-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  cpSync(dirname(example), join(dir, 'adr'), { recursive: true });
+  const rc = join(dir, 'team.smadrrc');
+  writeFileSync(rc, 'path: adr\nignore: adr/0003-adopt-mif-compliance.md\n');
+
+  for (const command of ['index', 'graph']) {
+    const { code, output } = await run(t, command, '--config', rc, '--format', 'json');
+    assert.equal(code, EXIT.OK);
+    assert.match(output, /0002-github-action-validator/);
+    assert.doesNotMatch(output, /0003-adopt-mif-compliance/);
+    assert.equal((await run(t, command, '--config', join(dir, 'missing.yml'))).code, EXIT.CONFIG);
+  }
+});
+
+test('graph updates the Mermaid block between markers and --check detects drift', async (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'smadr-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  cpSync(dirname(example), dir, { recursive: true });
+  const readme = join(dir, 'README.md');
+  writeFileSync(readme, '# Decisions\n\n<!-- smadr-graph:start -->\n<!-- smadr-graph:end -->\n');
+
+  assert.equal((await run(t, 'graph', dir, '--output', readme, '--check')).code, EXIT.FAILED);
+  assert.equal((await run(t, 'graph', dir, '--output', readme)).code, EXIT.OK);
+  assert.match(readFileSync(readme, 'utf-8'), /^```mermaid\nflowchart LR\n/m);
+  assert.equal((await run(t, 'graph', dir, '--output', readme, '--check')).code, EXIT.OK);
+
+  const { output } = await run(t, 'graph', dir, '--path', dir, '--from', '0002', '--depth', '0', '--format', 'dot');
+  assert.match(output, /0002-github-action-validator\.md" \[label="ADR-0002: /);
+  assert.doesNotMatch(output, /0001-adopt/);
+  assert.equal((await run(t, 'graph', dir, '--format', 'svg')).code, EXIT.CONFIG);
+  assert.equal((await run(t, 'graph', dir, '--depth', '1')).code, EXIT.CONFIG);
+});
+
+test('audit reports overdue ADRs and exits 1 when anything needs review', async (t) => {
+  const dir = dirname(example);
+  const clean = await run(t, 'audit', dir, '--max-age', '100y');
+  assert.equal(clean.code, EXIT.OK);
+  assert.match(clean.output, /Nothing to review\./);
+
+  const overdue = await run(t, 'audit', dir, '--max-age', '1d', '--format', 'json');
+  assert.equal(overdue.code, EXIT.FAILED);
+  assert.equal(JSON.parse(overdue.output).overdue.length, 3);
+
+  assert.equal((await run(t, 'audit', dir, '--max-age', 'soon')).code, EXIT.CONFIG);
+  assert.equal((await run(t, 'audit', dir, '--format', 'csv')).code, EXIT.CONFIG);
+});
+
+test('audit add appends an entry, or previews it with --dry-run', async (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'smadr-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  cpSync(dirname(example), dir, { recursive: true });
+  const adr = join(dir, '0002-github-action-validator.md');
+  const original = readFileSync(adr, 'utf-8');
+
+  const preview = await run(t, 'audit', 'add', '0002', '--path', dir, '--status', 'Partial', '--finding', 'SARIF upload missing', '--dry-run');
+  assert.equal(preview.code, EXIT.OK);
+  assert.match(preview.output, /^\+\| SARIF upload missing \| - \| - \| partial \|$/m);
+  assert.equal(readFileSync(adr, 'utf-8'), original);
+
+  assert.equal((await run(t, 'audit', 'add', '0002', '--path', dir, '--status', 'Partial')).code, EXIT.OK);
+  assert.match(readFileSync(adr, 'utf-8'), /\*\*Status:\*\* Partial\n/);
+  assert.equal((await run(t, 'validate', adr)).code, EXIT.OK);
+
+  assert.equal((await run(t, 'audit', 'add', '0002', '--path', dir)).code, EXIT.CONFIG);
+  assert.equal((await run(t, 'audit', 'add', '0002', '--path', dir, '--status', 'Done')).code, EXIT.CONFIG);
+  assert.equal((await run(t, 'audit', 'add', '0009', '--path', dir, '--status', 'Pending')).code, EXIT.CONFIG);
+});
+
+test('plugins from --config add rules to validate and rules', async (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'smadr-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  cpSync(dirname(example), dir, { recursive: true });
+  writeFileSync(
+    join(dir, 'owner.js'),
+    "export default { name: 'house', rules: { 'house/owner': { severity: 'warn', description: 'Name an owner' } },\n" +
+      "  check: ({ frontmatter }) => (frontmatter.owner ? [] : [{ ruleId: 'house/owner', message: 'No owner', line: 1 }]) };\n"
+  );
+  const config = join(dir, 'smadr.yml');
+  writeFileSync(config, 'plugins:\n  - ./owner.js\nrules:\n  house/owner: error\n');
+
+  const rules = await run(t, 'rules', '--config', config);
+  assert.match(rules.output, /^house\/owner +error +Name an owner$/m);
+  const result = await run(t, 'validate', '--path', dir, '--pattern', '0001-*.md', '--config', config, '--no-history');
+  assert.equal(result.code, EXIT.FAILED);
+  assert.match(result.output, /No owner/);
+
+  writeFileSync(config, 'rules:\n  house/owner: error\n');
+  assert.equal((await run(t, 'validate', example, '--config', config)).code, EXIT.CONFIG);
+});
+
+test('a failing plugin is a configuration error, not a crash', async (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'smadr-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const config = join(dir, 'smadr.yml');
+  // A fresh file per plugin: imports are cached by path
+  const plugin = (file, check) => {
+    writeFileSync(join(dir, file), `export default { name: 'house', rules: {}, check: () => ${check} };\n`);
+    writeFileSync(config, `plugins:\n  - ./${file}\n`);
+  };
+
+  plugin('throws.js', "{ throw new Error('boom'); }");
+  for (const command of ['validate', 'lint']) {
+    const result = await run(t, command, example, '--config', config, '--no-history');
+    assert.equal(result.code, EXIT.CONFIG);
+    assert.match(result.output, new RegExp(`^smadr ${command}: Plugin 'house' failed on .*0001-adopt-structured-madr-format\\.md: boom$`));
+  }
+
+  plugin('unregistered.js', "[{ ruleId: 'house/owner', message: 'No owner' }]");
+  const result = await run(t, 'validate', example, '--config', config, '--no-history');
+  assert.equal(result.code, EXIT.CONFIG);
+  assert.match(result.output, /Plugin 'house' reported unregistered rule 'house\/owner'/);
+});
+
+test('history: false in .smadrrc turns the lifecycle checks off', async (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'smadr-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const git = (...args) => execFileSync('git', args, { cwd: dir, stdio: 'ignore' });
+  const file = join(dir, '0001-adopt-structured-madr-format.md');
+  git('init', '-q');
+  git('config', 'user.name', 'Test');
+  git('config', 'user.email', 'test@example.com');
+  cpSync(dirname(example), dir, { recursive: true });
+  git('add', '.');
+  git('commit', '-q', '-m', 'Accept');
+  const accepted = readFileSync(file, 'utf-8');
+  writeFileSync(file, accepted.replace('status: accepted', 'status: proposed').replace('\nAccepted\n', '\nProposed\n'));
+  git('commit', '-q', '-am', 'Back to proposed');
+
+  // Committed: still compared with the revision before, on every run
+  const result = await run(t, 'validate', file);
+  assert.equal(result.code, EXIT.FAILED);
+  assert.match(result.output, /smadr\/status-transition/);
+
+  const config = join(dir, 'smadr.yml');
+  writeFileSync(config, 'history: false\n');
+  assert.equal((await run(t, 'validate', file, '--config', config)).code, EXIT.OK);
+});
+
+test('an unexpected error has its own exit code', async (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'smadr-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  writeFileSync(join(dir, 'crash.js'), "export default { name: 'crash', rules: {}, fixes: [() => null.content] };\n");
+  const config = join(dir, 'smadr.yml');
+  writeFileSync(config, 'plugins:\n  - ./crash.js\n');
+
+  const result = await run(t, 'validate', example, '--config', config, '--fix-dry-run');
+  assert.equal(result.code, EXIT.INTERNAL);
+  assert.match(result.output, /^smadr validate: unexpected error\nTypeError: Cannot read properties of null/);
+});
+
+test('.smadrrc supplies paths and ignores, and nested files relax rules', async (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'smadr-'));
+  const cwd = process.cwd();
+  t.after(() => {
+    process.chdir(cwd);
+    rmSync(dir, { recursive: true, force: true });
+  });
+  const adrs = join(dir, 'adr');
+  cpSync(dirname(example), adrs, { recursive: true });
+  writeFileSync(join(adrs, 'README.md'), '# Decisions\n');
+  writeFileSync(join(dir, '.smadrrc'), 'path: adr\nignore: adr/README.md\n');
+  process.chdir(dir);
+
+  assert.equal((await run(t, 'validate', '--no-history')).code, EXIT.OK);
+
+  const legacy = join(adrs, '0002-github-action-validator.md');
+  writeFileSync(legacy, readFileSync(legacy, 'utf-8').replace('## Links', '## References'));
+  assert.equal((await run(t, 'validate', '--no-history')).code, EXIT.FAILED);
+  writeFileSync(join(adrs, '.smadrrc'), 'rules:\n  missing-section: off\n');
+  assert.equal((await run(t, 'validate', '--no-history')).code, EXIT.OK);
+
+  writeFileSync(join(adrs, '.smadrrc'), 'pattern: "*.md"\n');
+  assert.equal((await run(t, 'validate', '--no-history')).code, EXIT.CONFIG);
+  writeFileSync(join(dir, '.smadrrc'), 'paths: adr\n');
+  assert.equal((await run(t, 'validate')).code, EXIT.CONFIG);
+});
+
+test('the MIF commands read a .smadrrc outside the working directory through --smadrrc', async (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'smadr-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const adrs = join(dir, 'adr');
+  cpSync(dirname(example), adrs, { recursive: true });
+  const adr = join(adrs, '0001-adopt-structured-madr-format.md');
+  const original = readFileSync(adr, 'utf-8');
+  // Only projected from level 3, where MIF caps it at 500 characters
+  writeFileSync(adr, original.replace('---\n', `---\nsummary: ${'x'.repeat(501)}\n`));
+  const rc = join(dir, 'team.smadrrc');
+  writeFileSync(rc, 'path: adr\nmif:\n  level: 3\n');
+
+  const gate = await run(t, 'mif', '--smadrrc', rc);
+  assert.equal(gate.code, EXIT.FAILED);
+  assert.match(gate.output, /level 3, 3 ADR\(s\) under .*adr/);
+  assert.match(gate.output, /`summary` must NOT have more than 500 characters/);
+  writeFileSync(adr, original);
+  assert.equal((await run(t, 'mif', '--smadrrc', rc)).code, EXIT.OK);
+
+  const projected = await run(t, 'project', join(adrs, '0002-github-action-validator.md'), '--smadrrc', rc);
+  assert.ok(JSON.parse(projected.output).provenance);
+  assert.equal((await run(t, 'mif', '--smadrrc', join(dir, 'missing.yml'))).code, EXIT.CONFIG);
+});
+
+test('import-mif writes the ADR a MIF object projects from', async (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'smadr-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  cpSync(dirname(example), dir, { recursive: true });
+  rmSync(join(dir, '0003-adopt-mif-compliance.md'));
+  const source = join(dir, 'adr.jsonld');
+  const projected = (await run(t, 'project', join(dirname(example), '0003-adopt-mif-compliance.md'), '--level', '3')).output;
+  writeFileSync(source, projected);
+
+  const imported = await run(t, 'import-mif', source, '--path', dir, '--author', 'Importer');
+  assert.equal(imported.code, EXIT.OK);
+  const adr = join(dir, '0003-adopt-mif-compliance-selectable-l1-l2-l3.md');
+  assert.match(readFileSync(adr, 'utf-8'), /^author: Importer$/m);
+  assert.equal((await run(t, 'project', adr, '--level', '3')).output, projected);
+  assert.equal((await run(t, 'import-mif', source, '--path', dir)).code, EXIT.CONFIG);
+
+  writeFileSync(source, (await run(t, 'project', example, '--level', '1')).output);
+  const other = join(dir, 'other');
+  assert.equal((await run(t, 'import-mif', source, '--path', other, '--author', 'a')).code, EXIT.CONFIG);
+  assert.equal((await run(t, 'import-mif', source, '--path', other, '--author', 'a', '--category', 'docs')).code, EXIT.OK);
+  writeFileSync(source, '{ "@type": "Concept" }');
+  assert.equal((await run(t, 'import-mif', source, '--path', other)).code, EXIT.CONFIG);
+});
+
+test('mif export writes each projected ADR and the graph, only for a passing set', async (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'smadr-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const out = join(dir, 'mif');
+  const exported = await run(t, 'mif', 'export', '--level', '3', '--path', dirname(example), '--out', out);
+  assert.equal(exported.code, EXIT.OK);
+  assert.match(exported.output, /Exported 3 ADR\(s\) and graph\.jsonld/);
+  const adr = JSON.parse(readFileSync(join(out, '0002-github-action-validator.jsonld'), 'utf-8'));
+  assert.equal(adr.relationships[0].target, 'urn:mif:smadr:structured-madr:0001-adopt-structured-madr-format');
+  const graph = JSON.parse(readFileSync(join(out, 'graph.jsonld'), 'utf-8'));
+  assert.deepEqual(graph['@graph'][1], (({ '@context': context, ...object }) => object)(adr));
+
+  const broken = join(dir, 'adr');
+  cpSync(dirname(example), broken, { recursive: true });
+  writeFileSync(join(broken, '0004-draft.md'), '---\ntitle: Draft\n---\n');
+  const failed = await run(t, 'mif', 'export', '--path', broken, '--out', join(dir, 'none'));
+  assert.equal(failed.code, EXIT.FAILED);
+  assert.match(failed.output, /Nothing exported/);
+  assert.throws(() => readFileSync(join(dir, 'none', 'graph.jsonld')));
+});
+
+test('mif fails relationships that match no ADR in the set or the project map', async (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'smadr-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const adrs = join(dir, 'adr');
+  cpSync(dirname(example), adrs, { recursive: true });
+  const second = join(adrs, '0002-github-action-validator.md');
+  const original = readFileSync(second, 'utf-8');
+  const config = join(dir, 'config.yml');
+  writeFileSync(config, 'version: 1.0.0\nmifConformanceLevel: 2\n');
+
+  writeFileSync(second, original.replace('  - 0001-adopt-structured-madr-format.md', '  - 0001-adopt-structured-madr.md'));
+  const typo = await run(t, 'mif', '--path', adrs, '--config', config);
+  assert.equal(typo.code, EXIT.FAILED);
+  assert.match(typo.output, /line=\d+::relationship relates-to -> \/decisions\/0001-adopt-structured-madr\.md \(from frontmatter `related`\) matches no ADR/);
+
+  const external = 'urn:mif:smadr:payments:0004-use-kafka';
+  writeFileSync(
+    second,
+    original.replace('related:\n', `relationships:\n  - type: depends-on\n    target: ${external}\nrelated:\n`)
+  );
+  assert.equal((await run(t, 'mif', '--path', adrs, '--config', config)).code, EXIT.FAILED);
+
+  const payments = join(dir, 'payments.jsonld');
+  writeFileSync(payments, JSON.stringify({ '@graph': [{ '@id': external }] }));
+  writeFileSync(config, `version: 1.0.0\nmifConformanceLevel: 2\nprojects:\n  payments: ${payments}\n`);
+  assert.equal((await run(t, 'mif', '--path', adrs, '--config', config)).code, EXIT.OK);
+
+  writeFileSync(config, `version: 1.0.0\nmifConformanceLevel: 2\nprojects:\n  payments: ${join(dir, 'nowhere')}\n`);
+  assert.equal((await run(t, 'mif', '--path', adrs, '--config', config)).code, EXIT.CONFIG);
+});
+
+test('mif traces profile failures to the frontmatter key and line to edit', async (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'smadr-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const adr = join(dir, '0001-adopt-structured-madr-format.md');
+  // Alone in the temp directory, so without links to sibling ADRs
+  const original = readFileSync(example, 'utf-8').replace(/^related:\n(?: {2}- .*\n)+/m, '');
+  writeFileSync(adr, original.replace(/^created: .*\n/m, '').replace(/^updated: .*/m, 'updated: soon'));
+  const report = join(dir, 'report.json');
+  const { code, output } = await run(t, 'mif', '--level', '3', '--path', dir, '--format', 'json', '--output', report);
+  assert.equal(code, EXIT.FAILED);
+  const lines = readFileSync(adr, 'utf-8').split('\n');
+  const [result] = JSON.parse(readFileSync(report, 'utf-8')).results;
+  assert.deepEqual(
+    result.messages.map((m) => [m.message, m.line]),
+    [
+      ['MIF L3: `created` is derived from frontmatter `created`; it is not set', lines.indexOf('---', 1) + 1],
+      ['MIF L3: `modified` must match format "date-time"; it is derived from frontmatter `updated`', lines.indexOf('updated: soon') + 1],
+      ['MIF L3: `temporal.validFrom` is derived from frontmatter `created`; it is not set', lines.indexOf('---', 1) + 1],
+    ]
+  );
+  assert.match(output, /::error file=.*,line=\d+::MIF L3: `created` is derived/);
+});
+
+test('mif upgrade-plan lists what the target level needs and --apply adds the defaults', async (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'smadr-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  cpSync(dirname(example), dir, { recursive: true });
+  const adr = join(dir, '0001-adopt-structured-madr-format.md');
+  const original = readFileSync(adr, 'utf-8');
+
+  const plan = await run(t, 'mif', 'upgrade-plan', '--to', '3', '--path', dir);
+  assert.equal(plan.code, EXIT.OK);
+  assert.match(plan.output, /MIF upgrade plan: level 2 -> 3, 3 ADR\(s\)/);
+  assert.match(plan.output, /provenance: \{"sourceType":"user_explicit","trustLevel":"user_stated","agent":"Project Maintainers"\}/);
+  assert.equal(readFileSync(adr, 'utf-8'), original);
+
+  const applied = await run(t, 'mif', 'upgrade-plan', '--to', '3', '--path', dir, '--apply');
+  assert.equal(applied.code, EXIT.OK);
+  assert.match(readFileSync(adr, 'utf-8'), /^provenance:\n {2}sourceType: user_explicit\n/m);
+  assert.equal((await run(t, 'validate', '--path', dir)).code, EXIT.OK);
+  assert.equal((await run(t, 'mif', '--level', '3', '--path', dir)).code, EXIT.OK);
+
+  assert.equal((await run(t, 'mif', 'upgrade-plan', '--path', dir)).code, EXIT.CONFIG);
+});
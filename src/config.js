@@ -0,0 +1,272 @@
+/**
+ * Validator configuration file (.smadrrc).
+ *
+ * A YAML or JSON document in the repository root, checked against
+ * schemas/smadrrc.schema.json. It sets where ADRs live, rule severities, the
+ * body structure, where `smadr new` looks for templates, when `smadr audit`
+ * considers an audit overdue, which statuses exist and which status changes are
+ * allowed, which plugins add house rules (see plugins.js) and the MIF level:
+ *
+ *   extends: ./node_modules/@acme/adr-preset/.smadrrc.yml   # or a list
+ *   path: docs/decisions
+ *   pattern: '[0-9]*.md'
+ *   ignore: [docs/decisions/README.md]
+ *   schema: adr/schema.json
+ *   rules:
+ *     smadr/section-order: error
+ *     option-risk-assessment: off
+ *     acme/threat-model-link: warn   # a plugin rule
+ *   body:                            # as the body block of a custom schema
+ *     optional_sections: [Compliance]
+ *   plugins:                         # paths, or packages (resolved from this file)
+ *     - ./tools/adr-rules.js
+ *     - '@acme/smadr-plugin'
+ *   templates: .adr-templates        # or a list
+ *   audit:
+ *     maxAge: 6m                     # days, or <n>d / <n>w / <n>m / <n>y
+ *   statuses:                        # replaces the built-in vocabulary
+ *     proposed: { active: true }     # flags: see statuses.js
+ *     accepted: { active: true }
+ *     rejected: { terminal: true }
+ *   auditStatuses: [Pending, Compliant, Non-Compliant, Partial]
+ *   history: false                   # skip the lifecycle checks against git
+ *   transitions:                     # replaces the default lifecycle
+ *     proposed: [accepted, rejected]
+ *   mif:
+ *     level: 3
+ *     projects:                      # other projects' ADRs, for relationship targets
+ *       payments: ../payments/docs/decisions
+ *
+ * Relative paths are relative to the file that sets them. A .smadrrc in a
+ * directory below the root one overrides DIRECTORY_KEYS for the ADRs under it
+ * (see configResolver()).
+ */
+
+import { readFileSync, existsSync } from 'node:fs';
+import { join, dirname, resolve, isAbsolute, relative } from 'node:path';
+import { createRequire } from 'node:module';
+import { fileURLToPath } from 'node:url';
+import Ajv from 'ajv';
+import { globSync } from 'glob';
+import { parse as parseYaml } from 'yaml';
+import { resolveSeverities, ruleId } from './rules.js';
+import { parsePeriod } from './audit.js';
+import { checkTransitions } from './history.js';
+import { resolveStatuses } from './statuses.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// JSON Schema for .smadrrc, shipped with the package
+export const CONFIG_SCHEMA_PATH = join(__dirname, '..', 'schemas', 'smadrrc.schema.json');
+
+// Looked up in this order; the first one found wins
+export const CONFIG_FILES = Object.freeze([
+  '.smadrrc',
+  '.smadrrc.json',
+  '.smadrrc.yml',
+  '.smadrrc.yaml',
+]);
+
+// Settings that apply per ADR, and so may be overridden for a directory
+export const DIRECTORY_KEYS = Object.freeze(['rules', 'body', 'schema', 'ignore']);
+
+// Path-valued settings, resolved against the directory of the file that sets
+// them; the list ones also accept a single path
+const PATH_KEYS = ['path', 'schema'];
+const PATH_LIST_KEYS = ['templates', 'ignore'];
+
+// Settings merged key by key (the rest are replaced as a whole), and lists
+// that accumulate
+const MAPPING_KEYS = ['rules', 'body', 'audit', 'mif'];
+const LIST_KEYS = ['ignore', 'plugins'];
+
+let validateSchema = null;
+
+/**
+ * Find the config file in a directory, or null when there is none.
+ */
+export function findConfigFile(dir = process.cwd()) {
+  for (const name of CONFIG_FILES) {
+    const candidate = join(dir, name);
+    if (existsSync(candidate)) return candidate;
+  }
+  return null;
+}
+
+/**
+ * Message for the first schema violation, naming the offending key.
+ */
+function schemaError(errors) {
+  const [error] = errors;
+  const key = error.instancePath.slice(1).replaceAll('/', '.');
+  if (error.keyword === 'additionalProperties') {
+    return `${key ? `${key}: ` : ''}unknown key '${error.params.additionalProperty}'`;
+  }
+  return `'${key}' ${error.message}`;
+}
+
+/**
+ * Parse a config file and check it against the schema, with relative paths
+ * resolved against its directory. `extends` is left for loadConfigFile().
+ */
+function readConfigFile(filePath) {
+  let config;
+  try {
+    config = parseYaml(readFileSync(filePath, 'utf-8')) ?? {};
+  } catch (error) {
+    throw new Error(`Failed to load ${filePath}: ${error.message}`);
+  }
+  if (typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`${filePath} must contain a mapping`);
+  }
+
+  if (!validateSchema) validateSchema = new Ajv({ strict: false }).compile(JSON.parse(readFileSync(CONFIG_SCHEMA_PATH, 'utf-8')));
+  if (!validateSchema(config)) throw new Error(`${filePath}: ${schemaError(validateSchema.errors)}`);
+
+  const dir = dirname(filePath);
+  const local = (p) => p.startsWith('.') || isAbsolute(p);
+  // Packages resolve from the config file, so they come from the project's own node_modules
+  const require = createRequire(filePath);
+  const located = (key, p) => {
+    if (local(p)) return resolve(dir, p);
+    try {
+      return require.resolve(p);
+    } catch (error) {
+      throw new Error(`${filePath}: cannot resolve ${key} '${p}': ${error.message}`);
+    }
+  };
+  const { $schema, ...own } = config;
+  for (const key of PATH_KEYS.filter((k) => own[k] !== undefined)) own[key] = resolve(dir, own[key]);
+  for (const key of PATH_LIST_KEYS.filter((k) => own[k] !== undefined)) {
+    own[key] = [own[key]].flat().map((p) => resolve(dir, p));
+  }
+  if (own.plugins) own.plugins = own.plugins.map((p) => located('plugin', p));
+  if (own.mif?.projects) {
+    own.mif = {
+      ...own.mif,
+      projects: Object.fromEntries(Object.entries(own.mif.projects).map(([name, p]) => [name, resolve(dir, p)])),
+    };
+  }
+  if (own.extends !== undefined) own.extends = [own.extends].flat().map((p) => located('extends', p));
+  return own;
+}
+
+/**
+ * `override` layered over `base`: MAPPING_KEYS merge key by key, LIST_KEYS
+ * accumulate, and every other setting replaces the base one.
+ */
+export function mergeConfigs(base, override) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    if (MAPPING_KEYS.includes(key)) merged[key] = { ...base[key], ...value };
+    else if (LIST_KEYS.includes(key)) merged[key] = [...new Set([...(base[key] ?? []), ...value])];
+    else merged[key] = value;
+  }
+  return merged;
+}
+
+/**
+ * A config file with everything it `extends` merged underneath it, in order.
+ */
+function resolveExtends(filePath, chain = []) {
+  if (chain.includes(filePath)) {
+    throw new Error(`${filePath}: extends loops: ${[...chain, filePath].join(' -> ')}`);
+  }
+  if (chain.length && !existsSync(filePath)) throw new Error(`${chain.at(-1)}: extends a missing file ${filePath}`);
+  const { extends: bases = [], ...own } = readConfigFile(filePath);
+  const inherited = bases.reduce((config, base) => mergeConfigs(config, resolveExtends(base, [...chain, filePath])), {});
+  return mergeConfigs(inherited, own);
+}
+
+/**
+ * Load and check a config file, with the files it extends. YAML is a superset
+ * of JSON, so one parser handles every supported extension.
+ *
+ * Throws on unreadable or malformed files, anything the schema rejects, and
+ * unknown rules, statuses or periods: a broken config must never silently
+ * fall back to defaults. Rules of other namespaces belong to plugins and are
+ * checked once those are loaded.
+ */
+export function loadConfigFile(filePath) {
+  const config = resolveExtends(resolve(filePath));
+
+  try {
+    const builtIn = Object.entries(config.rules ?? {}).filter(([name]) => ruleId(name).startsWith('smadr/'));
+    resolveSeverities(Object.fromEntries(builtIn));
+    if (config.audit?.maxAge !== undefined) {
+      try {
+        parsePeriod(config.audit.maxAge);
+      } catch (error) {
+        throw new Error(`audit.maxAge: ${error.message}`);
+      }
+    }
+    const statuses = resolveStatuses(config.statuses, config.auditStatuses);
+    if (config.transitions !== undefined) checkTransitions(config.transitions, statuses);
+  } catch (error) {
+    throw new Error(`${filePath}: ${error.message}`);
+  }
+
+  return config;
+}
+
+/**
+ * Per-file configuration: `rootConfig` with every config file found in the
+ * directories from `rootDir` down to the file's own merged on top, the
+ * nearest last. Those nested files may only set DIRECTORY_KEYS (directly or
+ * through `extends`); files outside `rootDir` get `rootConfig` as it is.
+ *
+ * @returns {(filePath: string) => object}  throws on a malformed nested file
+ */
+export function configResolver(rootConfig = {}, rootDir = process.cwd()) {
+  const root = resolve(rootDir);
+  const cache = new Map([[root, rootConfig]]);
+  const forDir = (dir) => {
+    if (cache.has(dir)) return cache.get(dir);
+    const inside = relative(root, dir);
+    if (!inside || inside.startsWith('..') || isAbsolute(inside)) return rootConfig;
+
+    let config = forDir(dirname(dir));
+    const file = findConfigFile(dir);
+    if (file) {
+      const own = loadConfigFile(file);
+      const key = Object.keys(own).find((k) => !DIRECTORY_KEYS.includes(k));
+      if (key) throw new Error(`${file}: '${key}' can only be set in the root config`);
+      config = mergeConfigs(config, own);
+    }
+    cache.set(dir, config);
+    return config;
+  };
+  return (filePath) => forDir(dirname(resolve(filePath)));
+}
+
+/**
+ * `configFor` for validateFiles(): the rules, body and schema that apply to a
+ * file under configResolver(), with the rules checked against `registry` (the
+ * built-in rules and the plugins'), so an unknown plugin rule in a nested
+ * config fails as it would in the root one.
+ *
+ * @param {object} registry      ruleRegistry() of the loaded plugins
+ * @param {function} schemaFor   file's config -> loaded schema
+ * @returns {(filePath: string) => { rules, body, schema }}  throws on a bad config
+ */
+export function validationConfigFor(rootConfig, registry, schemaFor, rootDir = process.cwd()) {
+  const resolveFor = configResolver(rootConfig, rootDir);
+  return (filePath) => {
+    const own = resolveFor(filePath);
+    resolveSeverities(own.rules, registry);
+    return { rules: own.rules, body: own.body, schema: schemaFor(own) };
+  };
+}
+
+const ignoredFiles = new WeakMap();
+
+/**
+ * True when the file matches one of the config's `ignore` globs.
+ */
+export function isIgnored(filePath, config) {
+  if (!config.ignore?.length) return false;
+  if (!ignoredFiles.has(config)) {
+    ignoredFiles.set(config, new Set(globSync(config.ignore, { nodir: true, absolute: true })));
+  }
+  return ignoredFiles.get(config).has(resolve(filePath));
+}
@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFileSync, mkdirSync, mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { loadConfigFile, mergeConfigs, configResolver, validationConfigFor, isIgnored } from './config.js';
+import { RULES } from './rules.js';
+
+/**
+ * Temporary directory with the given files (path -> content).
+ */
+function tree(t, files) {
+  const dir = mkdtempSync(join(tmpdir(), 'smadr-config-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  for (const [name, content] of Object.entries(files)) {
+    mkdirSync(join(dir, name, '..'), { recursive: true });
+    writeFileSync(join(dir, name), content);
+  }
+  return dir;
+}
+
+// First, as the schema validator is compiled once per process
+test('loading a config prints nothing', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const dir = tree(t, { '.smadrrc': 'audit:\n  maxAge: 6m\n' });
+  assert.equal(loadConfigFile(join(dir, '.smadrrc')).audit.maxAge, '6m');
+  assert.equal(warn.mock.callCount(), 0);
+});
+
+test('extends layers presets under the file, in order', (t) => {
+  const dir = tree(t, {
+    'node_modules/@acme/adr-preset/package.json': '{ "name": "@acme/adr-preset", "main": "preset.yml" }',
+    'node_modules/@acme/adr-preset/preset.yml':
+      'rules:\n  section-order: error\n  duplicate-tags: error\nschema: house.schema.json\nmif:\n  level: 3\n',
+    'team.yml': 'rules:\n  duplicate-tags: off\nignore: docs/README.md\n',
+    '.smadrrc': 'extends: ["@acme/adr-preset", ./team.yml]\npath: docs\nignore: [docs/index.md]\nmif:\n  level: 2\n',
+  });
+  assert.deepEqual(loadConfigFile(join(dir, '.smadrrc')), {
+    rules: { 'section-order': 'error', 'duplicate-tags': 'off' },
+    schema: join(dir, 'node_modules/@acme/adr-preset/house.schema.json'),
+    mif: { level: 2 },
+    ignore: [join(dir, 'docs/README.md'), join(dir, 'docs/index.md')],
+    path: join(dir, 'docs'),
+  });
+});
+
+test('config files fail closed on schema violations and broken extends', (t) => {
+  const dir = tree(t, {
+    'typo.yml': 'rule:\n  section-order: error\n',
+    'level.yml': 'mif:\n  level: 4\n',
+    'body.yml': 'body:\n  sections: Status\n',
+    'a.yml': 'extends: ./b.yml\n',
+    'b.yml': 'extends: ./a.yml\n',
+    'missing.yml': 'extends: ./nowhere.yml\n',
+    'package.yml': 'extends: no-such-preset\n',
+  });
+  const load = (name) => () => loadConfigFile(join(dir, name));
+  assert.throws(load('typo.yml'), /unknown key 'rule'/);
+  assert.throws(load('level.yml'), /'mif.level' must be equal to one of the allowed values/);
+  assert.throws(load('body.yml'), /'body.sections' must be array/);
+  assert.throws(load('a.yml'), /extends loops: .*a\.yml -> .*b\.yml -> .*a\.yml/);
+  assert.throws(load('missing.yml'), /extends a missing file .*nowhere\.yml/);
+  assert.throws(load('package.yml'), /cannot resolve extends 'no-such-preset'/);
+});
+
+test('mergeConfigs merges mappings, accumulates lists and replaces the rest', () => {
+  const merged = mergeConfigs(
+    { rules: { a: 'warn', b: 'warn' }, plugins: ['x'], pattern: '*.md', statuses: { draft: null } },
+    { rules: { b: 'off' }, plugins: ['x', 'y'], statuses: { accepted: null } }
+  );
+  assert.deepEqual(merged, {
+    rules: { a: 'warn', b: 'off' },
+    plugins: ['x', 'y'],
+    pattern: '*.md',
+    statuses: { accepted: null },
+  });
+});
+
+test('nested config files override per-ADR settings for their directory', (t) => {
+  const dir = tree(t, {
+    '.smadrrc': 'rules:\n  section-order: error\n',
+    'docs/0001-a.md': '',
+    'docs/legacy/.smadrrc.yml': 'rules:\n  section-order: off\nignore: README.md\n',
+    'docs/legacy/README.md': '',
+    'docs/legacy/old/0002-b.md': '',
+    'other/.smadrrc': 'path: elsewhere\n',
+  });
+  const root = loadConfigFile(join(dir, '.smadrrc'));
+  const configFor = configResolver(root, dir);
+
+  assert.equal(configFor(join(dir, 'docs/0001-a.md')), root);
+  assert.deepEqual(configFor(join(dir, 'docs/legacy/old/0002-b.md')).rules, { 'section-order': 'off' });
+  assert.equal(configFor(join(tmpdir(), 'outside.md')), root);
+  assert.throws(() => configFor(join(dir, 'other/0003-c.md')), /'path' can only be set in the root config/);
+
+  assert.ok(isIgnored(join(dir, 'docs/legacy/README.md'), configFor(join(dir, 'docs/legacy/README.md'))));
+  assert.ok(!isIgnored(join(dir, 'docs/0001-a.md'), root));
+});
+
+test('validationConfigFor checks nested rules against the rule registry', (t) => {
+  const dir = tree(t, {
+    '.smadrrc': 'rules:\n  section-order: error\n',
+    'docs/0001-a.md': '',
+    'docs/plugin/.smadrrc': 'rules:\n  acme/owner: error\n',
+    'docs/plugin/0002-b.md': '',
+  });
+  const root = loadConfigFile(join(dir, '.smadrrc'));
+  const schemaFor = (own) => own.schema ?? 'default';
+
+  const configFor = validationConfigFor(root, RULES, schemaFor, dir);
+  assert.deepEqual(configFor(join(dir, 'docs/0001-a.md')), { rules: root.rules, body: undefined, schema: 'default' });
+  assert.throws(() => configFor(join(dir, 'docs/plugin/0002-b.md')), /Unknown rule 'acme\/owner'/);
+
+  const registry = { ...RULES, 'acme/owner': { severity: 'warn' } };
+  assert.deepEqual(validationConfigFor(root, registry, schemaFor, dir)(join(dir, 'docs/plugin/0002-b.md')).rules, {
+    'section-order': 'error',
+    'acme/owner': 'error',
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * Repository-level checks across every matched ADR.
+ *
+ * Single-file validation cannot see the decision graph, so this pass looks at
+ * the set as a whole: file naming (SPECIFICATION.md §5), ADR numbering, links
+ * in `related` / `x-superseded-by`, and the supersession graph. Findings are
+ * keyed by file and reported through each file's ValidationResult, so rule
+ * severities and inline suppressions apply as usual.
+ */
+
+import { existsSync } from 'node:fs';
+import { basename, dirname, join } from 'node:path';
+import { resolveStatuses } from './statuses.js';
+
+// SPECIFICATION.md §5: {NUMBER}-{slug}.md or adr_{NUMBER}.md, NUMBER zero-padded
+export const FILE_NAME_PATTERN = /^(?:(\d{4,})-[a-z0-9]+(?:-[a-z0-9]+)*|adr_(\d{4,}))\.md$/;
+
+/**
+ * ADR number encoded in a file name, or null.
+ */
+export function fileNumber(fileName) {
+  const match = fileName.match(/^(?:adr_)?(\d+)(?:-|\.md$)/);
+  return match ? Number(match[1]) : null;
+}
+
+function pad(number) {
+  return String(number).padStart(4, '0');
+}
+
+/**
+ * 1-based line of a frontmatter key, or of `value` within that key's entry.
+ */
+function keyLine(doc, key, value) {
+  const start = doc.lines.findIndex((l, i) => i < doc.frontmatterEndLine && l.startsWith(`${key}:`));
+  if (start === -1) return null;
+  if (value === undefined) return start + 1;
+  for (let i = start; i < doc.frontmatterEndLine - 1; i++) {
+    if (i > start && /^\S/.test(doc.lines[i])) break;
+    if (doc.lines[i].includes(value)) return i + 1;
+  }
+  return start + 1;
+}
+
+/**
+ * True when `successor` records that it supersedes `doc`: `related` lists it,
+ * or the body says "Supersedes ADR-NNNN" (SPECIFICATION.md §4.2).
+ */
+function linksBack(successor, doc) {
+  const related = Array.isArray(successor.frontmatter.related) ? successor.frontmatter.related : [];
+  if (related.includes(doc.name)) return true;
+  return doc.number !== null && new RegExp(`supersedes\\s+\\[?ADR-0*${doc.number}\\b`, 'i').test(successor.content);
+}
+
+/**
+ * Build the decision graph and collect cross-file findings.
+ *
+ * @param {Array<object>} documents  { filePath, content, frontmatter, headings,
+ *                                     frontmatterEndLine } for every parsed ADR
+ * @param {object} options           { titlePattern, statuses } (titlePattern:
+ *                                     group 1 is the number; statuses: the
+ *                                     resolved vocabulary, see statuses.js)
+ * @returns {{ documents: Map<string, object>, findings: Map<string, Array<object>> }}
+ *          documents keyed by path; findings as { ruleId, message, line } per path
+ */
+export function buildCorpus(documents, { titlePattern, statuses = resolveStatuses() } = {}) {
+  const findings = new Map();
+  const report = (doc, ruleId, message, line = null) => {
+    if (!findings.has(doc.filePath)) findings.set(doc.filePath, []);
+    findings.get(doc.filePath).push({ ruleId, message, line });
+  };
+
+  const docs = new Map(
+    documents.map((d) => {
+      const h1 = d.headings.find((h) => h.level === 1);
+      const titleNumber = h1 && titlePattern ? h1.text.match(titlePattern)?.[1] : undefined;
+      const name = basename(d.filePath);
+      return [
+        d.filePath,
+        {
+          ...d,
+          name,
+          frontmatter: d.frontmatter ?? {},
+          lines: d.content.split('\n'),
+          h1,
+          number: /^\d+$/.test(titleNumber ?? '') ? Number(titleNumber) : fileNumber(name),
+        },
+      ];
+    })
+  );
+  const resolve = (doc, target) => join(dirname(doc.filePath), target);
+  // Documents in the set count as existing, even before they are written
+  const exists = (path) => docs.has(path) || existsSync(path);
+
+  for (const doc of docs.values()) {
+    // File naming
+    if (!FILE_NAME_PATTERN.test(doc.name)) {
+      report(
+        doc,
+        'smadr/file-name',
+        `File name '${doc.name}' should be {NUMBER}-{slug}.md or adr_{NUMBER}.md with a zero-padded number and lowercase slug`
+      );
+    } else if (doc.number !== null && fileNumber(doc.name) !== doc.number) {
+      report(
+        doc,
+        'smadr/file-name',
+        `File name number ${pad(fileNumber(doc.name))} differs from the title's ADR-${pad(doc.number)}`,
+        doc.h1?.line
+      );
+    }
+
+    // Links
+    const { related, status } = doc.frontmatter;
+    const supersededBy = doc.frontmatter['x-superseded-by'];
+    for (const target of Array.isArray(related) ? related : []) {
+      if (typeof target === 'string' && !exists(resolve(doc, target))) {
+        report(doc, 'smadr/broken-link', `related: '${target}' does not exist`, keyLine(doc, 'related', target));
+      }
+    }
+    if (typeof supersededBy === 'string' && !exists(resolve(doc, supersededBy))) {
+      report(
+        doc,
+        'smadr/broken-link',
+        `x-superseded-by: '${supersededBy}' does not exist`,
+        keyLine(doc, 'x-superseded-by')
+      );
+    }
+    if (statuses.replaced && status === statuses.replaced && !supersededBy) {
+      report(
+        doc,
+        'smadr/superseded-without-successor',
+        `Status is '${status}' but 'x-superseded-by' names no successor`,
+        keyLine(doc, 'status')
+      );
+    }
+
+    // The successor must acknowledge the decision it replaces
+    const successor = supersededBy ? docs.get(resolve(doc, supersededBy)) : null;
+    if (successor && successor !== doc && !linksBack(successor, doc)) {
+      report(
+        doc,
+        'smadr/supersession-backlink',
+        `Successor '${successor.name}' does not link back: add '${doc.name}' to its related list or note "Supersedes ADR-${pad(doc.number ?? 0)}"`,
+        keyLine(doc, 'x-superseded-by')
+      );
+    }
+  }
+
+  // Numbering, per directory so separate ADR sets don't collide
+  const byDir = Map.groupBy([...docs.values()].filter((d) => d.number !== null), (d) => dirname(d.filePath));
+  for (const group of byDir.values()) {
+    const byNumber = Map.groupBy(group, (d) => d.number);
+    for (const [number, same] of byNumber) {
+      if (same.length < 2) continue;
+      for (const doc of same) {
+        const others = same.filter((d) => d !== doc).map((d) => d.name);
+        report(doc, 'smadr/duplicate-number', `ADR-${pad(number)} is also used by ${others.join(', ')}`, doc.h1?.line);
+      }
+    }
+
+    const numbers = [...byNumber.keys()].sort((a, b) => a - b);
+    for (let i = 1; i < numbers.length; i++) {
+      if (numbers[i] - numbers[i - 1] <= 1) continue;
+      const missing = numbers[i] - numbers[i - 1] === 2
+        ? `ADR-${pad(numbers[i - 1] + 1)} is missing`
+        : `ADR-${pad(numbers[i - 1] + 1)} to ADR-${pad(numbers[i] - 1)} are missing`;
+      for (const doc of byNumber.get(numbers[i])) {
+        report(doc, 'smadr/number-gap', `Numbering gap before ADR-${pad(numbers[i])}: ${missing}`, doc.h1?.line);
+      }
+    }
+  }
+
+  // Supersession cycles: follow each x-superseded-by chain until it ends or loops
+  const inCycle = new Set();
+  for (const start of docs.values()) {
+    const path = [];
+    let doc = start;
+    while (doc && !path.includes(doc) && !inCycle.has(doc)) {
+      path.push(doc);
+      const next = doc.frontmatter['x-superseded-by'];
+      doc = typeof next === 'string' ? docs.get(resolve(doc, next)) : null;
+    }
+    if (!doc || inCycle.has(doc)) continue;
+
+    const cycle = path.slice(path.indexOf(doc));
+    const chain = [...cycle, doc].map((d) => d.name).join(' -> ');
+    for (const member of cycle) {
+      inCycle.add(member);
+      report(member, 'smadr/supersession-cycle', `Supersession cycle: ${chain}`, keyLine(member, 'x-superseded-by'));
+    }
+  }
+
+  return { documents: docs, findings };
+}
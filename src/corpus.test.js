@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, writeFileSync, mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { validateFiles } from './validate.js';
+import { fileNumber } from './corpus.js';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+const exampleText = readFileSync(
+  join(root, 'examples', '0001-use-rust-implementation-language.md'),
+  'utf-8'
+);
+
+/**
+ * An ADR derived from the example, with its number and frontmatter replaced.
+ */
+function adr(number, frontmatter = '') {
+  return exampleText
+    .replace(/^related:\n(?: {2}- .*\n)+/m, frontmatter)
+    .replace('# ADR-0001:', `# ADR-${number}:`);
+}
+
+/**
+ * Write ADRs into a temp directory and validate them as one set.
+ */
+function validateSet(t, files) {
+  const dir = mkdtempSync(join(tmpdir(), 'smadr-corpus-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const paths = Object.entries(files).map(([name, content]) => {
+    writeFileSync(join(dir, name), content);
+    return join(dir, name);
+  });
+  // The fixtures change frontmatter only; the body's Status checks are not under test
+  const summary = validateFiles(paths, { rules: { 'status-body-mismatch': 'off', 'successor-not-named': 'off' } });
+  const findings = {};
+  for (const r of summary.results) {
+    const name = r.filePath.slice(dir.length + 1);
+    findings[name] = [...r.errors, ...r.warnings].map((f) => `${f.ruleId}@${f.line ?? '-'}`);
+  }
+  return findings;
+}
+
+test('fileNumber reads both naming conventions', () => {
+  assert.equal(fileNumber('0042-use-kafka.md'), 42);
+  assert.equal(fileNumber('adr_0007.md'), 7);
+  assert.equal(fileNumber('README.md'), null);
+});
+
+test('numbering: duplicates, gaps and file names', (t) => {
+  const findings = validateSet(t, {
+    '0001-first.md': adr('0001'),
+    '0002-second.md': adr('0002'),
+    '0002-clash.md': adr('0002'),
+    '0005-after-gap.md': adr('0005'),
+    'Decision_6.md': adr('0006'),
+    '0008-mislabelled.md': adr('0007'),
+  });
+
+  assert.deepEqual(findings['0001-first.md'], []);
+  assert.deepEqual(findings['0002-second.md'], ['smadr/duplicate-number@26']);
+  assert.deepEqual(findings['0002-clash.md'], ['smadr/duplicate-number@26']);
+  assert.deepEqual(findings['0005-after-gap.md'], ['smadr/number-gap@26']);
+  assert.deepEqual(findings['Decision_6.md'], ['smadr/file-name@-']);
+  assert.deepEqual(findings['0008-mislabelled.md'], ['smadr/file-name@26']);
+});
+
+test('links and supersession graph', (t) => {
+  const successor = (name) => `x-superseded-by: ${name}\n`;
+  const findings = validateSet(t, {
+    '0001-broken.md': adr('0001', 'related:\n  - 0002-orphaned.md\n  - 0099-missing.md\n'),
+    '0002-orphaned.md': adr('0002').replace('status: accepted', 'status: superseded'),
+    '0003-old.md': adr('0003', successor('0004-new.md')).replace('status: accepted', 'status: superseded'),
+    '0004-new.md': adr('0004'),
+    '0005-acknowledged.md': adr('0005', successor('0006-replacement.md')),
+    '0006-replacement.md': adr('0006').replace('\nAccepted\n', '\nAccepted\n\nSupersedes ADR-0005\n'),
+    '0007-loop.md': adr('0007', 'related:\n  - 0008-loop.md\n' + successor('0008-loop.md')),
+    '0008-loop.md': adr('0008', 'related:\n  - 0007-loop.md\n' + successor('0007-loop.md')),
+  });
+
+  assert.deepEqual(findings['0001-broken.md'], ['smadr/broken-link@26']);
+  assert.deepEqual(findings['0002-orphaned.md'], ['smadr/superseded-without-successor@12']);
+  assert.deepEqual(findings['0003-old.md'], ['smadr/supersession-backlink@24']);
+  assert.deepEqual(findings['0005-acknowledged.md'], []);
+  assert.deepEqual(findings['0007-loop.md'], ['smadr/supersession-cycle@26']);
+  assert.deepEqual(findings['0008-loop.md'], ['smadr/supersession-cycle@26']);
+});
+
+test('corpus findings honour severities, suppressions and corpus: false', (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'smadr-corpus-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const file = join(dir, 'notes.md');
+  writeFileSync(file, adr('0001'));
+
+  const codes = (options) => {
+    const [result] = validateFiles([file], options).results;
+    return [...result.errors, ...result.warnings].map((f) => f.ruleId);
+  };
+  assert.deepEqual(codes(), ['smadr/file-name']);
+  assert.deepEqual(codes({ rules: { 'file-name': 'off' } }), []);
+  assert.deepEqual(codes({ corpus: false }), []);
+
+  writeFileSync(file, adr('0001').replace('\n## Status', '\n<!-- smadr-disable file-name -->\n\n## Status'));
+  assert.deepEqual(codes(), []);
+});
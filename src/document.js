@@ -0,0 +1,163 @@
+/**
+ * Typed document model of an ADR: the frontmatter plus the body as data.
+ *
+ * Built from the same CommonMark parse the validator checks, so dashboards and
+ * the MIF projector read exactly what validation saw. The shape is published as
+ * schemas/adr-document.schema.json. Prose sections keep their Markdown source;
+ * list items, labelled fields and table cells are plain text.
+ */
+
+import { nodeText, sectionChildren, boldLabels } from '../.github/bin/markdown.js';
+
+// Bumped whenever the shape of the model changes
+export const DOCUMENT_VERSION = 1;
+
+/**
+ * Markdown source spanned by a run of nodes, or '' for none.
+ */
+function source(body, nodes) {
+  if (nodes.length === 0) return '';
+  return body.slice(nodes[0].position.start.offset, nodes[nodes.length - 1].position.end.offset);
+}
+
+function items(list) {
+  return list?.type === 'list' ? list.children.map((item) => nodeText(item).replace(/\s+/g, ' ')) : [];
+}
+
+/**
+ * Items of every top-level list in the nodes.
+ */
+function listItems(nodes) {
+  return nodes.flatMap(items);
+}
+
+function camelCase(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^a-z0-9]+(.)/g, (_, c) => c.toUpperCase())
+    .replace(/[^a-zA-Z0-9]/g, '');
+}
+
+/**
+ * Table rows as objects keyed by the camelCased header cells.
+ */
+function tableRows(table) {
+  const [header, ...rows] = table.children;
+  const keys = header.children.map((cell) => camelCase(nodeText(cell)));
+  return rows.map((row) =>
+    Object.fromEntries(keys.map((key, i) => [key, row.children[i] ? nodeText(row.children[i]) : '']))
+  );
+}
+
+/**
+ * Paragraphs opening with a bold label ("**Advantages**:"), keyed by the
+ * lowercased label: { value, block } where block is a list or table that
+ * directly follows the paragraph.
+ */
+function labelledFields(nodes) {
+  const fields = new Map();
+  nodes.forEach((node, i) => {
+    if (node.type !== 'paragraph') return;
+    const label = boldLabels([node]).find((l) => l.node === node.children[0]);
+    if (!label || fields.has(label.label.toLowerCase())) return;
+    const next = nodes[i + 1];
+    fields.set(label.label.toLowerCase(), {
+      value: label.value,
+      block: next?.type === 'list' || next?.type === 'table' ? next : null,
+    });
+  });
+  return fields;
+}
+
+/**
+ * Build the document model from a parsed ADR.
+ *
+ * @param {object} parsed   { frontmatter, body, tree, headings } with headings
+ *                          as { level, text, line, node } (see validate.js)
+ * @param {object} options  { filePath, titlePattern } (group 1 is the number,
+ *                          group 2 the title)
+ */
+export function buildDocument(parsed, { filePath = null, titlePattern } = {}) {
+  const { frontmatter, body, tree, headings } = parsed;
+  const h2 = headings.filter((h) => h.level === 2);
+  const find = (list, match) => list.find((h) => match(h.text.toLowerCase()));
+  const sectionOf = (name) => find(h2, (t) => (name === 'decision' ? t === name : t.startsWith(name)));
+  const children = (heading) => sectionChildren(tree, heading.node);
+  const subsections = (heading) => {
+    const nodes = new Set(children(heading));
+    return headings.filter((h) => h.level === heading.level + 1 && nodes.has(h.node));
+  };
+  const section = (name) => {
+    const heading = sectionOf(name);
+    return heading ? { title: heading.text, line: heading.line, text: source(body, children(heading)) } : null;
+  };
+
+  const h1 = headings.find((h) => h.level === 1);
+  const titleMatch = h1 && titlePattern ? h1.text.match(titlePattern) : null;
+  const number = titleMatch?.[1];
+
+  const drivers = sectionOf('decision drivers');
+  const driverList = (name) => {
+    const sub = drivers && find(subsections(drivers), (t) => t.includes(name));
+    return sub ? listItems(children(sub)) : [];
+  };
+
+  const consequences = sectionOf('consequences');
+  const consequenceList = (name) => {
+    const sub = consequences && find(subsections(consequences), (t) => t.startsWith(name));
+    return sub ? listItems(children(sub)) : [];
+  };
+
+  const options = sectionOf('considered options');
+  const audit = sectionOf('audit');
+
+  return {
+    version: DOCUMENT_VERSION,
+    file: filePath,
+    number: /^\d+$/.test(number ?? '') ? Number(number) : null,
+    title: h1 ? (titleMatch?.[2] ?? h1.text).trim() : null,
+    frontmatter: frontmatter ?? {},
+    status: section('status'),
+    context: section('context'),
+    decisionDrivers: drivers ? { primary: driverList('primary'), secondary: driverList('secondary') } : null,
+    consideredOptions: (options ? subsections(options) : []).map((option) => {
+      const fields = labelledFields(children(option));
+      const value = (label) => fields.get(label)?.value || null;
+      const list = (label) => items(fields.get(label)?.block);
+      return {
+        name: option.text.replace(/^option\s+\d+\s*:\s*/i, ''),
+        heading: option.text,
+        line: option.line,
+        description: value('description'),
+        technicalCharacteristics: list('technical characteristics'),
+        advantages: list('advantages'),
+        disadvantages: list('disadvantages'),
+        riskAssessment: list('risk assessment'),
+        disqualifyingFactor: value('disqualifying factor'),
+      };
+    }),
+    decision: section('decision'),
+    consequences: consequences
+      ? { positive: consequenceList('positive'), negative: consequenceList('negative'), neutral: consequenceList('neutral') }
+      : null,
+    decisionOutcome: section('decision outcome'),
+    relatedDecisions: section('related decisions'),
+    links: section('links'),
+    moreInformation: section('more information'),
+    audit: (audit ? subsections(audit) : []).map((entry) => {
+      const fields = labelledFields(children(entry));
+      const findings = fields.get('findings');
+      return {
+        date: entry.text,
+        line: entry.line,
+        status: fields.get('status')?.value || null,
+        findings:
+          findings?.block?.type === 'table'
+            ? tableRows(findings.block)
+            : items(findings?.block).map((finding) => ({ finding })),
+        summary: fields.get('summary')?.value || null,
+        actionRequired: fields.get('action required')?.value || null,
+      };
+    }),
+  };
+}
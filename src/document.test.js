@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { globSync } from 'glob';
+import Ajv from 'ajv';
+import { parseAdr, loadSchema, DOCUMENT_SCHEMA_PATH } from './validate.js';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+const example = join(root, 'examples', '0001-use-rust-implementation-language.md');
+
+test('parseAdr extracts sections, drivers, options, consequences and audit entries', () => {
+  const doc = parseAdr(readFileSync(example, 'utf-8'), { filePath: example });
+
+  assert.equal(doc.file, example);
+  assert.equal(doc.number, 1);
+  assert.equal(doc.title, 'Rust as Implementation Language');
+  assert.equal(doc.frontmatter.status, 'accepted');
+  assert.equal(doc.status.text, 'Accepted');
+  assert.match(doc.context.text, /^### Background and Problem Statement\n/);
+  assert.equal(doc.decisionDrivers.primary.length, 3);
+  assert.match(doc.decisionDrivers.secondary[0], /^Compiler-Enforced Code Quality: /);
+
+  assert.deepEqual(doc.consideredOptions.map((o) => o.name), ['Rust', 'Go', 'C++']);
+  const [rust, go] = doc.consideredOptions;
+  assert.match(rust.description, /^Complete rewrite using tokio/);
+  assert.equal(rust.advantages.length, 6);
+  assert.equal(rust.disadvantages.length, 3);
+  assert.match(rust.riskAssessment[0], /^Technical Risk: Low\./);
+  assert.equal(rust.disqualifyingFactor, null);
+  assert.match(go.disqualifyingFactor, /GC pause times/);
+
+  assert.match(doc.decision.text, /^We will rewrite/);
+  assert.equal(doc.consequences.positive.length, 4);
+  assert.equal(doc.consequences.neutral.length, 1);
+
+  const [entry] = doc.audit;
+  assert.equal(entry.date, '2026-01-04');
+  assert.equal(entry.status, 'Compliant');
+  assert.deepEqual(Object.keys(entry.findings[0]), ['finding', 'files', 'lines', 'assessment']);
+  assert.equal(entry.findings[0].files, 'Cargo.toml');
+});
+
+test('parseAdr reports absent parts as null or empty', () => {
+  const doc = parseAdr(
+    '---\ntitle: Minimal\n---\n\n# ADR-0002: Minimal\n\n## Audit\n\n### 2026-10-18\n\n' +
+      '**Status:** Pending\n\n**Findings:**\n\n- None yet\n'
+  );
+  assert.equal(doc.file, null);
+  assert.equal(doc.context, null);
+  assert.equal(doc.decisionDrivers, null);
+  assert.deepEqual(doc.consideredOptions, []);
+  assert.deepEqual(doc.audit[0].findings, [{ finding: 'None yet' }]);
+  assert.equal(doc.audit[0].summary, null);
+
+  assert.equal(parseAdr('# ADR-0003: No frontmatter\n'), null);
+});
+
+test('parsed ADRs conform to the published document schema', () => {
+  const ajv = new Ajv({ allErrors: true, strict: false });
+  const validate = ajv.compile(loadSchema(DOCUMENT_SCHEMA_PATH));
+  const files = globSync(['docs/decisions/*.md', 'examples/*.md', 'templates/*.md'], { cwd: root });
+  assert.ok(files.length > 0);
+  for (const file of files) {
+    const doc = parseAdr(readFileSync(join(root, file), 'utf-8'), { filePath: file });
+    assert.ok(validate(doc), `${file}: ${JSON.stringify(validate.errors)}`);
+  }
+});
@@ -0,0 +1,357 @@
+/**
+ * Autofix for mechanical ADR problems.
+ *
+ * Each fixer repairs the findings of one or more rules and only runs when
+ * validation actually reported them, so `off` rules and inline suppressions
+ * are honoured. Fixers edit the text in place: frontmatter goes through the
+ * YAML document model (comments survive) and body edits touch only the lines
+ * they repair.
+ */
+
+import { readFileSync } from 'node:fs';
+import { parseDocument, isSeq, isScalar } from 'yaml';
+import { createTwoFilesPatch } from 'diff';
+import {
+  validateContent,
+  resolveConfig,
+  parseFrontmatter,
+  extractHeadings,
+  matchSection,
+} from './validate.js';
+import { pluginFixers } from './plugins.js';
+
+/**
+ * Lines of an audit entry, laid out as in templates/template-bare.md. With only
+ * a date it is the initial Pending entry with empty fields.
+ *
+ * @param {string} date     YYYY-MM-DD
+ * @param {object} fields   { status, findings: [[finding, files, lines, assessment]],
+ *                            summary, action }
+ */
+export function auditEntry(date, { status = 'Pending', findings = [['', '', '', '']], summary = '', action = '' } = {}) {
+  const field = (label, value) => (value ? `**${label}:** ${value}` : `**${label}:**`);
+  return [
+    `### ${date}`,
+    '',
+    field('Status', status),
+    '',
+    '**Findings:**',
+    '',
+    '| Finding | Files | Lines | Assessment |',
+    '|---------|-------|-------|------------|',
+    ...findings.map((cells) => `|${cells.map((c) => (c ? ` ${c} ` : ' ')).join('|')}|`),
+    '',
+    field('Summary', summary),
+    '',
+    field('Action Required', action),
+  ];
+}
+
+/**
+ * Split content into lines plus the body's headings with 0-based line indexes.
+ */
+function outline(content) {
+  const parsed = parseFrontmatter(content);
+  if (!parsed || parsed.error) return null;
+  const headings = extractHeadings(parsed.body, parsed.frontmatterEndLine + 1).map((h) => ({
+    ...h,
+    index: h.line - 1,
+  }));
+  return { lines: content.split('\n'), parsed, headings };
+}
+
+/**
+ * Index of the line that ends the H2 section starting at `heading`.
+ */
+function sectionEnd(doc, heading) {
+  const next = doc.headings.find((h) => h.level <= 2 && h.index > heading.index);
+  return next ? next.index : doc.lines.length;
+}
+
+/**
+ * Back up over blank lines so insertions land right after the last content line.
+ */
+function afterContent(lines, index) {
+  while (index > 0 && lines[index - 1].trim() === '') index--;
+  return index;
+}
+
+function normalizeTag(tag) {
+  const normalized = tag
+    .toLowerCase()
+    .replace(/[^a-z0-9-]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return normalized || tag;
+}
+
+/**
+ * Source text for a scalar with a new value, keeping the original quoting.
+ */
+function scalarSource(node, value) {
+  if (node.type === 'QUOTE_DOUBLE') return JSON.stringify(value);
+  if (node.type === 'QUOTE_SINGLE') return `'${value.replace(/'/g, "''")}'`;
+  return value;
+}
+
+/**
+ * Lowercase and dedupe tags; pull `updated` forward to `created`.
+ *
+ * The YAML document model only locates the nodes; edits are spliced into the
+ * original text so comments, quoting and line wrapping stay exactly as written.
+ */
+function fixFrontmatter(content, ctx) {
+  const doc = outline(content);
+  if (!doc) return null;
+
+  const end = doc.parsed.frontmatterEndLine - 1;
+  let text = doc.lines.slice(1, end).join('\n');
+  const yaml = parseDocument(text);
+  const edits = [];
+  const fixes = [];
+
+  const tags = yaml.get('tags', true);
+  if (
+    isSeq(tags) &&
+    (ctx.reported.has('smadr/tag-format') || ctx.reported.has('smadr/duplicate-tags'))
+  ) {
+    const seen = new Set();
+    tags.items.forEach((item, i) => {
+      if (!isScalar(item) || typeof item.value !== 'string') return;
+      const tag = normalizeTag(item.value);
+      const [start, valueEnd] = item.range;
+      if (seen.has(tag)) {
+        fixes.push({ ruleId: 'smadr/duplicate-tags', message: `Removed duplicate tag '${item.value}'` });
+        edits.push(
+          tags.flow
+            ? { start: tags.items[i - 1].range[1], end: valueEnd, text: '' }
+            : {
+                start: text.lastIndexOf('\n', start) + 1,
+                end: text.includes('\n', valueEnd) ? text.indexOf('\n', valueEnd) + 1 : text.length,
+                text: '',
+              }
+        );
+        return;
+      }
+      seen.add(tag);
+      if (tag !== item.value) {
+        fixes.push({ ruleId: 'smadr/tag-format', message: `Normalized tag '${item.value}' to '${tag}'` });
+        edits.push({ start, end: valueEnd, text: scalarSource(item, tag) });
+      }
+    });
+  }
+
+  const created = yaml.get('created', true);
+  const updated = yaml.get('updated', true);
+  if (
+    ctx.reported.has('smadr/date-order') &&
+    isScalar(created) &&
+    isScalar(updated) &&
+    new Date(updated.value) < new Date(created.value)
+  ) {
+    const source = text.slice(created.range[0], created.range[1]);
+    fixes.push({ ruleId: 'smadr/date-order', message: `Set 'updated' to ${source}` });
+    edits.push({ start: updated.range[0], end: updated.range[1], text: source });
+  }
+
+  if (fixes.length === 0) return null;
+  // Back to front, so earlier offsets stay valid
+  for (const edit of edits.sort((a, b) => b.start - a.start)) {
+    text = text.slice(0, edit.start) + edit.text + text.slice(edit.end);
+  }
+  return { content: ['---', text, ...doc.lines.slice(end)].join('\n'), fixes };
+}
+
+// The text of an ATX heading line, or of the first line of a setext one:
+// [before, text, after]
+const ATX_LINE = /^( {0,3}#[ \t]+)(.*?)((?:[ \t]+#+)?[ \t]*)$/;
+const SETEXT_LINE = /^([ \t]*)(.*?)([ \t]*)$/;
+
+/**
+ * Rewrite the title part of the H1 to match frontmatter `title`, keeping the
+ * number and the heading's own syntax. Left alone when the source line is not
+ * the plain heading text (inline markup, a title over several lines).
+ */
+function fixTitle(content, ctx) {
+  if (!ctx.reported.has('smadr/title-mismatch')) return null;
+  const doc = outline(content);
+  const title = doc?.parsed.frontmatter?.title;
+  const h1 = doc?.headings.find((h) => h.level === 1);
+  if (!title || !h1) return null;
+
+  const { source, flags } = ctx.config.titlePattern;
+  const match = h1.text.match(new RegExp(source, flags.replace('d', '') + 'd'));
+  if (!match?.indices?.[2]) return null;
+
+  const setext = h1.endLine === h1.line + 1 && /^ {0,3}=+[ \t]*$/.test(doc.lines[h1.index + 1]);
+  if (h1.endLine !== h1.line && !setext) return null;
+  const heading = doc.lines[h1.index].match(setext ? SETEXT_LINE : ATX_LINE);
+  if (heading?.[2] !== h1.text) return null;
+
+  const [start, end] = match.indices[2];
+  const text = h1.text.slice(0, start) + title + h1.text.slice(end);
+  doc.lines[h1.index] = heading[1] + text + heading[3];
+  return {
+    content: doc.lines.join('\n'),
+    fixes: [{ ruleId: 'smadr/title-mismatch', message: `Set H1 title to "${text}"` }],
+  };
+}
+
+/**
+ * Add stub headings for missing required subsections, in specification order.
+ */
+function fixSubsections(content, ctx) {
+  if (!ctx.reported.has('smadr/missing-subsection')) return null;
+  const doc = outline(content);
+  if (!doc) return null;
+
+  const inserts = [];
+  const fixes = [];
+  for (const [parent, required] of Object.entries(ctx.config.subsections)) {
+    const heading = doc.headings.find(
+      (h) => h.level === 2 && h.text.toLowerCase().startsWith(parent.toLowerCase())
+    );
+    if (!heading) continue;
+
+    const end = sectionEnd(doc, heading);
+    const present = doc.headings.filter(
+      (h) => h.level === 3 && h.index > heading.index && h.index < end
+    );
+    const find = (sub) => present.find((h) => h.text.toLowerCase().includes(sub.toLowerCase()));
+
+    required.forEach((sub, i) => {
+      if (find(sub)) return;
+      const before = required.slice(i + 1).map(find).find(Boolean);
+      inserts.push(
+        before
+          ? { index: before.index, lines: [`### ${sub}`, ''] }
+          : { index: afterContent(doc.lines, end), lines: ['', `### ${sub}`] }
+      );
+      fixes.push({ ruleId: 'smadr/missing-subsection', message: `Added "### ${sub}" under "## ${parent}"` });
+    });
+  }
+
+  if (inserts.length === 0) return null;
+  // Bottom-up, so earlier indexes stay valid; stable for equal indexes
+  inserts
+    .map((insert, order) => ({ ...insert, order }))
+    .sort((a, b) => b.index - a.index || b.order - a.order)
+    .forEach(({ index, lines }) => doc.lines.splice(index, 0, ...lines));
+  return { content: doc.lines.join('\n'), fixes };
+}
+
+/**
+ * Add a missing ## Audit section, or a first entry to an empty one.
+ */
+function fixAudit(content, ctx) {
+  const doc = outline(content);
+  if (!doc) return null;
+  const heading = doc.headings.find((h) => h.level === 2 && matchSection(h.text, 'Audit'));
+  const entry = auditEntry(ctx.today);
+
+  if (!heading) {
+    const wanted = ctx.config.sections.some((s) => s.toLowerCase() === 'audit');
+    if (!wanted || !ctx.reported.has('smadr/missing-section')) return null;
+    const index = afterContent(doc.lines, doc.lines.length);
+    doc.lines.splice(index, doc.lines.length - index, '', '## Audit', '', ...entry, '');
+    return {
+      content: doc.lines.join('\n'),
+      fixes: [{ ruleId: 'smadr/missing-section', message: 'Added ## Audit with a Pending entry' }],
+    };
+  }
+
+  if (!ctx.reported.has('smadr/audit-entry-missing')) return null;
+  const end = sectionEnd(doc, heading);
+  const hasFields = doc.lines.slice(heading.index, end).some((l) => l.includes('**Status:**'));
+  // Existing fields just need a dated heading; an empty section gets the full entry
+  const lines = hasFields ? ['', entry[0]] : ['', ...entry];
+  doc.lines.splice(hasFields ? heading.index + 1 : afterContent(doc.lines, end), 0, ...lines);
+  return {
+    content: doc.lines.join('\n'),
+    fixes: [{ ruleId: 'smadr/audit-entry-missing', message: `Added audit entry ### ${ctx.today}` }],
+  };
+}
+
+/**
+ * Move H2 sections into specification order. Sections the specification does
+ * not name travel with the section above them.
+ */
+function fixSectionOrder(content, ctx) {
+  if (!ctx.reported.has('smadr/section-order')) return null;
+  const doc = outline(content);
+  if (!doc) return null;
+
+  const h2 = doc.headings.filter((h) => h.level === 2);
+  if (h2.length === 0) return null;
+
+  const preamble = doc.lines.slice(0, h2[0].index);
+  const groups = [];
+  h2.forEach((heading, i) => {
+    const lines = doc.lines.slice(heading.index, h2[i + 1]?.index ?? doc.lines.length);
+    const rank = ctx.config.sections.findIndex((s) => matchSection(heading.text, s));
+    if (rank === -1 && groups.length) groups[groups.length - 1].lines.push(...lines);
+    else groups.push({ rank, lines });
+  });
+
+  const sorted = [...groups].sort((a, b) => a.rank - b.rank);
+  if (sorted.every((g, i) => g === groups[i])) return null;
+
+  const trim = (lines) => lines.slice(0, afterContent(lines, lines.length));
+  const out = [...trim(preamble), ''];
+  for (const group of sorted) out.push(...trim(group.lines), '');
+  if (!content.endsWith('\n')) out.pop();
+  return {
+    content: out.join('\n'),
+    fixes: [{ ruleId: 'smadr/section-order', message: 'Reordered sections to match the specification' }],
+  };
+}
+
+// Applied in order, then the plugins' fixers; later fixers see the output of
+// earlier ones
+export const FIXERS = [fixFrontmatter, fixTitle, fixSubsections, fixAudit, fixSectionOrder];
+
+/**
+ * Repair mechanical problems in ADR content.
+ *
+ * @param {string} content  full file text
+ * @param {object} options  validateContent() options, plus `today` (YYYY-MM-DD)
+ * @returns {{ content: string, fixes: Array<{ ruleId: string, message: string }> }}
+ */
+export function fixContent(content, options = {}) {
+  const before = validateContent(content, options);
+  const ctx = {
+    config: resolveConfig(options),
+    today: options.today ?? new Date().toISOString().slice(0, 10),
+    reported: new Set([...before.errors, ...before.warnings].map((f) => f.ruleId)),
+  };
+
+  const fixes = [];
+  for (const fixer of [...FIXERS, ...pluginFixers(ctx.config.plugins)]) {
+    const applied = fixer(content, ctx);
+    if (!applied) continue;
+    content = applied.content;
+    fixes.push(...applied.fixes);
+  }
+  return { content, fixes };
+}
+
+/**
+ * Compute fixes for a file without writing it.
+ */
+export function fixFile(filePath, options = {}) {
+  const original = readFileSync(filePath, 'utf-8');
+  const { content, fixes } = fixContent(original, { ...options, filePath });
+  return { filePath, original, content, fixes, changed: content !== original };
+}
+
+/**
+ * Unified diff between the original and fixed content, with git-style labels.
+ */
+export function fixDiff({ original, content }, label) {
+  return createTwoFilesPatch(`a/${label}`, `b/${label}`, original, content, '', '', {
+    context: 3,
+  })
+    .split('\n')
+    .slice(1)
+    .map((line) => (line.startsWith('---') || line.startsWith('+++') ? line.trimEnd() : line))
+    .join('\n');
+}
@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { fixContent, fixDiff } from './fix.js';
+import { validateContent } from './validate.js';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+const exampleText = readFileSync(
+  join(root, 'examples', '0001-use-rust-implementation-language.md'),
+  'utf-8'
+);
+
+function section(text, name) {
+  const start = text.indexOf(`## ${name}\n`);
+  const end = text.indexOf('\n## ', start + 1);
+  return text.slice(start, end === -1 ? text.length : end + 1);
+}
+
+test('fixContent leaves a valid ADR untouched', () => {
+  const { content, fixes } = fixContent(exampleText);
+  assert.equal(content, exampleText);
+  assert.deepEqual(fixes, []);
+});
+
+test('frontmatter fixes keep YAML comments and formatting', () => {
+  const broken = exampleText
+    .replace('  - language-choice\n', '  - Language Choice  # primary\n  - language-choice\n')
+    .replace('updated: 2026-01-04', 'updated: 2025-01-01 # bumped');
+
+  const { content, fixes } = fixContent(broken);
+  assert.deepEqual(
+    fixes.map((f) => f.ruleId),
+    ['smadr/tag-format', 'smadr/duplicate-tags', 'smadr/date-order']
+  );
+  assert.match(content, /^ {2}- language-choice {2}# primary$/m);
+  assert.doesNotMatch(content, /^ {2}- language-choice$/m);
+  assert.match(content, /^updated: 2025-12-28 # bumped$/m);
+  assert.equal(validateContent(content).valid, true);
+});
+
+test('body fixes add stubs, audit entries, titles and restore section order', () => {
+  const broken = exampleText
+    .replace('### Negative\n', '')
+    .replace(section(exampleText, 'Audit'), '')
+    .replace(section(exampleText, 'Decision'), '')
+    .replace('## Considered Options\n', section(exampleText, 'Decision') + '## Considered Options\n')
+    .replace(/^# ADR-0001: .*$/m, '# ADR-0001: Something Else');
+  assert.ok(validateContent(broken).errors.length > 0);
+
+  const { content, fixes } = fixContent(broken, { today: '2026-10-18' });
+  assert.deepEqual(
+    fixes.map((f) => f.ruleId),
+    ['smadr/title-mismatch', 'smadr/missing-subsection', 'smadr/missing-section', 'smadr/section-order']
+  );
+  assert.match(content, /^# ADR-0001: Rust as Implementation Language$/m);
+  assert.match(section(content, 'Consequences'), /### Positive[\s\S]*### Negative\n\n### Neutral/);
+  assert.match(section(content, 'Audit'), /### 2026-10-18\n\n\*\*Status:\*\* Pending/);
+  assert.ok(content.indexOf('## Considered Options\n') < content.indexOf('## Decision\n'));
+
+  const after = validateContent(content);
+  assert.equal(after.valid, true, JSON.stringify(after.errors));
+});
+
+test('the title fix keeps the heading syntax and leaves inline markup alone', () => {
+  const h1 = /^# ADR-0001: .*$/m;
+  const fixed = (heading) => fixContent(exampleText.replace(h1, heading), { today: '2026-10-18' });
+
+  assert.match(fixed('# ADR-0001: Something Else ##').content, /^# ADR-0001: Rust as Implementation Language ##$/m);
+  assert.match(
+    fixed('ADR-0001: Something Else\n========================').content,
+    /^ADR-0001: Rust as Implementation Language\n=+$/m
+  );
+
+  const marked = fixed('# ADR-0001: Something *Else*');
+  assert.deepEqual(marked.fixes, []);
+  assert.match(marked.content, /^# ADR-0001: Something \*Else\*$/m);
+});
+
+test('fixes respect rules that are off or suppressed', () => {
+  const broken = exampleText.replace('  - performance\n', '  - Performance\n');
+  assert.deepEqual(fixContent(broken, { rules: { 'tag-format': 'off' } }).fixes, []);
+
+  const suppressed = broken.replace('\n## Status', '\n<!-- smadr-disable tag-format -->\n\n## Status');
+  assert.deepEqual(fixContent(suppressed).fixes, []);
+});
+
+test('fixDiff renders a git-style unified diff', () => {
+  const original = exampleText;
+  const content = exampleText.replace('  - performance\n', '');
+  const diff = fixDiff({ original, content }, 'docs/adr/0001.md');
+  assert.match(diff, /^--- a\/docs\/adr\/0001\.md\n\+\+\+ b\/docs\/adr\/0001\.md\n@@ /);
+  assert.match(diff, /^- {2}- performance$/m);
+});
@@ -0,0 +1,67 @@
+/**
+ * Line-level edits to YAML frontmatter.
+ *
+ * Commands that rewrite an author's ADR (new, supersede) change only the keys
+ * they own and leave every other line, comment and quoting style as written.
+ * `lines` is the whole file split on newlines; `end` is the index of the
+ * closing `---`. Each edit returns the change in line count so callers can keep
+ * `end` current.
+ */
+
+import { stringify } from 'yaml';
+
+// Titles are always quoted, as in the bundled templates
+function scalar(key, value) {
+  return key === 'title' ? JSON.stringify(value) : stringify(value, { lineWidth: 0 }).trim();
+}
+
+/**
+ * Index range [start, stop) of a top-level key and its indented lines, or null.
+ */
+export function fieldRange(lines, end, key) {
+  const start = lines.findIndex((l, i) => i > 0 && i < end && l.startsWith(`${key}:`));
+  if (start === -1) return null;
+  let stop = start + 1;
+  while (stop < end && /^\s/.test(lines[stop])) stop++;
+  return { start, stop };
+}
+
+/**
+ * Set a top-level key to a scalar, a list or a mapping, replacing any existing
+ * value. A new key goes after the `after` key when given, else at the end.
+ */
+export function setField(lines, end, key, value, { after } = {}) {
+  let text;
+  if (Array.isArray(value)) text = [`${key}:`, ...value.map((v) => `  - ${scalar(key, v)}`)];
+  else if (value !== null && typeof value === 'object') {
+    text = [`${key}:`, ...stringify(value, { lineWidth: 0 }).trimEnd().split('\n').map((l) => `  ${l}`)];
+  } else text = [`${key}: ${scalar(key, value)}`];
+
+  const range = fieldRange(lines, end, key);
+  if (range) {
+    lines.splice(range.start, range.stop - range.start, ...text);
+    return text.length - (range.stop - range.start);
+  }
+  const anchor = after ? fieldRange(lines, end, after) : null;
+  lines.splice(anchor ? anchor.stop : end, 0, ...text);
+  return text.length;
+}
+
+/**
+ * Append an item to a block list, keeping the entries already there. A missing,
+ * empty or non-block list is replaced by `[...current, item]`.
+ */
+export function appendToList(lines, end, key, item, current = []) {
+  if (current.includes(item)) return 0;
+  const range = fieldRange(lines, end, key);
+  const block =
+    range &&
+    current.length > 0 &&
+    lines.slice(range.start + 1, range.stop).every((l) => /^\s+(- |#)|^\s*$/.test(l));
+  if (!block) return setField(lines, end, key, [...current, item]);
+
+  let at = range.stop;
+  while (at > range.start + 1 && lines[at - 1].trim() === '') at--;
+  lines.splice(at, 0, `  - ${scalar(key, item)}`);
+  return 1;
+}
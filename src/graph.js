@@ -0,0 +1,266 @@
+/**
+ * Decision graph: ADRs as nodes, `related` and `x-superseded-by` as edges.
+ *
+ * The same relationships the MIF projection emits (mif-project.js), rendered
+ * as a Mermaid flowchart, a Graphviz DOT digraph or JSON. Nodes are coloured
+ * by what their status means in the vocabulary (statuses.js) and clustered by
+ * category. Edges read `relates-to` (dashed) or
+ * `supersedes`, drawn from the successor to the ADR it replaces.
+ *
+ * Mermaid output can live between marker comments in an existing Markdown
+ * file, as the index does (see adr-index.js):
+ *
+ *   <!-- smadr-graph:start -->
+ *   ```mermaid
+ *   flowchart LR
+ *   ...
+ *   <!-- smadr-graph:end -->
+ */
+
+import { readFileSync } from 'node:fs';
+import { basename, dirname, join, relative, sep } from 'node:path';
+import { fileNumber } from './corpus.js';
+import { parseFrontmatter } from './validate.js';
+import { replaceIndex } from './adr-index.js';
+import { resolveStatuses } from './statuses.js';
+
+export const GRAPH_START = '<!-- smadr-graph:start -->';
+export const GRAPH_END = '<!-- smadr-graph:end -->';
+export const GRAPH_FORMATS = Object.freeze(['mermaid', 'dot', 'json']);
+
+// [fill, stroke] per status flag, first match wins; statuses with none of
+// these flags, or outside the vocabulary, use FALLBACK_COLOR
+export const STATUS_COLORS = Object.freeze({
+  replaced: ['#f1f1f1', '#9e9e9e'],
+  terminal: ['#f8d7da', '#c62828'],
+  closesValidity: ['#e2e3e5', '#6c757d'],
+  decided: ['#d4edda', '#2e7d32'],
+  active: ['#fff3cd', '#b8860b'],
+});
+const FALLBACK_COLOR = ['#e3f2fd', '#1565c0'];
+
+function statusColor(status, statuses) {
+  const flag = Object.keys(STATUS_COLORS).find((f) =>
+    f === 'replaced' ? status === statuses.replaced : statuses[f].includes(status)
+  );
+  return flag ? STATUS_COLORS[flag] : FALLBACK_COLOR;
+}
+
+/**
+ * Node id of an ADR file: its path relative to `base`, with forward slashes.
+ */
+export function nodeId(filePath, base = process.cwd()) {
+  return relative(base, filePath).split(sep).join('/');
+}
+
+/**
+ * Nodes and edges for a set of ADR files; files without frontmatter are
+ * skipped, and links to files outside the set are dropped (validation reports
+ * them as broken links).
+ *
+ * A supersession also listed in `related` (as `smadr supersede` writes it) is
+ * one `supersedes` edge, and a pair relating to each other is one
+ * `relates-to` edge.
+ *
+ * @param {string[]} files
+ * @param {string} base  directory that node ids (file paths) are relative to
+ * @returns {{ nodes: Array<object>, edges: Array<object> }} nodes as { id,
+ *          number, title, status, category, tags }; edges as { from, to, type }
+ */
+export function collectGraph(files, base = process.cwd()) {
+  const nodes = [];
+  const links = [];
+  // Sorted so that the kept direction of a mutual relation does not depend on input order
+  for (const filePath of [...files].sort()) {
+    const parsed = parseFrontmatter(readFileSync(filePath, 'utf-8'));
+    if (!parsed?.frontmatter || typeof parsed.frontmatter !== 'object') continue;
+    const fm = parsed.frontmatter;
+    const id = nodeId(filePath, base);
+    const number = fileNumber(basename(filePath));
+    nodes.push({
+      id,
+      number: number === null ? '' : String(number).padStart(4, '0'),
+      title: fm.title ?? '',
+      status: fm.status ?? '',
+      category: fm.category ?? '',
+      tags: Array.isArray(fm.tags) ? fm.tags.filter((t) => typeof t === 'string') : [],
+    });
+    const target = (name) => nodeId(join(dirname(filePath), name), base);
+    if (typeof fm['x-superseded-by'] === 'string') {
+      links.push({ from: target(fm['x-superseded-by']), to: id, type: 'supersedes' });
+    }
+    for (const name of Array.isArray(fm.related) ? fm.related : []) {
+      if (typeof name === 'string') links.push({ from: id, to: target(name), type: 'relates-to' });
+    }
+  }
+
+  const ids = new Set(nodes.map((n) => n.id));
+  const pair = (e) => [e.from, e.to].sort().join('\0');
+  const superseding = new Set(links.filter((e) => e.type === 'supersedes').map(pair));
+  const seen = new Set();
+  const edges = links.filter((e) => {
+    if (!ids.has(e.from) || !ids.has(e.to) || e.from === e.to) return false;
+    const key = `${e.type}\0${pair(e)}`;
+    if (seen.has(key) || (e.type === 'relates-to' && superseding.has(pair(e)))) return false;
+    seen.add(key);
+    return true;
+  });
+
+  nodes.sort((a, b) => a.number.localeCompare(b.number) || a.id.localeCompare(b.id));
+  edges.sort((a, b) => a.from.localeCompare(b.from) || a.to.localeCompare(b.to) || a.type.localeCompare(b.type));
+  return { nodes, edges };
+}
+
+/**
+ * Keep the part of the graph asked for: `from` (a node id) keeps the nodes
+ * connected to it, following edges either way up to `depth` steps; `tag` and
+ * `category` then keep matching nodes (`from` itself always stays). Edges are
+ * kept between the remaining nodes.
+ */
+export function filterGraph({ nodes, edges }, { from, depth = Infinity, tag, category } = {}) {
+  let keep = new Set(nodes.map((n) => n.id));
+  if (from) {
+    keep = new Set([from]);
+    let frontier = [from];
+    for (let step = 0; step < depth && frontier.length; step++) {
+      const next = [];
+      for (const e of edges) {
+        for (const [a, b] of [[e.from, e.to], [e.to, e.from]]) {
+          if (frontier.includes(a) && !keep.has(b)) {
+            keep.add(b);
+            next.push(b);
+          }
+        }
+      }
+      frontier = next;
+    }
+  }
+  const kept = nodes.filter(
+    (n) =>
+      keep.has(n.id) &&
+      (n.id === from || ((!tag || n.tags.includes(tag)) && (!category || n.category === category)))
+  );
+  const ids = new Set(kept.map((n) => n.id));
+  return { nodes: kept, edges: edges.filter((e) => ids.has(e.from) && ids.has(e.to)) };
+}
+
+function label(node) {
+  const name = node.number ? `ADR-${node.number}` : basename(node.id, '.md');
+  return node.title ? `${name}: ${node.title}` : name;
+}
+
+/**
+ * Mermaid identifiers (letters, digits and underscores) for one rendering.
+ * Texts that read the same once punctuation becomes `_` (`a-b`, `a_b`, `a.b`)
+ * get a numeric suffix in the order they are first asked for, so no two texts
+ * share an id.
+ */
+function safeIds(prefix) {
+  const ids = new Map();
+  const used = new Set();
+  return (text) => {
+    if (!ids.has(text)) {
+      const base = `${prefix}_${String(text).replace(/[^A-Za-z0-9]+/g, '_')}`;
+      let id = base;
+      for (let n = 2; used.has(id); n++) id = `${base}_${n}`;
+      used.add(id);
+      ids.set(text, id);
+    }
+    return ids.get(text);
+  };
+}
+
+function byCategory(nodes) {
+  const groups = Map.groupBy(nodes, (n) => n.category);
+  return [...groups].sort(([a], [b]) => (a === '') - (b === '') || a.localeCompare(b));
+}
+
+function mermaid({ nodes, edges }, statuses) {
+  const adrId = safeIds('adr');
+  const id = (nodeId) => adrId(nodeId.replace(/\.md$/, ''));
+  const statusId = safeIds('status');
+  const categoryId = safeIds('category');
+  const text = (value) => value.replace(/"/g, '#quot;');
+  const node = (n) => `${id(n.id)}["${text(label(n))}"]${n.status ? `:::${statusId(n.status)}` : ''}`;
+
+  // Node order, not category order, decides which of two look-alike ids gets a suffix
+  nodes.forEach((n) => id(n.id));
+
+  const lines = ['flowchart LR'];
+  for (const [category, members] of byCategory(nodes)) {
+    if (!category) {
+      lines.push(...members.map((n) => `  ${node(n)}`));
+      continue;
+    }
+    lines.push(`  subgraph ${categoryId(category)}["${text(category)}"]`);
+    lines.push(...members.map((n) => `    ${node(n)}`));
+    lines.push('  end');
+  }
+  for (const e of edges) {
+    const arrow = e.type === 'supersedes' ? '-->' : '-.->';
+    lines.push(`  ${id(e.from)} ${arrow}|${e.type}| ${id(e.to)}`);
+  }
+  for (const status of [...new Set(nodes.map((n) => n.status).filter(Boolean))]) {
+    const [fill, stroke] = statusColor(status, statuses);
+    lines.push(`  classDef ${statusId(status)} fill:${fill},stroke:${stroke}`);
+  }
+  return lines.join('\n');
+}
+
+function dot({ nodes, edges }, statuses) {
+  const quote = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  const node = (n) => {
+    const [fill, stroke] = statusColor(n.status, statuses);
+    return `${quote(n.id)} [label=${quote(label(n))}, fillcolor=${quote(fill)}, color=${quote(stroke)}, tooltip=${quote(n.status)}];`;
+  };
+
+  const lines = [
+    'digraph adrs {',
+    '  rankdir=LR;',
+    '  node [shape=box, style="rounded,filled", fontname="Helvetica"];',
+    '  edge [fontname="Helvetica", fontsize=10];',
+  ];
+  for (const [category, members] of byCategory(nodes)) {
+    if (!category) {
+      lines.push(...members.map((n) => `  ${node(n)}`));
+      continue;
+    }
+    lines.push(`  subgraph ${quote(`cluster_${category}`)} {`, `    label=${quote(category)};`);
+    lines.push(...members.map((n) => `    ${node(n)}`));
+    lines.push('  }');
+  }
+  for (const e of edges) {
+    const style = e.type === 'supersedes' ? '' : ', style=dashed';
+    lines.push(`  ${quote(e.from)} -> ${quote(e.to)} [label=${quote(e.type)}${style}];`);
+  }
+  lines.push('}');
+  return lines.join('\n');
+}
+
+/**
+ * Render a graph as mermaid, dot or json.
+ *
+ * @param {object} options  { format, statuses } (statuses: the resolved
+ *                          vocabulary, for node colours)
+ */
+export function renderGraph(graph, { format = 'mermaid', statuses = resolveStatuses() } = {}) {
+  if (format === 'json') return JSON.stringify(graph, null, 2);
+  return format === 'dot' ? dot(graph, statuses) : mermaid(graph, statuses);
+}
+
+/**
+ * Full new content of a graph file in the given format. Mermaid fills the
+ * graph markers of an existing Markdown file as a fenced block; the other
+ * formats replace the whole file.
+ *
+ * @param {string|null} current  existing file content (required for mermaid)
+ */
+export function buildGraphFile(current, graph, options = {}) {
+  const rendered = renderGraph(graph, options);
+  if ((options.format ?? 'mermaid') !== 'mermaid') return `${rendered}\n`;
+  return replaceIndex(current ?? '', `\`\`\`mermaid\n${rendered}\n\`\`\``, {
+    start: GRAPH_START,
+    end: GRAPH_END,
+    name: 'graph',
+  });
+}
@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFileSync, mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { GRAPH_START, GRAPH_END, collectGraph, filterGraph, renderGraph, buildGraphFile } from './graph.js';
+import { resolveStatuses } from './statuses.js';
+
+/**
+ * Minimal ADR frontmatter; `extra` is appended as YAML lines.
+ */
+function adr(title, status, category, extra = '') {
+  return `---\ntitle: ${title}\nstatus: ${status}\ncategory: ${category}\ntags:\n  - ${category}\n${extra}---\n\n# ${title}\n`;
+}
+
+function corpus(t) {
+  const dir = mkdtempSync(join(tmpdir(), 'smadr-graph-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const files = {
+    '0001-use-postgres.md': adr('Use Postgres', 'superseded', 'data', 'x-superseded-by: 0003-use-sqlite.md\nrelated:\n  - 0002-cache.md\n'),
+    '0002-cache.md': adr('Cache "hot" reads', 'accepted', 'architecture', 'related:\n  - 0001-use-postgres.md\n  - 0009-missing.md\n'),
+    '0003-use-sqlite.md': adr('Use SQLite', 'accepted', 'data', 'related:\n  - 0001-use-postgres.md\n'),
+    '0004-logging.md': adr('Logging', 'proposed', 'observability'),
+  };
+  for (const [name, content] of Object.entries(files)) writeFileSync(join(dir, name), content);
+  writeFileSync(join(dir, 'README.md'), '# Decisions\n');
+  return { dir, files: [...Object.keys(files), 'README.md'].reverse().map((name) => join(dir, name)) };
+}
+
+test('collectGraph reads nodes and de-duplicated edges', (t) => {
+  const { dir, files } = corpus(t);
+  const graph = collectGraph(files, dir);
+  assert.deepEqual(graph.nodes.map((n) => n.id), ['0001-use-postgres.md', '0002-cache.md', '0003-use-sqlite.md', '0004-logging.md']);
+  assert.deepEqual(graph.nodes[1], {
+    id: '0002-cache.md',
+    number: '0002',
+    title: 'Cache "hot" reads',
+    status: 'accepted',
+    category: 'architecture',
+    tags: ['architecture'],
+  });
+  // The supersession listed in `related` as well is one edge; links to missing files are dropped
+  assert.deepEqual(graph.edges, [
+    { from: '0001-use-postgres.md', to: '0002-cache.md', type: 'relates-to' },
+    { from: '0003-use-sqlite.md', to: '0001-use-postgres.md', type: 'supersedes' },
+  ]);
+});
+
+test('filterGraph keeps reachable, tagged or categorised nodes', (t) => {
+  const { dir, files } = corpus(t);
+  const graph = collectGraph(files, dir);
+  const ids = (g) => g.nodes.map((n) => n.id);
+
+  assert.deepEqual(ids(filterGraph(graph, { from: '0003-use-sqlite.md', depth: 1 })), ['0001-use-postgres.md', '0003-use-sqlite.md']);
+  assert.equal(filterGraph(graph, { from: '0003-use-sqlite.md' }).nodes.length, 3);
+  assert.deepEqual(ids(filterGraph(graph, { from: '0004-logging.md' })), ['0004-logging.md']);
+
+  const data = filterGraph(graph, { category: 'data' });
+  assert.deepEqual(ids(data), ['0001-use-postgres.md', '0003-use-sqlite.md']);
+  assert.deepEqual(data.edges.map((e) => e.type), ['supersedes']);
+  assert.deepEqual(ids(filterGraph(graph, { tag: 'observability' })), ['0004-logging.md']);
+});
+
+test('renderGraph draws Mermaid, DOT and JSON', (t) => {
+  const { dir, files } = corpus(t);
+  const graph = collectGraph(files, dir);
+
+  const mermaid = renderGraph(graph).split('\n');
+  assert.equal(mermaid[0], 'flowchart LR');
+  assert.ok(mermaid.includes('  subgraph category_data["data"]'));
+  assert.ok(mermaid.includes('    adr_0002_cache["ADR-0002: Cache #quot;hot#quot; reads"]:::status_accepted'));
+  assert.ok(mermaid.includes('  adr_0003_use_sqlite -->|supersedes| adr_0001_use_postgres'));
+  assert.ok(mermaid.includes('  adr_0001_use_postgres -.->|relates-to| adr_0002_cache'));
+  assert.ok(mermaid.includes('  classDef status_superseded fill:#f1f1f1,stroke:#9e9e9e'));
+
+  // Colours follow the vocabulary's flags, not the status names
+  const statuses = resolveStatuses({ accepted: { terminal: true }, superseded: null });
+  const custom = renderGraph(graph, { statuses }).split('\n');
+  assert.ok(custom.includes('  classDef status_accepted fill:#f8d7da,stroke:#c62828'));
+  assert.ok(custom.includes('  classDef status_superseded fill:#e3f2fd,stroke:#1565c0'));
+
+  const dot = renderGraph(graph, { format: 'dot' });
+  assert.match(dot, /^digraph adrs \{/);
+  assert.match(dot, /subgraph "cluster_observability" \{\n {4}label="observability";/);
+  assert.match(dot, /"0002-cache.md" \[label="ADR-0002: Cache \\"hot\\" reads", fillcolor="#d4edda"/);
+  assert.match(dot, /"0001-use-postgres.md" -> "0002-cache.md" \[label="relates-to", style=dashed\];/);
+
+  assert.deepEqual(JSON.parse(renderGraph(graph, { format: 'json' })), graph);
+});
+
+test('Mermaid ids stay distinct when names differ only in punctuation', () => {
+  const node = (id, status) => ({ id, number: '', title: '', status, category: '', tags: [] });
+  const graph = {
+    nodes: [node('a-b.md', 'on-hold'), node('a_b.md', 'on_hold'), node('a_b_2.md', 'on-hold')],
+    edges: [{ from: 'a_b.md', to: 'a-b.md', type: 'relates-to' }],
+  };
+  const mermaid = renderGraph(graph).split('\n');
+  assert.ok(mermaid.includes('  adr_a_b["a-b"]:::status_on_hold'));
+  assert.ok(mermaid.includes('  adr_a_b_2["a_b"]:::status_on_hold_2'));
+  assert.ok(mermaid.includes('  adr_a_b_2_2["a_b_2"]:::status_on_hold'));
+  assert.ok(mermaid.includes('  adr_a_b_2 -.->|relates-to| adr_a_b'));
+  assert.equal(mermaid.filter((line) => line.startsWith('  classDef')).length, 2);
+});
+
+test('buildGraphFile fills the graph markers with a mermaid block', () => {
+  const graph = { nodes: [{ id: '0001-a.md', number: '0001', title: 'A', status: 'accepted', category: '', tags: [] }], edges: [] };
+  const readme = `# Decisions\n\n${GRAPH_START}\nstale\n${GRAPH_END}\n\nNotes\n`;
+  const updated = buildGraphFile(readme, graph);
+  assert.equal(
+    updated,
+    `# Decisions\n\n${GRAPH_START}\n\`\`\`mermaid\nflowchart LR\n  adr_0001_a["ADR-0001: A"]:::status_accepted\n` +
+      `  classDef status_accepted fill:#d4edda,stroke:#2e7d32\n\`\`\`\n${GRAPH_END}\n\nNotes\n`
+  );
+  assert.equal(buildGraphFile(updated, graph), updated);
+  assert.throws(() => buildGraphFile('# Decisions\n', graph), /Missing graph markers/);
+  assert.equal(buildGraphFile(null, graph, { format: 'json' }), `${JSON.stringify(graph, null, 2)}\n`);
+});
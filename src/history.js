@@ -0,0 +1,144 @@
+/**
+ * Status lifecycle checks against an ADR's previous revision.
+ *
+ * Compares the working copy with the version of the file in the local git
+ * repository: the status may only move along the configured transitions, and
+ * the Decision of a `decided` ADR (accepted by default) may only change
+ * together with a new audit entry. Works on document models (see
+ * document.js); git access is limited to previousRevision(), so the checks
+ * themselves stay pure.
+ */
+
+import { execFileSync } from 'node:child_process';
+import { basename, dirname } from 'node:path';
+import { resolveStatuses } from './statuses.js';
+
+// Allowed status changes between the built-in statuses, as documented in the
+// schema reference. Staying on the same status is always allowed.
+export const DEFAULT_TRANSITIONS = Object.freeze({
+  proposed: Object.freeze(['accepted', 'superseded']),
+  accepted: Object.freeze(['deprecated', 'superseded']),
+  deprecated: Object.freeze(['superseded']),
+  superseded: Object.freeze([]),
+});
+
+/**
+ * Transitions for a status vocabulary (see statuses.js) when none are
+ * configured: built-in statuses keep DEFAULT_TRANSITIONS, every non-terminal
+ * status may change to any added status, added statuses may change to any
+ * other status, and terminal statuses are final.
+ */
+export function defaultTransitions(statuses) {
+  const added = statuses.names.filter((name) => !Object.hasOwn(DEFAULT_TRANSITIONS, name));
+  return Object.fromEntries(
+    statuses.names.map((name) => {
+      if (statuses.terminal.includes(name)) return [name, []];
+      const targets = Object.hasOwn(DEFAULT_TRANSITIONS, name)
+        ? [...DEFAULT_TRANSITIONS[name].filter((s) => statuses.names.includes(s)), ...added]
+        : statuses.names;
+      return [name, targets.filter((s) => s !== name)];
+    })
+  );
+}
+
+/**
+ * Check a transitions map ({ status: [next statuses] }) against a status
+ * vocabulary. Throws on anything malformed, unknown, or leaving a terminal
+ * status.
+ */
+export function checkTransitions(transitions, statuses) {
+  if (typeof transitions !== 'object' || transitions === null || Array.isArray(transitions)) {
+    throw new Error('transitions must map each status to the statuses it may change to');
+  }
+  const known = new Set(statuses.names);
+  for (const [from, to] of Object.entries(transitions)) {
+    if (!known.has(from)) throw new Error(`transitions: unknown status '${from}'`);
+    if (!Array.isArray(to ?? [])) throw new Error(`transitions.${from} must be a list of statuses`);
+    for (const status of to ?? []) {
+      if (!known.has(status)) throw new Error(`transitions.${from}: unknown status '${status}'`);
+    }
+    if (to?.length && statuses.terminal.includes(from)) {
+      throw new Error(`transitions.${from}: '${from}' is terminal and cannot change`);
+    }
+  }
+  return transitions;
+}
+
+/**
+ * Content of the file's previous revision in its git repository, or null when
+ * there is none (untracked, newly added, shallow history, or not a repository).
+ *
+ * With uncommitted changes that is the HEAD version; when the working copy
+ * matches HEAD (as in CI), it is the version before the last commit that
+ * changed the file.
+ */
+export function previousRevision(filePath, content) {
+  const name = `./${basename(filePath)}`;
+  const git = (...args) =>
+    execFileSync('git', args, { cwd: dirname(filePath), encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] });
+  try {
+    const head = git('show', `HEAD:${name}`);
+    if (head !== content) return head;
+    const last = git('log', '-1', '--format=%H', 'HEAD', '--', name).trim();
+    return last ? git('show', `${last}^:${name}`) : null;
+  } catch {
+    return null;
+  }
+}
+
+function normalize(text) {
+  return (text ?? '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Findings for the change from `previous` to `current` (document models).
+ *
+ * Only changes between known statuses are checked; an unknown status is the
+ * status-value rule's finding. A known status missing from `transitions` is
+ * final.
+ *
+ * @param {object} options  { transitions, statuses, decided, statusLine }
+ *                          (statuses: known status names; decided: those whose
+ *                          Decision is in force; statusLine: line of the
+ *                          current `status:` key, for reporting)
+ * @returns {Array<object>} { ruleId, message, line, column }
+ */
+export function checkHistory(
+  previous,
+  current,
+  {
+    transitions = DEFAULT_TRANSITIONS,
+    statuses = Object.keys(transitions),
+    decided = resolveStatuses().decided,
+    statusLine = null,
+  } = {}
+) {
+  const findings = [];
+  const from = previous.frontmatter.status;
+  const to = current.frontmatter.status;
+  const known = (status) => statuses.includes(status);
+
+  if (from !== to && known(from) && known(to) && !(transitions[from] ?? []).includes(to)) {
+    const allowed = transitions[from]?.length ? `allowed: ${transitions[from].join(', ')}` : `'${from}' is final`;
+    findings.push({
+      ruleId: 'smadr/status-transition',
+      message: `Status changed from '${from}' to '${to}' since the previous revision (${allowed})`,
+      line: statusLine,
+      column: null,
+    });
+  }
+
+  if (decided.includes(from) && current.decision && normalize(previous.decision?.text) !== normalize(current.decision.text)) {
+    const key = (entry) => JSON.stringify([entry.date, entry.status, entry.summary, entry.actionRequired]);
+    const before = new Set(previous.audit.map(key));
+    if (!current.audit.some((entry) => !before.has(key(entry)))) {
+      findings.push({
+        ruleId: 'smadr/decision-change-without-audit',
+        message: `The Decision changed without a new Audit entry while the status is '${from}'`,
+        line: current.decision.line,
+        column: null,
+      });
+    }
+  }
+  return findings;
+}
@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFileSync, mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { execFileSync } from 'node:child_process';
+import { DEFAULT_TRANSITIONS, defaultTransitions, checkTransitions, checkHistory, previousRevision } from './history.js';
+import { parseAdr, validateContent, validateFiles } from './validate.js';
+import { resolveStatuses } from './statuses.js';
+
+/**
+ * ADR text with the given status, Decision and audit entry dates.
+ */
+function adr(status, decision = 'We will cache responses.', audits = ['2026-01-10']) {
+  const audit = audits.map((date) => `### ${date}\n\n**Status:** Compliant\n`).join('\n');
+  return (
+    `---\ntitle: Caching\nstatus: ${status}\n---\n\n# ADR-0004: Caching\n\n` +
+    `## Decision\n\n${decision}\n\n## Audit\n\n${audit}`
+  );
+}
+
+const check = (before, after, options) => checkHistory(parseAdr(before), parseAdr(after), options);
+const ids = (findings) => findings.map((f) => f.ruleId);
+
+test('status changes follow the configured transitions', () => {
+  assert.deepEqual(check(adr('proposed'), adr('accepted')), []);
+  assert.deepEqual(check(adr('accepted'), adr('accepted')), []);
+
+  const [finding] = check(adr('accepted'), adr('proposed'), { statusLine: 3 });
+  assert.equal(finding.ruleId, 'smadr/status-transition');
+  assert.equal(finding.line, 3);
+  assert.match(finding.message, /from 'accepted' to 'proposed'.*allowed: deprecated, superseded/);
+  assert.match(check(adr('superseded'), adr('accepted'))[0].message, /'superseded' is final/);
+
+  const transitions = { ...DEFAULT_TRANSITIONS, accepted: ['proposed'] };
+  assert.deepEqual(check(adr('accepted'), adr('proposed'), { transitions }), []);
+});
+
+test('a changed Decision of an accepted ADR needs a new audit entry', () => {
+  const changed = adr('accepted', 'We will not cache responses.');
+  assert.deepEqual(ids(check(adr('accepted'), changed)), ['smadr/decision-change-without-audit']);
+  assert.deepEqual(check(adr('accepted'), adr('accepted', 'We will  cache\nresponses.')), []);
+  assert.deepEqual(check(adr('accepted'), adr('accepted', 'We will not cache.', ['2026-01-10', '2026-10-18'])), []);
+  assert.deepEqual(check(adr('proposed'), adr('proposed', 'We will not cache responses.')), []);
+});
+
+test('checkTransitions rejects unknown statuses and changes out of terminal ones', () => {
+  const statuses = resolveStatuses();
+  assert.equal(checkTransitions(DEFAULT_TRANSITIONS, statuses), DEFAULT_TRANSITIONS);
+  assert.throws(() => checkTransitions({ drafted: ['accepted'] }, statuses), /unknown status 'drafted'/);
+  assert.throws(() => checkTransitions({ proposed: ['done'] }, statuses), /transitions.proposed: unknown status 'done'/);
+  assert.throws(() => checkTransitions({ superseded: ['accepted'] }, statuses), /'superseded' is terminal/);
+  assert.throws(() => checkTransitions(['proposed'], statuses), /must map each status/);
+});
+
+test('default transitions extend to added statuses', () => {
+  assert.deepEqual(defaultTransitions(resolveStatuses()), DEFAULT_TRANSITIONS);
+
+  const transitions = defaultTransitions(
+    resolveStatuses({ draft: null, proposed: {}, accepted: {}, rejected: { terminal: true }, superseded: { terminal: true } })
+  );
+  assert.deepEqual(transitions.proposed, ['accepted', 'superseded', 'draft', 'rejected']);
+  assert.deepEqual(transitions.draft, ['proposed', 'accepted', 'rejected', 'superseded']);
+  assert.deepEqual(transitions.rejected, []);
+});
+
+test('validateContent reports lifecycle findings against the previous text', () => {
+  const result = validateContent(adr('deprecated'), { previous: adr('proposed') });
+  const finding = result.errors.find((e) => e.ruleId === 'smadr/status-transition');
+  assert.equal(finding.line, 3);
+
+  const clean = validateContent(adr('deprecated'), { previous: adr('proposed'), rules: { 'status-transition': 'off' } });
+  assert.ok(!clean.errors.some((e) => e.ruleId === 'smadr/status-transition'));
+});
+
+test('previousRevision reads the committed or the prior version from git', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'smadr-history-'));
+  const git = (...args) => execFileSync('git', args, { cwd: dir, stdio: 'ignore' });
+  const file = join(dir, '0004-caching.md');
+  try {
+    git('init', '-q');
+    git('config', 'user.name', 'Test');
+    git('config', 'user.email', 'test@example.com');
+
+    writeFileSync(file, adr('proposed'));
+    assert.equal(previousRevision(file, adr('proposed')), null);
+    git('add', '.');
+    git('commit', '-q', '-m', 'Propose caching');
+    assert.equal(previousRevision(file, adr('proposed')), null);
+
+    // Uncommitted change: compared against HEAD
+    writeFileSync(file, adr('accepted'));
+    assert.equal(previousRevision(file, adr('accepted')), adr('proposed'));
+    git('commit', '-q', '-am', 'Accept caching');
+    // Clean working copy: compared against the version before the last change
+    assert.equal(previousRevision(file, adr('accepted')), adr('proposed'));
+
+    writeFileSync(file, adr('proposed', 'We will not cache responses.'));
+    const [result] = validateFiles([file], { history: true, corpus: false }).results;
+    const lifecycle = ids([...result.errors, ...result.warnings]);
+    assert.ok(lifecycle.includes('smadr/status-transition'));
+    assert.ok(lifecycle.includes('smadr/decision-change-without-audit'));
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,44 @@
+/**
+ * MIF export: the projected objects of an ADR set as JSON-LD files.
+ *
+ * One document per ADR, exactly as `smadr project` prints it, plus a combined
+ * `@graph` document, so other systems can ingest the decision corpus as linked
+ * data. The objects come from the MIF gate (runMifGate() in
+ * .github/bin/mif-validate.js), so only a conformant set is exported, with
+ * every relationship pointing at the target ADR's `@id`.
+ */
+
+import { join, relative } from 'node:path';
+
+export const GRAPH_FILE = 'graph.jsonld';
+
+/**
+ * One JSON-LD document holding every object under `@graph`, in file order,
+ * sharing the objects' `@context`.
+ *
+ * @param {Array<{ filePath: string, object: object }>} entries
+ */
+export function buildMifGraph(entries) {
+  const objects = [...entries].sort((a, b) => a.filePath.localeCompare(b.filePath)).map((e) => e.object);
+  return {
+    '@context': objects[0]?.['@context'],
+    '@graph': objects.map(({ '@context': context, ...object }) => object),
+  };
+}
+
+/**
+ * Files to write under `out`: <ADR path relative to `base`>.jsonld per ADR,
+ * and GRAPH_FILE.
+ *
+ * @returns {Array<{ filePath: string, content: string }>}
+ */
+export function planExport(entries, { base, out }) {
+  const json = (value) => `${JSON.stringify(value, null, 2)}\n`;
+  return [
+    ...entries.map(({ filePath, object }) => ({
+      filePath: join(out, relative(base, filePath).replace(/\.md$/i, '.jsonld')),
+      content: json(object),
+    })),
+    { filePath: join(out, GRAPH_FILE), content: json(buildMifGraph(entries)) },
+  ];
+}
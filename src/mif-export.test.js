@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { join } from 'node:path';
+import { buildMifGraph, planExport, GRAPH_FILE } from './mif-export.js';
+
+const CONTEXT = 'https://mif-spec.dev/schema/context.jsonld';
+const entry = (file, id, relationships) => ({
+  filePath: join('/repo/adr', file),
+  object: { '@context': CONTEXT, '@type': 'Concept', '@id': id, ...(relationships && { relationships }) },
+});
+
+const entries = [
+  entry('legacy/0002-b.md', 'urn:mif:smadr:p:0002-b', [{ type: 'relates-to', target: 'urn:mif:smadr:p:0001-a' }]),
+  entry('0001-a.md', 'urn:mif:smadr:p:0001-a'),
+];
+
+test('the graph document shares one @context and lists objects in file order', () => {
+  const graph = buildMifGraph(entries);
+  assert.equal(graph['@context'], CONTEXT);
+  assert.deepEqual(graph['@graph'].map((o) => o['@id']), ['urn:mif:smadr:p:0001-a', 'urn:mif:smadr:p:0002-b']);
+  assert.ok(graph['@graph'].every((o) => !('@context' in o)));
+  assert.deepEqual(graph['@graph'][1].relationships, entries[0].object.relationships);
+  assert.deepEqual(buildMifGraph([]), { '@context': undefined, '@graph': [] });
+});
+
+test('export writes one file per ADR under its relative path, plus the graph', () => {
+  const files = planExport(entries, { base: '/repo/adr', out: '/out' });
+  assert.deepEqual(files.map((f) => f.filePath), ['/out/legacy/0002-b.jsonld', '/out/0001-a.jsonld', join('/out', GRAPH_FILE)]);
+  assert.deepEqual(JSON.parse(files[0].content), entries[0].object);
+});
@@ -0,0 +1,189 @@
+/**
+ * Reverse MIF projection: a MIF JSON-LD Concept back to a Structured MADR ADR.
+ *
+ * The inverse of projectAdr() in .github/bin/mif-project.js. `content` becomes
+ * the body and every other field goes back to the frontmatter it is derived
+ * from: relationships to `related` and `x-superseded-by`, entities to
+ * `technologies`, temporal to the dates, the provenance agent to `author`,
+ * extensions to `x-*` keys. Where that derivation would not project back to the
+ * same value (an author-supplied relationship type, a custom namespace), the
+ * field is kept as the MIF-native frontmatter key projectAdr() honours instead,
+ * so projecting the imported ADR at the object's level gives the object back.
+ * Relationship targets may be `/decisions/<file>` paths or the `@id`s the MIF
+ * gate resolves them to.
+ */
+
+import { isDeepStrictEqual } from 'node:util';
+import { stringify } from 'yaml';
+import { projectAdr, resolveRelationships } from '../.github/bin/mif-project.js';
+import { parseMarkdown, headingNodes, sectionChildren, nodeText } from '../.github/bin/markdown.js';
+import { DEFAULT_TITLE_PATTERN, matchSection, statusWord } from './validate.js';
+import { formatTitle, slugify } from './scaffold.js';
+import { resolveStatuses } from './statuses.js';
+
+// MIF-native frontmatter keys projectAdr() uses verbatim, by the MIF field they set
+const NATIVE_KEYS = {
+  id: '@id',
+  conceptType: 'conceptType',
+  namespace: 'namespace',
+  summary: 'summary',
+  relationships: 'relationships',
+  entities: 'entities',
+  provenance: 'provenance',
+  citations: 'citations',
+};
+
+// Frontmatter `description` is capped at 300 characters by the schema
+const MAX_DESCRIPTION = 300;
+
+/**
+ * The conformance level an object was projected at, from the fields each level
+ * adds.
+ */
+export function mifLevel(obj) {
+  if (obj.provenance !== undefined) return 3;
+  return obj.namespace !== undefined || obj.temporal !== undefined ? 2 : 1;
+}
+
+/**
+ * Date part of a MIF date-time. Throws naming `field` on anything else.
+ */
+function toDate(value, field) {
+  const match = /^(\d{4}-\d{2}-\d{2})(?:[T ]|$)/.exec(String(value ?? ''));
+  if (!match) throw new Error(`'${field}' is not an ISO 8601 date: ${value}`);
+  return match[1];
+}
+
+/**
+ * ADR file name of a `/decisions/<file>` relationship target, or null.
+ */
+function decisionFile(target) {
+  const file = /^\/decisions\/(.+)$/.exec(String(target ?? ''))?.[1];
+  return file && /^[a-zA-Z0-9_-]+\.md$/.test(file) ? file : null;
+}
+
+/**
+ * Status the body's `## Status` section opens with, or null.
+ */
+function statedStatus(tree, names) {
+  const heading = headingNodes(tree).find((h) => h.depth === 2 && matchSection(nodeText(h), 'Status'));
+  const first = heading && sectionChildren(tree, heading).find((n) => n.type === 'paragraph');
+  return first ? statusWord(nodeText(first), names) : null;
+}
+
+/**
+ * Build ADR frontmatter and body from a MIF object.
+ *
+ * Required ADR fields a low-level object does not carry come from `defaults`:
+ * the category (else taken from `_semantic/decisions/<category>`), tags (else
+ * the category), status (else stated under `## Status`, superseded for a
+ * supersedes relationship, or the first status to close validity when the
+ * object has `temporal.validUntil`; else the first status), author (else
+ * `provenance.agent`) and project (else from a `urn:mif:smadr:<project>:` id).
+ *
+ * @param {object} obj      MIF object (check it against a level profile first)
+ * @param {object} options  { defaults: { category, tags, status, author,
+ *                          project }, number, filename, titlePattern, statuses,
+ *                          ontologyEnabled, files }; number is used when the
+ *                          H1 has none, or to write an H1 for content without
+ *                          one; files maps the @id of each ADR already in the
+ *                          directory to its file name, so relationships to
+ *                          their @ids become `related` and `x-superseded-by`
+ * @returns {{ frontmatter, body, number, fileName, lost }}  fileName:
+ *          {NUMBER}-{slug}.md; lost: MIF fields the ADR cannot carry, which its
+ *          projection drops or changes
+ */
+export function importMif(obj, options = {}) {
+  const { defaults = {}, titlePattern = DEFAULT_TITLE_PATTERN, ontologyEnabled = false, files = new Map() } = options;
+  const statuses = resolveStatuses(options.statuses);
+  const content = String(obj.content ?? '').trim();
+  const tree = parseMarkdown(content);
+  const h1 = headingNodes(tree).find((h) => h.depth === 1);
+  const h1Text = h1 ? nodeText(h1) : null;
+
+  const title = obj.title ?? (h1Text?.match(titlePattern)?.[2] ?? h1Text)?.trim();
+  if (!title) throw new Error('The object has no title and its content no H1');
+  const numbered = h1Text?.match(titlePattern)?.[1];
+  const number = /^\d+$/.test(numbered ?? '') ? Number(numbered) : (options.number ?? null);
+  const padded = number === null ? null : String(number).padStart(4, '0');
+  const fileName = `${padded === null ? '' : `${padded}-`}${slugify(title)}.md`;
+  const filename = options.filename ?? fileName;
+  let body = content;
+  if (!h1) body = `# ${padded === null ? title : formatTitle(titlePattern, padded, title)}\n\n${content}`;
+
+  const category = obj.namespace?.match(/^_semantic\/decisions\/([^/]+)$/)?.[1] ?? defaults.category;
+  if (!category) throw new Error(`No category: the namespace is not _semantic/decisions/<category>`);
+  const author = obj.provenance?.agent ?? defaults.author;
+  if (!author) throw new Error('No author: the provenance names no agent');
+
+  const relationships = Array.isArray(obj.relationships) ? obj.relationships : [];
+  const fileOf = (target) => decisionFile(target) ?? files.get(target) ?? null;
+  const successor = relationships.filter((r) => r?.type === 'supersedes').map((r) => fileOf(r.target)).find(Boolean);
+  const related = [
+    ...new Set(relationships.filter((r) => r?.type === 'relates-to').map((r) => fileOf(r.target)).filter(Boolean)),
+  ];
+  const technologies = [
+    ...new Set(
+      (Array.isArray(obj.entities) ? obj.entities : [])
+        .filter((e) => e?.entityType === 'Technology' && typeof e.name === 'string' && e.name)
+        .map((e) => e.name)
+    ),
+  ];
+  const tags = Array.isArray(obj.tags) && obj.tags.length ? obj.tags.map(slugify) : (defaults.tags ?? [slugify(category)]);
+  const status =
+    statedStatus(tree, statuses.names) ??
+    (successor ? statuses.replaced : null) ??
+    (obj.temporal?.validUntil ? statuses.closesValidity[0] : null) ??
+    defaults.status ??
+    statuses.names[0];
+  const created = toDate(obj.created, 'created');
+
+  const frontmatter = {
+    title,
+    description: obj.summary && obj.summary.length <= MAX_DESCRIPTION ? obj.summary : title,
+    type: 'adr',
+    category,
+    tags: [...new Set(tags.filter(Boolean))],
+    status,
+    created,
+    updated: toDate(obj.modified ?? obj.temporal?.validUntil ?? created, 'modified'),
+    author,
+    project: /^urn:mif:smadr:([^:]+):/.exec(obj['@id'])?.[1] ?? defaults.project ?? 'smadr',
+  };
+  if (technologies.length) frontmatter.technologies = technologies;
+  if (related.length) frontmatter.related = related;
+  if (successor) frontmatter['x-superseded-by'] = successor;
+
+  const extensions = {};
+  for (const [key, value] of Object.entries(obj.extensions ?? {})) {
+    if (key !== 'x-superseded-by') extensions[key.startsWith('x-') ? key : `x-${key}`] = value;
+  }
+
+  // Compare with the object as the gate resolves it: paths to the known ADRs become their @ids
+  const ids = new Map([...files].map(([id, file]) => [`/decisions/${file}`, id]));
+  const level = mifLevel(obj);
+  const project = (fm) =>
+    resolveRelationships(
+      projectAdr(fm, body, { level, filename, ontologyEnabled, closesValidity: statuses.closesValidity }),
+      (target) => ids.get(target) ?? target
+    ).object;
+  const derived = project({ ...frontmatter, ...extensions });
+  const native = {};
+  for (const [key, field] of Object.entries(NATIVE_KEYS)) {
+    if (obj[field] !== undefined && !isDeepStrictEqual(derived[field], obj[field])) native[key] = obj[field];
+  }
+
+  const result = { ...frontmatter, ...native, ...extensions };
+  const projected = project(result);
+  const lost = Object.keys(obj).filter((field) => !isDeepStrictEqual(projected[field], obj[field]));
+  return { frontmatter: result, body, number, fileName, lost };
+}
+
+/**
+ * ADR file text from frontmatter and body. The title is quoted, as in the
+ * bundled templates.
+ */
+export function formatAdr(frontmatter, body) {
+  const { title, ...rest } = frontmatter;
+  return `---\ntitle: ${JSON.stringify(title)}\n${stringify(rest, { lineWidth: 0 })}---\n\n${body}\n`;
+}
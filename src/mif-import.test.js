@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, readdirSync } from 'node:fs';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { projectAdr } from '../.github/bin/mif-project.js';
+import { splitFrontmatter } from '../.github/bin/mif-validate.js';
+import { importMif, formatAdr, mifLevel } from './mif-import.js';
+import { validateContent } from './validate.js';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+const decisions = join(root, 'docs', 'decisions');
+const adrs = readdirSync(decisions).map((name) => ({ name, ...splitFrontmatter(readFileSync(join(decisions, name), 'utf-8')) }));
+const defaults = { category: 'architecture', author: 'Importer' };
+
+/**
+ * Import an object and project the written ADR again at the same level.
+ */
+function roundTrip(obj, level, options = {}) {
+  const imported = importMif(obj, { defaults, ...options });
+  const { fm, body } = splitFrontmatter(formatAdr(imported.frontmatter, imported.body));
+  return { imported, again: projectAdr(fm, body, { level, filename: imported.fileName }) };
+}
+
+test('project -> import -> project loses nothing at any level', () => {
+  const superseded = adrs.find((a) => a.name.startsWith('0001'));
+  const variants = [
+    ...adrs,
+    {
+      name: '0004-superseded.md',
+      fm: { ...superseded.fm, status: 'superseded', 'x-superseded-by': '0003-adopt-mif-compliance.md', 'x-owner': { team: 'platform' } },
+      body: superseded.body.replace('\n## Status\n\nAccepted', '\n## Status\n\nSuperseded by [ADR-0003](0003-adopt-mif-compliance.md)'),
+    },
+  ];
+  for (const { name, fm, body } of variants) {
+    for (const level of [1, 2, 3]) {
+      const obj = projectAdr(fm, body, { level, filename: name });
+      assert.equal(mifLevel(obj), level);
+      const { imported, again } = roundTrip(obj, level);
+      assert.deepEqual(again, obj, `${name} at level ${level}`);
+      assert.deepEqual(imported.lost, []);
+    }
+  }
+});
+
+test('imported ADRs map MIF fields back to their frontmatter', () => {
+  const { fm, body } = adrs.find((a) => a.name.startsWith('0001'));
+  const { frontmatter, fileName } = importMif(projectAdr(fm, body, { level: 3, filename: '0001-a.md' }), { defaults });
+  const { author, ...derived } = fm;
+  assert.deepEqual({ ...frontmatter, audience: fm.audience }, { ...derived, author: 'Importer', id: 'urn:mif:smadr:structured-madr:0001-a' });
+  assert.equal(fileName, '0001-adopt-structured-madr-format-for-project-documentation.md');
+  assert.equal(validateContent(formatAdr(frontmatter, body.trim())).errors.length, 0);
+});
+
+test('fields the derivation cannot reproduce keep their MIF-native keys', () => {
+  const { fm, body } = adrs.find((a) => a.name.startsWith('0002'));
+  const obj = {
+    ...projectAdr(fm, body, { level: 3, filename: '0002-b.md' }),
+    namespace: '_semantic/platform/decisions',
+    relationships: [{ type: 'depends-on', target: 'urn:mif:smadr:other:0009' }],
+    provenance: { sourceType: 'external_import', trustLevel: 'verified', agent: 'Architecture Board' },
+    extensions: { owner: 'platform' },
+    embedding: [0.1, 0.2],
+  };
+  const { imported, again } = roundTrip(obj, 3);
+  assert.equal(imported.frontmatter.author, 'Architecture Board');
+  assert.equal(imported.frontmatter.category, 'architecture');
+  assert.deepEqual(imported.frontmatter.relationships, obj.relationships);
+  assert.equal(imported.frontmatter.namespace, obj.namespace);
+  assert.equal(imported.frontmatter['x-owner'], 'platform');
+  assert.deepEqual(imported.lost, ['extensions', 'embedding']);
+  assert.deepEqual(again.provenance, obj.provenance);
+});
+
+test('objects without a title, category or author fail, and bare content gets an H1', () => {
+  const obj = {
+    '@context': 'https://mif-spec.dev/schema/context.jsonld',
+    '@type': 'Concept',
+    '@id': 'urn:mif:other:42',
+    conceptType: 'semantic',
+    content: '## Status\n\nAccepted',
+    created: '2026-03-01T09:30:00Z',
+  };
+  assert.throws(() => importMif(obj, { defaults }), /no title/);
+  assert.throws(() => importMif({ ...obj, title: 'Use Kafka' }, { defaults: { author: 'a' } }), /No category/);
+  assert.throws(() => importMif({ ...obj, title: 'Use Kafka' }, { defaults: { category: 'data' } }), /No author/);
+
+  const imported = importMif({ ...obj, title: 'Use Kafka' }, { defaults, number: 7 });
+  assert.equal(imported.body, '# ADR-0007: Use Kafka\n\n## Status\n\nAccepted');
+  assert.equal(imported.fileName, '0007-use-kafka.md');
+  assert.equal(imported.frontmatter.status, 'accepted');
+  assert.equal(imported.frontmatter.created, '2026-03-01');
+  assert.deepEqual(imported.frontmatter.tags, ['architecture']);
+});
+
+test('relationships to the @ids of ADRs in the directory become related', () => {
+  const { name, fm, body } = adrs.find((a) => a.name.startsWith('0002'));
+  const target = 'urn:mif:smadr:structured-madr:0001-adopt-structured-madr-format';
+  const obj = projectAdr(fm, body, { level: 2, filename: name });
+  obj.relationships = obj.relationships.map((r) => ({ ...r, target }));
+  const imported = importMif(obj, { defaults, files: new Map([[target, '0001-adopt-structured-madr-format.md']]) });
+  assert.deepEqual(imported.frontmatter.related, fm.related);
+  assert.equal(imported.frontmatter.relationships, undefined);
+  assert.deepEqual(imported.lost, []);
+});
@@ -0,0 +1,103 @@
+/**
+ * MIF level upgrade advisor: what raising `mifConformanceLevel` would take.
+ *
+ * The failures come from the MIF gate run at the target level (runMifGate() in
+ * .github/bin/mif-validate.js), already traced to the frontmatter key and line
+ * to edit. This module adds the suggestions: level-3 fields an ADR leaves to
+ * the projector's fallback or omits altogether, each with a default when one
+ * can be derived from the ADR itself, and writes those defaults for --apply.
+ */
+
+import { parseMarkdown, headingNodes, sectionChildren, nodeText, extractLinks } from '../.github/bin/markdown.js';
+import { matchSection } from './validate.js';
+import { setField } from './frontmatter.js';
+
+// MIF caps `summary` at 500 characters
+const MAX_SUMMARY = 500;
+
+/**
+ * Text of the first paragraph under `## Context`, or null.
+ */
+function contextParagraph(body) {
+  const tree = parseMarkdown(body);
+  const heading = headingNodes(tree).find((h) => h.depth === 2 && matchSection(nodeText(h), 'Context'));
+  const first = heading && sectionChildren(tree, heading).find((n) => n.type === 'paragraph');
+  const text = first && nodeText(first).replace(/\s+/g, ' ').trim();
+  if (!text) return null;
+  if (text.length <= MAX_SUMMARY) return text;
+  return `${text.slice(0, text.lastIndexOf(' ', MAX_SUMMARY - 1))}…`;
+}
+
+/**
+ * Frontmatter keys worth adding before projecting at `level`, in the order to
+ * add them. `value` is the default derived from the ADR, or undefined when
+ * only the author can write it.
+ *
+ * @returns {Array<{ key: string, value?: unknown, reason: string }>}
+ */
+export function suggestAdditions(fm, body, level) {
+  if (level < 3) return [];
+  const additions = [];
+  if (!fm.summary && !fm.description) {
+    const value = contextParagraph(body) ?? undefined;
+    additions.push({
+      key: 'summary',
+      value,
+      reason: value ? 'from the first paragraph of Context' : 'no description or Context paragraph to derive it from',
+    });
+  }
+  if (!fm.provenance) {
+    additions.push({
+      key: 'provenance',
+      value: { sourceType: 'user_explicit', trustLevel: 'user_stated', ...(fm.author && { agent: fm.author }) },
+      reason: fm.author ? 'states the author as the agent' : 'the projector default, stated',
+    });
+  }
+  if (!fm.citations && extractLinks(parseMarkdown(body)).length === 0) {
+    additions.push({ key: 'citations', reason: 'the body links no sources, so the object has no citations' });
+  }
+  return additions;
+}
+
+/**
+ * File content with the derivable additions written into the frontmatter.
+ */
+export function applyAdditions(content, additions) {
+  const lines = content.split('\n');
+  let end = lines.indexOf('---', 1);
+  for (const { key, value } of additions) {
+    if (value !== undefined) end += setField(lines, end, key, value);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Text report of an upgrade plan: per ADR, the gate failures at the target
+ * level and the suggested additions.
+ *
+ * @param {Array<{ filePath, failures: Array<{ message, line }>, additions }>} plan
+ * @param {object} options  { from, to, applied, path }; applied: the additions
+ *                          were written; path: display path of a file
+ */
+export function renderUpgradePlan(plan, { from, to, applied = false, path = (file) => file }) {
+  const out = [`MIF upgrade plan: level ${from} -> ${to}, ${plan.length} ADR(s)`, ''];
+  for (const { filePath, failures, additions } of plan) {
+    if (failures.length === 0 && additions.length === 0) continue;
+    out.push(path(filePath));
+    if (failures.length) out.push(`  Fails level ${to}:`);
+    for (const { message, line } of failures) out.push(`    ${line ? `line ${line}: ` : ''}${message}`);
+    if (additions.length) out.push(applied ? '  Frontmatter:' : '  Add to the frontmatter:');
+    for (const { key, value, reason } of additions) {
+      if (value === undefined) out.push(`    ${key} (by hand: ${reason})`);
+      else out.push(`    ${applied ? 'added ' : ''}${key}: ${JSON.stringify(value)} (${reason})`);
+    }
+    out.push('');
+  }
+
+  const failing = plan.filter((p) => p.failures.length).length;
+  const derivable = plan.flatMap((p) => p.additions).filter((a) => a.value !== undefined).length;
+  const tally = [`${failing} of ${plan.length} ADR(s) fail level ${to}`];
+  if (derivable) tally.push(applied ? `added ${derivable} derivable key(s)` : `${derivable} derivable key(s) to add with --apply`);
+  out.push(`---\n${tally.join('; ')}`);
+  return out.join('\n');
+}
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { splitFrontmatter } from '../.github/bin/mif-validate.js';
+import { suggestAdditions, applyAdditions, renderUpgradePlan } from './mif-upgrade.js';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+const content = readFileSync(join(root, 'docs', 'decisions', '0002-github-action-validator.md'), 'utf-8');
+const { fm, body } = splitFrontmatter(content);
+
+test('level 3 suggests summary, provenance and citations the ADR leaves out', () => {
+  const { description, ...bare } = fm;
+  const additions = suggestAdditions(bare, body.replace(/\]\(https?:[^)]*\)/g, ']'), 3);
+  assert.deepEqual(
+    additions.map((a) => a.key),
+    ['summary', 'provenance', 'citations']
+  );
+  assert.match(additions[0].value, /^The Structured MADR specification defines/);
+  assert.deepEqual(additions[1].value, { sourceType: 'user_explicit', trustLevel: 'user_stated', agent: fm.author });
+  assert.equal(additions[2].value, undefined);
+
+  assert.deepEqual(suggestAdditions(fm, body, 2), []);
+  assert.deepEqual(suggestAdditions({ ...fm, provenance: { sourceType: 'user_explicit' } }, body, 3), []);
+});
+
+test('applyAdditions writes only the derivable keys into the frontmatter', () => {
+  const additions = [
+    { key: 'summary', value: 'Validate ADRs in CI', reason: '' },
+    { key: 'citations', reason: '' },
+  ];
+  const applied = splitFrontmatter(applyAdditions(content, additions));
+  assert.deepEqual(applied.fm, { ...fm, summary: 'Validate ADRs in CI' });
+  assert.equal(applied.body, body);
+});
+
+test('the plan lists failures and additions per ADR, skipping clean ones', () => {
+  const plan = [
+    {
+      filePath: 'a.md',
+      failures: [{ message: 'MIF L3: `created` is derived from frontmatter `created`; it is not set', line: 12 }],
+      additions: [{ key: 'citations', reason: 'no links' }],
+    },
+    { filePath: 'b.md', failures: [], additions: [] },
+  ];
+  const text = renderUpgradePlan(plan, { from: 2, to: 3 });
+  assert.match(text, /^a\.md\n {2}Fails level 3:\n {4}line 12: MIF L3: `created`/m);
+  assert.match(text, /citations \(by hand: no links\)/);
+  assert.doesNotMatch(text, /b\.md/);
+  assert.match(text, /1 of 2 ADR\(s\) fail level 3$/);
+});
@@ -0,0 +1,172 @@
+/**
+ * Plugins: organisation-specific rules, corpus checks and autofixes.
+ *
+ * A plugin is an ES module listed under `plugins` in .smadrrc, by path
+ * (relative to the config file) or package name. Its default export, or the
+ * module itself, describes the plugin:
+ *
+ *   export default {
+ *     name: 'acme',
+ *     rules: {
+ *       'acme/threat-model-link': { severity: 'error', description: '...', fixable: true },
+ *     },
+ *     check(adr) { return [{ ruleId, message, line, column }]; },
+ *     checkCorpus(adrs) { return [{ filePath, ruleId, message, line, column }]; },
+ *     fixes: [(content, ctx) => ({ content, fixes: [{ ruleId, message }] })],
+ *   };
+ *
+ * `adr` is { filePath, content, frontmatter, body, headings, document }, with
+ * `document` the parseAdr() model; checkCorpus() gets one per parsed file in the
+ * set. Fixers have the signature of the built-in ones in fix.js and run after
+ * them. Rule ids live in the plugin's own namespace and behave like built-in
+ * ones: severities from `rules` in config, inline suppressions, every reporter.
+ *
+ * Loading is the only asynchronous step; everything else runs inside the
+ * synchronous validation calls.
+ */
+
+import { isAbsolute } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { RULES } from './rules.js';
+
+const NAME = /^[a-z0-9][a-z0-9-]*$/;
+
+/**
+ * Check a plugin definition. Throws naming `source` on anything malformed.
+ */
+export function checkPlugin(plugin, source = 'plugin') {
+  if (typeof plugin !== 'object' || plugin === null) throw new Error(`${source} must export a plugin object`);
+  const { name, rules = {}, check, checkCorpus, fixes = [] } = plugin;
+  if (typeof name !== 'string' || !NAME.test(name) || name === 'smadr') {
+    throw new Error(`${source}: 'name' must be lowercase letters, digits and hyphens, other than 'smadr'`);
+  }
+  if (typeof rules !== 'object' || rules === null || Array.isArray(rules)) {
+    throw new Error(`${source}: 'rules' must map rule ids to { severity, description }`);
+  }
+  for (const [id, rule] of Object.entries(rules)) {
+    if (!id.startsWith(`${name}/`) || !NAME.test(id.slice(name.length + 1))) {
+      throw new Error(`${source}: rule '${id}' must be named '${name}/<rule>'`);
+    }
+    if (!['warn', 'error'].includes(rule?.severity)) {
+      throw new Error(`${source}: rule '${id}' needs a default severity of warn or error`);
+    }
+    if (typeof rule.description !== 'string' || !rule.description) {
+      throw new Error(`${source}: rule '${id}' needs a description`);
+    }
+  }
+  for (const [hook, fn] of [['check', check], ['checkCorpus', checkCorpus]]) {
+    if (fn !== undefined && typeof fn !== 'function') throw new Error(`${source}: '${hook}' must be a function`);
+  }
+  if (!Array.isArray(fixes) || !fixes.every((fix) => typeof fix === 'function')) {
+    throw new Error(`${source}: 'fixes' must be a list of functions`);
+  }
+  return plugin;
+}
+
+/**
+ * Import and check the plugins listed in config: absolute paths, as
+ * loadConfigFile() resolves relative paths and packages (from the config
+ * file's directory). A bare package name imports from smadr's own location.
+ */
+export async function loadPlugins(specifiers = []) {
+  const plugins = [];
+  for (const specifier of specifiers) {
+    let module;
+    try {
+      module = await import(isAbsolute(specifier) ? pathToFileURL(specifier).href : specifier);
+    } catch (error) {
+      throw new Error(`Failed to load plugin ${specifier}: ${error.message}`);
+    }
+    plugins.push(checkPlugin(module.default ?? module, `Plugin ${specifier}`));
+  }
+  ruleRegistry(plugins);
+  return plugins;
+}
+
+/**
+ * The built-in rules plus every plugin rule. Throws when two plugins share a
+ * name.
+ */
+export function ruleRegistry(plugins = []) {
+  const registry = { ...RULES };
+  const names = new Set();
+  for (const plugin of plugins) {
+    if (names.has(plugin.name)) throw new Error(`Two plugins are named '${plugin.name}'`);
+    names.add(plugin.name);
+    Object.assign(registry, plugin.rules);
+  }
+  return registry;
+}
+
+/**
+ * Raised when a loaded plugin misbehaves during validation: a hook throws or
+ * reports findings it may not.
+ */
+export class PluginError extends Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'PluginError';
+  }
+}
+
+/**
+ * Run one plugin hook and check that its findings use the plugin's own rules.
+ */
+function run(plugin, hook, input, label) {
+  let findings;
+  try {
+    findings = plugin[hook](input) ?? [];
+  } catch (error) {
+    throw new PluginError(`Plugin '${plugin.name}' failed on ${label}: ${error.message}`, { cause: error });
+  }
+  if (!Array.isArray(findings)) throw new PluginError(`Plugin '${plugin.name}': ${hook}() must return a list of findings`);
+  for (const finding of findings) {
+    if (!Object.hasOwn(plugin.rules ?? {}, finding?.ruleId)) {
+      throw new PluginError(`Plugin '${plugin.name}' reported unregistered rule '${finding?.ruleId}'`);
+    }
+  }
+  return findings.map(({ filePath, ruleId, message, line = null, column = null }) => ({
+    filePath,
+    ruleId,
+    message: String(message),
+    line,
+    column,
+  }));
+}
+
+/**
+ * Findings of every plugin's check() for one ADR, as { ruleId, message, line,
+ * column }.
+ */
+export function pluginFindings(plugins, adr) {
+  return plugins
+    .filter((plugin) => plugin.check)
+    .flatMap((plugin) => run(plugin, 'check', adr, adr.filePath ?? 'an ADR'))
+    .map(({ filePath, ...finding }) => finding);
+}
+
+/**
+ * Findings of every plugin's checkCorpus() for a set of ADRs, added to the
+ * corpus findings map (keyed by file path). Findings for files outside the set
+ * are an error in the plugin.
+ */
+export function addCorpusFindings(plugins, adrs, findings) {
+  const files = new Set(adrs.map((adr) => adr.filePath));
+  for (const plugin of plugins.filter((p) => p.checkCorpus)) {
+    for (const { filePath, ...finding } of run(plugin, 'checkCorpus', adrs, 'the ADR set')) {
+      if (!files.has(filePath)) {
+        throw new PluginError(`Plugin '${plugin.name}' reported ${finding.ruleId} for a file outside the set: ${filePath}`);
+      }
+      if (!findings.has(filePath)) findings.set(filePath, []);
+      findings.get(filePath).push(finding);
+    }
+  }
+  return findings;
+}
+
+/**
+ * Every plugin's fixers, in plugin order.
+ */
+export function pluginFixers(plugins = []) {
+  return plugins.flatMap((plugin) => plugin.fixes ?? []);
+}
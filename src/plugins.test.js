@@ -0,0 +1,120 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, writeFileSync, mkdirSync, mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { checkPlugin, loadPlugins, ruleRegistry } from './plugins.js';
+import { validateContent, validateDocuments } from './validate.js';
+import { fixContent } from './fix.js';
+import { loadConfigFile } from './config.js';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+const decisions = join(root, 'docs', 'decisions');
+const example = readFileSync(join(decisions, '0001-adopt-structured-madr-format.md'), 'utf-8');
+
+// House rules: security ADRs link a threat model; PostgreSQL ADRs reference ADR-0002
+const acme = {
+  name: 'acme',
+  rules: {
+    'acme/threat-model-link': { severity: 'error', description: 'Security ADRs must link a threat model', fixable: true },
+    'acme/postgres-reference': { severity: 'warn', description: 'PostgreSQL ADRs must reference ADR-0002' },
+  },
+  check({ frontmatter, document }) {
+    if (frontmatter.category !== 'security' || /threat model/i.test(document.links?.text ?? '')) return [];
+    return [{ ruleId: 'acme/threat-model-link', message: 'Link the threat model under ## Links', line: document.links?.line }];
+  },
+  checkCorpus(adrs) {
+    return adrs
+      .filter((adr) => adr.frontmatter.technologies?.includes('postgresql'))
+      .filter((adr) => !adr.frontmatter.related?.includes('0002-github-action-validator.md'))
+      .map((adr) => ({ filePath: adr.filePath, ruleId: 'acme/postgres-reference', message: 'Reference ADR-0002' }));
+  },
+  fixes: [
+    (content, ctx) =>
+      ctx.reported.has('acme/threat-model-link')
+        ? {
+            content: content.replace('## Links\n', '## Links\n\n- [Threat model](https://example.com/threat-model)\n'),
+            fixes: [{ ruleId: 'acme/threat-model-link', message: 'Linked the threat model' }],
+          }
+        : null,
+  ],
+};
+
+const security = example.replace('category: documentation', 'category: security');
+const ids = (result) => [...result.errors, ...result.warnings].map((f) => f.ruleId);
+
+test('plugin checks report through the configured severities and suppressions', () => {
+  const [finding] = validateContent(security, { plugins: [acme] }).errors;
+  assert.equal(finding.ruleId, 'acme/threat-model-link');
+  assert.equal(finding.line, 202);
+  assert.deepEqual(ids(validateContent(example, { plugins: [acme] })), []);
+
+  assert.deepEqual(ids(validateContent(security, { plugins: [acme], rules: { 'acme/threat-model-link': 'off' } })), []);
+  const suppressed = security.replace('## Links', '<!-- smadr-disable-next-line acme/threat-model-link -->\n## Links');
+  assert.deepEqual(ids(validateContent(suppressed, { plugins: [acme] })), []);
+  assert.throws(() => validateContent(security, { rules: { 'acme/threat-model-link': 'off' } }), /Unknown rule/);
+});
+
+test('plugin corpus checks and fixes join the built-in ones', () => {
+  const filePath = join(decisions, '0001-adopt-structured-madr-format.md');
+  const postgres = example.replace('  - markdown\n', '  - postgresql\n').replace(/related:\n.*\n/, '');
+  const summary = validateDocuments([{ filePath, content: postgres }], { plugins: [acme] });
+  assert.deepEqual(summary.results[0].warnings.map((w) => w.ruleId), ['acme/postgres-reference']);
+
+  const fixed = fixContent(security, { plugins: [acme] });
+  assert.deepEqual(fixed.fixes, [{ ruleId: 'acme/threat-model-link', message: 'Linked the threat model' }]);
+  assert.deepEqual(ids(validateContent(fixed.content, { plugins: [acme] })), []);
+});
+
+test('malformed plugins and findings fail closed', () => {
+  assert.throws(() => checkPlugin({ name: 'smadr' }), /other than 'smadr'/);
+  assert.throws(() => checkPlugin({ name: 'acme', rules: { 'other/rule': { severity: 'warn', description: 'x' } } }), /acme\/<rule>/);
+  assert.throws(() => checkPlugin({ name: 'acme', rules: { 'acme/rule': { severity: 'off', description: 'x' } } }), /warn or error/);
+  assert.throws(() => checkPlugin({ name: 'acme', fixes: {} }), /'fixes' must be a list/);
+  assert.throws(() => ruleRegistry([acme, acme]), /Two plugins are named 'acme'/);
+
+  const rogue = { ...acme, check: () => [{ ruleId: 'smadr/missing-title', message: 'x' }] };
+  assert.throws(() => validateContent(example, { plugins: [rogue] }), /unregistered rule 'smadr\/missing-title'/);
+  const broken = { ...acme, check: () => { throw new Error('boom'); } };
+  assert.throws(() => validateContent(example, { plugins: [broken], filePath: 'a.md' }), /Plugin 'acme' failed on a.md: boom/);
+});
+
+test('plugins load from config paths relative to the config file', async (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'smadr-plugins-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  writeFileSync(
+    join(dir, 'house.js'),
+    "export default { name: 'house', rules: { 'house/owner': { severity: 'warn', description: 'Name an owner' } } };\n"
+  );
+  writeFileSync(join(dir, '.smadrrc'), 'plugins:\n  - ./house.js\nrules:\n  house/owner: error\n');
+
+  const config = loadConfigFile(join(dir, '.smadrrc'));
+  assert.deepEqual(config.plugins, [join(dir, 'house.js')]);
+  const plugins = await loadPlugins(config.plugins);
+  assert.equal(ruleRegistry(plugins)['house/owner'].description, 'Name an owner');
+
+  await assert.rejects(loadPlugins([join(dir, 'missing.js')]), /Failed to load plugin/);
+  writeFileSync(join(dir, '.smadrrc'), 'plugins:\n  - not-installed-plugin\n');
+  assert.throws(() => loadConfigFile(join(dir, '.smadrrc')), /cannot resolve plugin 'not-installed-plugin'/);
+  writeFileSync(join(dir, '.smadrrc'), 'plugins: ./house.js\n');
+  assert.throws(() => loadConfigFile(join(dir, '.smadrrc')), /'plugins' must be array/);
+});
+
+test('plugin packages load from the node_modules of the configuring project', async (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'smadr-plugins-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const pkg = join(dir, 'node_modules', 'acme-plugin');
+  mkdirSync(pkg, { recursive: true });
+  writeFileSync(join(pkg, 'package.json'), '{ "name": "acme-plugin", "type": "module", "main": "index.js" }\n');
+  writeFileSync(
+    join(pkg, 'index.js'),
+    "export default { name: 'acme', rules: { 'acme/owner': { severity: 'warn', description: 'Name an owner' } } };\n"
+  );
+  writeFileSync(join(dir, '.smadrrc'), 'plugins:\n  - acme-plugin\n');
+
+  const config = loadConfigFile(join(dir, '.smadrrc'));
+  assert.deepEqual(config.plugins, [join(pkg, 'index.js')]);
+  const plugins = await loadPlugins(config.plugins);
+  assert.equal(ruleRegistry(plugins)['acme/owner'].description, 'Name an owner');
+});
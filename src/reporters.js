@@ -0,0 +1,259 @@
+/**
+ * Output formats for validation summaries.
+ *
+ * Each reporter takes a summary shaped like the one validateFiles() returns and
+ * returns the full report as a string, so callers decide where it goes (stdout,
+ * a file). The MIF gate builds the same shape, so both modes share reporters.
+ */
+
+import { relative } from 'node:path';
+
+/**
+ * Path shown in reports: relative to the working directory when inside it.
+ */
+export function displayPath(filePath) {
+  if (!filePath) return '<input>';
+  const rel = relative(process.cwd(), filePath);
+  return rel.startsWith('..') ? filePath : rel;
+}
+
+/**
+ * Flatten a result's errors and warnings into messages with a severity.
+ * Findings without a rule id are attributed to the generic "smadr" rule.
+ * `line` and `column` are 1-based, or null when unknown.
+ */
+export function messagesOf(result) {
+  return [
+    ...result.errors.map((e) => ({ ...e, severity: 'error' })),
+    ...result.warnings.map((w) => ({ ...w, severity: 'warning' })),
+  ].map((m) => ({ ...m, ruleId: m.ruleId ?? 'smadr', line: m.line ?? null, column: m.column ?? null }));
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Workflow command escaping, as @actions/core does it: a message may not
+ * break the line, and a property value may not end its property either.
+ */
+function escapeData(value) {
+  return String(value).replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+}
+
+function escapeProperty(value) {
+  return escapeData(value).replace(/:/g, '%3A').replace(/,/g, '%2C');
+}
+
+/**
+ * Status line for one file, shared by the human-readable reporters.
+ */
+function statusLine(result) {
+  const file = displayPath(result.filePath);
+  if (result.valid && result.warnings.length === 0) return `✓ ${file}`;
+  if (result.valid) return `⚠ ${file} (${result.warnings.length} warning(s))`;
+  return `✗ ${file} (${result.errors.length} error(s))`;
+}
+
+function summaryLines(summary) {
+  return [
+    '---',
+    `Total: ${summary.total} | Passed: ${summary.passed} | Failed: ${summary.failed}`,
+    `Errors: ${summary.errors} | Warnings: ${summary.warnings}`,
+  ];
+}
+
+/**
+ * "line" or "line:column" for the text reporters; `unknown` when there is no line.
+ */
+function position(m, unknown = '-') {
+  if (!m.line) return unknown;
+  return m.column ? `${m.line}:${m.column}` : String(m.line);
+}
+
+/**
+ * Human-readable report for terminals.
+ */
+function pretty(summary) {
+  const out = [];
+  for (const result of summary.results) {
+    out.push(statusLine(result));
+    for (const m of messagesOf(result)) {
+      out.push(`  ${position(m).padStart(4)}  ${m.severity.padEnd(7)}  ${m.message}  ${m.ruleId}`);
+    }
+  }
+  out.push('', ...summaryLines(summary));
+  return out.join('\n');
+}
+
+/**
+ * GitHub Actions workflow commands (::error / ::warning annotations).
+ */
+function github(summary) {
+  const out = [];
+  for (const result of summary.results) {
+    const file = displayPath(result.filePath);
+    out.push(statusLine(result));
+    for (const m of messagesOf(result)) {
+      const lineParam = m.line ? `,line=${m.line}` : '';
+      const colParam = m.line && m.column ? `,col=${m.column}` : '';
+      out.push(
+        `::${m.severity} file=${escapeProperty(file)}${lineParam}${colParam},title=${escapeProperty(m.ruleId)}::${escapeData(m.message)}`
+      );
+    }
+  }
+  out.push('', ...summaryLines(summary));
+  return out.join('\n');
+}
+
+/**
+ * JSON document for dashboards and scripts.
+ */
+function json(summary) {
+  const { results, ...totals } = summary;
+  return JSON.stringify(
+    {
+      summary: totals,
+      results: results.map((result) => ({
+        file: displayPath(result.filePath),
+        valid: result.valid,
+        messages: messagesOf(result),
+      })),
+    },
+    null,
+    2
+  );
+}
+
+/**
+ * SARIF 2.1.0 log for GitHub code scanning.
+ */
+function sarif(summary) {
+  const ruleIds = new Set();
+  const results = [];
+
+  for (const result of summary.results) {
+    for (const m of messagesOf(result)) {
+      ruleIds.add(m.ruleId);
+      const location = {
+        physicalLocation: { artifactLocation: { uri: displayPath(result.filePath) } },
+      };
+      if (m.line) {
+        location.physicalLocation.region = { startLine: m.line };
+        if (m.column) location.physicalLocation.region.startColumn = m.column;
+      }
+      results.push({
+        ruleId: m.ruleId,
+        level: m.severity,
+        message: { text: m.message },
+        locations: [location],
+      });
+    }
+  }
+
+  return JSON.stringify(
+    {
+      $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+      version: '2.1.0',
+      runs: [
+        {
+          tool: {
+            driver: {
+              name: 'smadr',
+              informationUri: 'https://smadr.dev',
+              rules: [...ruleIds].sort().map((id) => ({ id })),
+            },
+          },
+          results,
+        },
+      ],
+    },
+    null,
+    2
+  );
+}
+
+/**
+ * JUnit XML: one test case per file; errors are failures, warnings go to system-out.
+ */
+function junit(summary) {
+  const out = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="smadr" tests="${summary.total}" failures="${summary.failed}">`,
+    `  <testsuite name="smadr" tests="${summary.total}" failures="${summary.failed}" errors="0">`,
+  ];
+
+  for (const result of summary.results) {
+    const path = displayPath(result.filePath);
+    const file = escapeXml(path);
+    const messages = messagesOf(result);
+    if (messages.length === 0) {
+      out.push(`    <testcase classname="smadr" name="${file}"/>`);
+      continue;
+    }
+    out.push(`    <testcase classname="smadr" name="${file}">`);
+    for (const m of messages.filter((m) => m.severity === 'error')) {
+      out.push(
+        `      <failure type="${escapeXml(m.ruleId)}" message="${escapeXml(m.message)}">` +
+          `${file}:${position(m, '0')} ${escapeXml(m.message)}</failure>`
+      );
+    }
+    const warnings = messages.filter((m) => m.severity === 'warning');
+    if (warnings.length) {
+      const text = warnings.map((m) => `warning ${m.ruleId} ${path}:${position(m, '0')} ${m.message}`);
+      out.push(`      <system-out>${escapeXml(text.join('\n'))}</system-out>`);
+    }
+    out.push('    </testcase>');
+  }
+
+  out.push('  </testsuite>', '</testsuites>');
+  return out.join('\n');
+}
+
+/**
+ * Checkstyle XML, as consumed by Jenkins warnings-ng and reviewdog.
+ */
+function checkstyle(summary) {
+  const out = ['<?xml version="1.0" encoding="UTF-8"?>', '<checkstyle version="4.3">'];
+
+  for (const result of summary.results) {
+    out.push(`  <file name="${escapeXml(displayPath(result.filePath))}">`);
+    for (const m of messagesOf(result)) {
+      out.push(
+        `    <error line="${m.line ?? 0}"${m.column ? ` column="${m.column}"` : ''} severity="${m.severity}" ` +
+          `message="${escapeXml(m.message)}" source="${escapeXml(m.ruleId)}"/>`
+      );
+    }
+    out.push('  </file>');
+  }
+
+  out.push('</checkstyle>');
+  return out.join('\n');
+}
+
+export const reporters = { pretty, github, json, sarif, junit, checkstyle };
+
+export const FORMATS = Object.freeze(Object.keys(reporters));
+
+// Conventional file extension per format, for reports written to disk
+export const EXTENSIONS = Object.freeze({
+  pretty: 'txt',
+  github: 'txt',
+  json: 'json',
+  sarif: 'sarif',
+  junit: 'xml',
+  checkstyle: 'xml',
+});
+
+/**
+ * Default name of a report file written in `format`, shared by both Action
+ * modes (action.js and the MIF step of action.yml).
+ */
+export function reportFileName(format) {
+  return `smadr-results.${EXTENSIONS[format]}`;
+}
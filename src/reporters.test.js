@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { reporters, messagesOf, reportFileName } from './reporters.js';
+
+const summary = {
+  results: [
+    {
+      filePath: 'docs/decisions/0002-cache.md',
+      valid: false,
+      errors: [{ message: 'Missing required section: ## Audit', line: null, ruleId: 'smadr/missing-section' }],
+      warnings: [{ message: 'Option "A & B" should include <Advantages>', line: 42, column: 3 }],
+    },
+    { filePath: 'docs/decisions/0001-db.md', valid: true, errors: [], warnings: [] },
+  ],
+  total: 2,
+  passed: 1,
+  failed: 1,
+  errors: 1,
+  warnings: 1,
+  valid: false,
+};
+
+test('messagesOf keeps severity, position and rule id', () => {
+  const [error, warning] = messagesOf(summary.results[0]);
+  assert.deepEqual(
+    [error.severity, error.ruleId, error.line],
+    ['error', 'smadr/missing-section', null]
+  );
+  assert.deepEqual([warning.severity, warning.ruleId, warning.line, warning.column], ['warning', 'smadr', 42, 3]);
+  assert.equal(error.column, null);
+});
+
+test('json report carries totals and per-file messages', () => {
+  const doc = JSON.parse(reporters.json(summary));
+  assert.equal(doc.summary.failed, 1);
+  assert.equal(doc.results[0].messages[1].line, 42);
+});
+
+test('sarif report lists rules and file locations', () => {
+  const log = JSON.parse(reporters.sarif(summary));
+  const run = log.runs[0];
+  assert.equal(log.version, '2.1.0');
+  assert.deepEqual(run.tool.driver.rules.map((r) => r.id), ['smadr', 'smadr/missing-section']);
+  assert.equal(run.results[1].level, 'warning');
+  assert.deepEqual(run.results[1].locations[0].physicalLocation.region, { startLine: 42, startColumn: 3 });
+  assert.equal(run.results[0].locations[0].physicalLocation.region, undefined);
+});
+
+test('xml reports escape messages', () => {
+  const junit = reporters.junit(summary);
+  assert.match(junit, /<testsuites name="smadr" tests="2" failures="1">/);
+  assert.match(junit, /A &amp; B/);
+  assert.doesNotMatch(junit, /&amp;amp;/);
+
+  const checkstyle = reporters.checkstyle(summary);
+  assert.match(checkstyle, /line="42" column="3" severity="warning"/);
+  assert.match(checkstyle, /&lt;Advantages&gt;/);
+  assert.match(checkstyle, /source="smadr\/missing-section"/);
+});
+
+test('github annotations escape messages and properties', () => {
+  const result = {
+    filePath: 'docs/decisions/0003-a,b.md',
+    valid: false,
+    errors: [{ message: '100% wrong:\nsee line 2\r\n', line: 7, ruleId: 'acme:rule' }],
+    warnings: [],
+  };
+  const report = reporters.github({ ...summary, results: [result] }).split('\n');
+  assert.ok(report.includes('::error file=docs/decisions/0003-a%2Cb.md,line=7,title=acme%3Arule::100%25 wrong:%0Asee line 2%0D%0A'));
+  assert.ok(!report.some((line) => line.startsWith('see line')));
+});
+
+test('report files are named by their format', () => {
+  assert.equal(reportFileName('pretty'), 'smadr-results.txt');
+  assert.equal(reportFileName('github'), 'smadr-results.txt');
+  assert.equal(reportFileName('junit'), 'smadr-results.xml');
+  assert.equal(reportFileName('sarif'), 'smadr-results.sarif');
+});
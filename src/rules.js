@@ -0,0 +1,85 @@
+/**
+ * Rule registry for the Structured MADR validator.
+ *
+ * Every check reports through a stable rule id so findings can be configured
+ * (off | warn | error), suppressed and traced in every output format. Ids are
+ * namespaced `smadr/<name>`; configuration may omit the `smadr/` prefix.
+ * `fixable` rules have an autofix in fix.js (for missing-section, only ## Audit).
+ */
+
+export const SEVERITIES = Object.freeze(['off', 'warn', 'error']);
+
+export const RULES = Object.freeze({
+  'smadr/file-read': { severity: 'error', description: 'The file could not be read' },
+  'smadr/frontmatter-missing': { severity: 'error', description: 'File must start with YAML frontmatter' },
+  'smadr/frontmatter-yaml': { severity: 'error', description: 'Frontmatter must be valid YAML' },
+  'smadr/frontmatter-schema': { severity: 'error', description: 'Frontmatter must satisfy the JSON Schema' },
+  'smadr/date-order': { severity: 'error', description: "'updated' must not be before 'created'", fixable: true },
+  'smadr/status-value': { severity: 'error', description: 'Frontmatter status must be a known value' },
+  'smadr/tag-format': { severity: 'error', description: 'Tags must be lowercase alphanumeric with hyphens', fixable: true },
+  'smadr/duplicate-tags': { severity: 'warn', description: 'Tags should not repeat', fixable: true },
+  'smadr/missing-title': { severity: 'error', description: 'The body must have an H1 title' },
+  'smadr/multiple-titles': { severity: 'warn', description: 'The body should have exactly one H1' },
+  'smadr/title-pattern': { severity: 'error', description: 'The H1 must match the title pattern' },
+  'smadr/title-mismatch': { severity: 'warn', description: 'The H1 should match frontmatter title', fixable: true },
+  'smadr/missing-section': { severity: 'error', description: 'Every required H2 section must be present', fixable: true },
+  'smadr/section-order': { severity: 'warn', description: 'H2 sections should follow the specified order', fixable: true },
+  'smadr/missing-subsection': { severity: 'error', description: 'Required H3 subsections must be present', fixable: true },
+  'smadr/status-body-mismatch': { severity: 'error', description: 'The ## Status section must agree with frontmatter status and x-superseded-by' },
+  'smadr/successor-not-named': { severity: 'warn', description: 'A superseded ADR should name its successor in ## Status and ## Related Decisions' },
+  'smadr/audit-entry-missing': { severity: 'error', description: 'The Audit section needs at least one entry', fixable: true },
+  'smadr/audit-entry-date': { severity: 'warn', description: 'Audit entry headings should be YYYY-MM-DD dates' },
+  'smadr/audit-status-value': { severity: 'warn', description: 'Audit status should be a known value' },
+  'smadr/audit-missing-field': { severity: 'warn', description: 'Audit entries should carry Status, Findings, Summary and Action Required' },
+  'smadr/option-missing': { severity: 'error', description: 'Considered Options needs at least one option' },
+  'smadr/option-advantages': { severity: 'warn', description: 'Each option should list Advantages' },
+  'smadr/option-disadvantages': { severity: 'warn', description: 'Each option should list Disadvantages' },
+  'smadr/option-risk-assessment': { severity: 'warn', description: 'Each option should include a Risk Assessment' },
+  'smadr/file-name': { severity: 'error', description: 'File names must follow SPECIFICATION.md §5 and match the ADR number' },
+  'smadr/duplicate-number': { severity: 'error', description: 'Each ADR number must be used once per directory' },
+  'smadr/number-gap': { severity: 'error', description: 'ADR numbers must be consecutive' },
+  'smadr/broken-link': { severity: 'error', description: "'related' and 'x-superseded-by' must name existing files" },
+  'smadr/superseded-without-successor': { severity: 'error', description: "Superseded ADRs must name a successor in 'x-superseded-by'" },
+  'smadr/supersession-backlink': { severity: 'error', description: 'A successor must link back to the ADR it supersedes' },
+  'smadr/supersession-cycle': { severity: 'error', description: 'Supersession chains must not loop' },
+  'smadr/status-transition': { severity: 'error', description: 'Status changes must follow the configured transitions' },
+  'smadr/decision-change-without-audit': { severity: 'warn', description: 'Changing the Decision of an accepted ADR needs a new Audit entry' },
+  'smadr/unused-suppression': { severity: 'warn', description: 'smadr-disable comments should suppress something' },
+});
+
+/**
+ * Canonical rule id: adds the `smadr/` prefix when it was omitted.
+ */
+export function ruleId(name) {
+  return name.includes('/') ? name : `smadr/${name}`;
+}
+
+/**
+ * Resolve the effective severity of every rule from user overrides.
+ *
+ * Fails closed: an unknown rule id or severity throws, so a typo in config can
+ * never silently leave a rule at its default.
+ *
+ * @param {object} overrides  { [ruleId]: 'off' | 'warn' | 'error' }
+ * @param {object} registry   rule definitions (defaults to RULES)
+ * @returns {object} { [ruleId]: severity } for every registered rule
+ */
+export function resolveSeverities(overrides = {}, registry = RULES) {
+  const severities = Object.fromEntries(
+    Object.entries(registry).map(([id, rule]) => [id, rule.severity])
+  );
+
+  for (const [name, value] of Object.entries(overrides ?? {})) {
+    const id = ruleId(name);
+    if (!(id in registry)) {
+      throw new Error(`Unknown rule '${name}'. Run "smadr rules" to list rule ids.`);
+    }
+    const severity = value === false ? 'off' : value;
+    if (!SEVERITIES.includes(severity)) {
+      throw new Error(`Invalid severity '${value}' for rule '${name}'. Expected one of: ${SEVERITIES.join(', ')}`);
+    }
+    severities[id] = severity;
+  }
+
+  return severities;
+}
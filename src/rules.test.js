@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RULES, resolveSeverities, ruleId } from './rules.js';
+
+test('every rule id is namespaced and has a valid default severity', () => {
+  for (const [id, rule] of Object.entries(RULES)) {
+    assert.match(id, /^smadr\/[a-z-]+$/);
+    assert.ok(['warn', 'error'].includes(rule.severity), id);
+  }
+});
+
+test('overrides accept ids with or without the smadr/ prefix', () => {
+  const severities = resolveSeverities({
+    'smadr/section-order': 'error',
+    'option-risk-assessment': 'off',
+  });
+  assert.equal(severities['smadr/section-order'], 'error');
+  assert.equal(severities['smadr/option-risk-assessment'], 'off');
+  assert.equal(severities['smadr/missing-section'], 'error');
+  assert.equal(ruleId('duplicate-tags'), 'smadr/duplicate-tags');
+});
+
+test('unknown rules and severities fail closed', () => {
+  assert.throws(() => resolveSeverities({ 'no-such-rule': 'warn' }), /Unknown rule/);
+  assert.throws(() => resolveSeverities({ 'section-order': 'fatal' }), /Invalid severity/);
+});
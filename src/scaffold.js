@@ -0,0 +1,149 @@
+/**
+ * Scaffold new ADRs from templates.
+ *
+ * The template text is copied as-is; only the fields a new ADR knows about are
+ * filled in (number, title, dates, author, category, tags, status and the first
+ * audit entry), so a team's template keeps its own wording and comments.
+ */
+
+import { readdirSync, existsSync } from 'node:fs';
+import { execFileSync } from 'node:child_process';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { fileNumber } from './corpus.js';
+import { auditEntry } from './fix.js';
+import { setField } from './frontmatter.js';
+import { DEFAULT_STATUSES, resolveStatuses, statusLinePattern, statusLabel } from './statuses.js';
+import { DEFAULT_TITLE_PATTERN, parseFrontmatter, extractHeadings, matchSection } from './validate.js';
+
+export const DEFAULT_TEMPLATE_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'templates');
+export const DEFAULT_TEMPLATE = 'template';
+
+/**
+ * The number after the highest one used in `dir` (1 for a new directory).
+ */
+export function nextNumber(dir) {
+  const names = existsSync(dir) ? readdirSync(dir) : [];
+  const numbers = names.map(fileNumber).filter((n) => n !== null);
+  return numbers.length ? Math.max(...numbers) + 1 : 1;
+}
+
+/**
+ * URL-friendly slug for the file name (SPECIFICATION.md §5).
+ */
+export function slugify(title) {
+  return title
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * `user.name` from git config, or null outside a repository / without git.
+ */
+export function gitAuthor(cwd = process.cwd()) {
+  try {
+    return execFileSync('git', ['config', 'user.name'], { cwd, encoding: 'utf-8' }).trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Write an H1 title that the title pattern accepts.
+ *
+ * The pattern's first capture group takes the number and the second the title;
+ * whitespace classes become a single space. Throws when the result does not
+ * match, e.g. for patterns with alternations the substitution cannot follow.
+ */
+export function formatTitle(pattern, number, title) {
+  let group = 0;
+  const text = pattern.source
+    .replace(/^\^|\$$/g, '')
+    .replace(/\((?!\?)(?:\\.|[^()\\])*\)/g, () => (++group === 1 ? number : title))
+    .replace(/\\s[*+?]?/g, ' ')
+    .replace(/\\(.)/g, '$1');
+  if (!pattern.test(text)) {
+    throw new Error(`Cannot derive an H1 from title pattern ${pattern}; got "${text}"`);
+  }
+  return text;
+}
+
+/**
+ * Find a template by name in the template directories, first match wins.
+ */
+export function findTemplate(name = DEFAULT_TEMPLATE, dirs = []) {
+  const file = name.endsWith('.md') ? name : `${name}.md`;
+  for (const dir of [...dirs, DEFAULT_TEMPLATE_DIR]) {
+    if (existsSync(join(dir, file))) return join(dir, file);
+  }
+  return null;
+}
+
+/**
+ * Render a new ADR from template text.
+ *
+ * The ADR starts with the first status of the vocabulary (`proposed` unless
+ * `statuses` from .smadrrc says otherwise), in the frontmatter and in the
+ * `## Status` section.
+ *
+ * @param {string} template  template file contents
+ * @param {object} fields    { number, title, today, author, category, tags, titlePattern, statuses }
+ * @returns {string}
+ */
+export function renderAdr(template, fields) {
+  const {
+    number,
+    title,
+    today,
+    author = null,
+    category,
+    tags,
+    titlePattern = DEFAULT_TITLE_PATTERN,
+    statuses,
+  } = fields;
+  const parsed = parseFrontmatter(template);
+  if (!parsed || parsed.error) throw new Error('Template must start with YAML frontmatter');
+
+  const lines = template.split('\n');
+  let end = parsed.frontmatterEndLine - 1;
+  const [status] = resolveStatuses(statuses).names;
+  const values = { title, status, created: today, updated: today };
+  if (author) values.author = author;
+  if (category) values.category = category;
+  if (tags?.length) values.tags = tags;
+  for (const [key, value] of Object.entries(values)) end += setField(lines, end, key, value);
+
+  const body = lines.slice(end + 1).join('\n');
+  const headings = extractHeadings(body, end + 2).map((h) => ({ ...h, index: h.line - 1 }));
+  // Templates state a built-in status in ## Status; say the one just set
+  const stated = headings.find((h) => h.level === 2 && matchSection(h.text, 'Status'));
+  if (stated) {
+    const pattern = statusLinePattern(new Set([...Object.keys(DEFAULT_STATUSES), ...resolveStatuses(statuses).names]));
+    const after = headings.find((h) => h.level <= 2 && h.index > stated.index)?.index ?? lines.length;
+    const line = lines.findIndex((l, i) => i > stated.index && i < after && l.trim() !== '');
+    if (line > -1 && pattern.test(lines[line])) lines[line] = lines[line].replace(pattern, statusLabel(status));
+  }
+  // First audit entry: date the template's entry (the bare template's is an
+  // empty "###"), or add one
+  const audit = headings.find((h) => h.level === 2 && matchSection(h.text, 'Audit'));
+  const next = audit && headings.find((h) => h.level <= 2 && h.index > audit.index);
+  const entry = audit && headings.find((h) => h.level === 3 && h.index > audit.index && (!next || h.index < next.index));
+  if (entry) {
+    lines[entry.index] = `### ${today}`;
+  } else {
+    while (lines.length && lines[lines.length - 1].trim() === '') lines.pop();
+    if (!audit) lines.push('', '## Audit');
+    lines.push('', ...auditEntry(today), '');
+  }
+
+  // After the audit edits, so inserting a missing H1 cannot shift their indexes
+  const h1 = headings.find((h) => h.level === 1);
+  const heading = `# ${formatTitle(titlePattern, String(number).padStart(4, '0'), title)}`;
+  // A setext H1 spans its underline too
+  if (h1) lines.splice(h1.index, h1.endLine - h1.line + 1, heading);
+  else lines.splice(end + 1, 0, '', heading);
+  return lines.join('\n');
+}
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, writeFileSync, mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { parse as parseYaml } from 'yaml';
+import {
+  DEFAULT_TEMPLATE_DIR,
+  nextNumber,
+  slugify,
+  formatTitle,
+  findTemplate,
+  renderAdr,
+} from './scaffold.js';
+import { parseFrontmatter, validateContent } from './validate.js';
+
+const fields = {
+  number: 7,
+  title: 'Use Kafka for events',
+  today: '2026-10-18',
+  author: 'Jane Doe',
+  category: 'data',
+  tags: ['messaging', 'events'],
+};
+
+test('nextNumber continues after the highest ADR number', (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'smadr-new-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  assert.equal(nextNumber(join(dir, 'missing')), 1);
+
+  for (const name of ['0001-a.md', '0004-b.md', 'adr_0002.md', 'README.md']) {
+    writeFileSync(join(dir, name), '');
+  }
+  assert.equal(nextNumber(dir), 5);
+});
+
+test('slugify and formatTitle follow the naming and title patterns', () => {
+  assert.equal(slugify('Use Kafka for Événements!'), 'use-kafka-for-evenements');
+  assert.equal(formatTitle(/^ADR-(\d+):\s*(.+)$/, '0007', 'Use Kafka'), 'ADR-0007: Use Kafka');
+  assert.equal(formatTitle(/^Decision (\d+) - (.+)$/, '0007', 'Use Kafka'), 'Decision 0007 - Use Kafka');
+  assert.throws(() => formatTitle(/^RFC-(\d{2}): (.+)$/, '0007', 'Use Kafka'), /Cannot derive an H1/);
+});
+
+for (const name of ['template', 'template-bare']) {
+  test(`renderAdr fills ${name}.md`, () => {
+    const content = renderAdr(readFileSync(join(DEFAULT_TEMPLATE_DIR, `${name}.md`), 'utf-8'), fields);
+    const { frontmatter } = parseFrontmatter(content);
+
+    assert.equal(frontmatter.title, 'Use Kafka for events');
+    assert.equal(frontmatter.status, 'proposed');
+    assert.equal(frontmatter.author, 'Jane Doe');
+    assert.equal(frontmatter.category, 'data');
+    assert.deepEqual(frontmatter.tags, ['messaging', 'events']);
+    assert.equal(String(frontmatter.created), String(frontmatter.updated));
+    assert.match(content, /^# ADR-0007: Use Kafka for events$/m);
+    assert.match(content, /^## Audit\n\n### 2026-10-18\n\n\*\*Status:\*\* Pending$/m);
+    assert.equal(content.match(/^### 2026-10-18$/gm).length, 1);
+  });
+}
+
+test('renderAdr starts with the first status of a configured vocabulary', () => {
+  const statuses = { draft: { active: true }, accepted: { active: true, decided: true }, retired: { replaced: true } };
+  const content = renderAdr(readFileSync(join(DEFAULT_TEMPLATE_DIR, 'template.md'), 'utf-8'), { ...fields, statuses });
+  assert.equal(parseFrontmatter(content).frontmatter.status, 'draft');
+  assert.match(content, /^## Status\n\nDraft$/m);
+
+  const { errors, warnings } = validateContent(content, { statuses });
+  assert.deepEqual([...errors, ...warnings].filter((f) => /status/.test(f.ruleId)), []);
+});
+
+test('renderAdr adds an audit entry to templates without one', () => {
+  const template = '---\ntitle: ""\n# house style\nstatus: draft\n---\n\n# {TITLE}\n\n## Context\n';
+  const content = renderAdr(template, fields);
+  assert.equal(parseYaml(content.split('---')[1]).status, 'proposed');
+  assert.match(content, /# house style/);
+  assert.match(content, /## Context\n\n## Audit\n\n### 2026-10-18\n/);
+});
+
+test('findTemplate searches custom directories before the built-in ones', (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'smadr-templates-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  writeFileSync(join(dir, 'template.md'), '---\n---\n');
+
+  assert.equal(findTemplate('template', [dir]), join(dir, 'template.md'));
+  assert.equal(findTemplate('template-bare', [dir]), join(DEFAULT_TEMPLATE_DIR, 'template-bare.md'));
+  assert.equal(findTemplate('missing', [dir]), null);
+});
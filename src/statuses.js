@@ -0,0 +1,94 @@
+/**
+ * ADR status vocabulary and what each status means.
+ *
+ * Declared once, as the built-in defaults or `statuses` / `auditStatuses` in
+ * .smadrrc, and read by the schema and semantic checks, the lifecycle check
+ * (history.js), `smadr supersede`, the audit report, the graph and the MIF
+ * projection. Each status may carry:
+ *
+ *   active          the decision is current; `smadr audit` reviews its audits
+ *   decided         the Decision is in force: changing it needs a new audit entry
+ *   terminal        final: no transitions out
+ *   closesValidity  ends the decision's validity (MIF temporal.validUntil)
+ *   replaced        replaced by a successor: `smadr supersede` sets it and
+ *                   `x-superseded-by` must name the successor (one status at most)
+ */
+
+export const STATUS_FLAGS = Object.freeze(['active', 'decided', 'terminal', 'closesValidity', 'replaced']);
+
+export const DEFAULT_STATUSES = Object.freeze({
+  proposed: Object.freeze({ active: true }),
+  accepted: Object.freeze({ active: true, decided: true }),
+  deprecated: Object.freeze({ closesValidity: true }),
+  superseded: Object.freeze({ terminal: true, closesValidity: true, replaced: true }),
+});
+
+export const DEFAULT_AUDIT_STATUSES = Object.freeze(['Pending', 'Compliant', 'Non-Compliant', 'Partial']);
+
+const NAME = /^[a-z0-9][a-z0-9-]*$/;
+
+/**
+ * Resolve a status vocabulary: { names, active, decided, terminal,
+ * closesValidity, replaced, audit } with a list of status names for each,
+ * except `replaced`: the one replaced status, or null.
+ *
+ * @param {object} statuses       { [status]: { active, decided, terminal, closesValidity, replaced } }
+ *                                (a null value declares a status with no flags)
+ * @param {string[]} auditStatuses audit entry statuses
+ * Throws on malformed declarations.
+ */
+export function resolveStatuses(statuses = DEFAULT_STATUSES, auditStatuses = DEFAULT_AUDIT_STATUSES) {
+  if (typeof statuses !== 'object' || statuses === null || Array.isArray(statuses)) {
+    throw new Error('statuses must map each status to its flags');
+  }
+  const names = Object.keys(statuses);
+  if (names.length === 0) throw new Error('statuses must declare at least one status');
+  for (const name of names) {
+    if (!NAME.test(name)) throw new Error(`statuses: '${name}' must be lowercase letters, digits and hyphens`);
+    const flags = statuses[name] ?? {};
+    if (typeof flags !== 'object' || Array.isArray(flags)) {
+      throw new Error(`statuses.${name} must be a mapping of flags`);
+    }
+    for (const [flag, value] of Object.entries(flags)) {
+      if (!STATUS_FLAGS.includes(flag)) {
+        throw new Error(`statuses.${name}: unknown flag '${flag}'. Expected one of: ${STATUS_FLAGS.join(', ')}`);
+      }
+      if (typeof value !== 'boolean') throw new Error(`statuses.${name}.${flag} must be true or false`);
+    }
+  }
+
+  if (!Array.isArray(auditStatuses) || auditStatuses.length === 0 || !auditStatuses.every((s) => typeof s === 'string' && s)) {
+    throw new Error('auditStatuses must be a non-empty list of names');
+  }
+
+  const flagged = (flag) => names.filter((name) => statuses[name]?.[flag] === true);
+  const replaced = flagged('replaced');
+  if (replaced.length > 1) {
+    throw new Error(`statuses: only one status can be replaced, got ${replaced.join(', ')}`);
+  }
+  return {
+    names,
+    active: flagged('active'),
+    decided: flagged('decided'),
+    terminal: flagged('terminal'),
+    closesValidity: flagged('closesValidity'),
+    replaced: replaced[0] ?? null,
+    audit: [...auditStatuses],
+  };
+}
+
+/**
+ * Matches a status name opening a line, as the body `## Status` section states
+ * it (see statusWord() in validate.js): any case, hyphens or spaces.
+ */
+export function statusLinePattern(names) {
+  const words = [...names].sort((a, b) => b.length - a.length).map((name) => name.replace(/-/g, '[- ]'));
+  return new RegExp(`^(${words.join('|')})(?![\\w-])`, 'i');
+}
+
+/**
+ * A status as the body `## Status` section writes it: `superseded` -> `Superseded`.
+ */
+export function statusLabel(name) {
+  return `${name[0].toUpperCase()}${name.slice(1)}`;
+}
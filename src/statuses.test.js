@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_STATUSES, resolveStatuses } from './statuses.js';
+import { validateContent, loadSchema, parseAdr } from './validate.js';
+import { auditDocument } from './audit.js';
+import { projectAdr } from '../.github/bin/mif-project.js';
+
+const statuses = {
+  draft: { active: true },
+  proposed: { active: true },
+  accepted: { active: true, decided: true },
+  'on-hold': null,
+  rejected: { terminal: true, closesValidity: true },
+  superseded: { terminal: true, closesValidity: true, replaced: true },
+};
+
+function adr(status) {
+  return (
+    `---\ntitle: Caching\ndescription: Cache responses\ntype: adr\ncategory: architecture\n` +
+    `tags:\n  - caching\nstatus: ${status}\ncreated: 2026-01-10\nupdated: 2026-01-10\nauthor: Team\nproject: demo\n---\n\n` +
+    '# ADR-0004: Caching\n'
+  );
+}
+
+const statusFindings = (result) =>
+  result.errors.filter((e) => e.ruleId === 'smadr/status-value' || e.ruleId === 'smadr/frontmatter-schema');
+
+test('resolveStatuses lists the statuses carrying each flag', () => {
+  assert.deepEqual(resolveStatuses(), {
+    names: ['proposed', 'accepted', 'deprecated', 'superseded'],
+    active: ['proposed', 'accepted'],
+    decided: ['accepted'],
+    terminal: ['superseded'],
+    closesValidity: ['deprecated', 'superseded'],
+    replaced: 'superseded',
+    audit: ['Pending', 'Compliant', 'Non-Compliant', 'Partial'],
+  });
+  assert.deepEqual(resolveStatuses(statuses).active, ['draft', 'proposed', 'accepted']);
+
+  assert.throws(() => resolveStatuses(['proposed']), /must map each status/);
+  assert.throws(() => resolveStatuses({ Draft: {} }), /lowercase/);
+  assert.throws(() => resolveStatuses({ draft: { final: true } }), /unknown flag 'final'/);
+  assert.throws(() => resolveStatuses({ draft: { active: 'yes' } }), /true or false/);
+  assert.throws(() => resolveStatuses({ rejected: { replaced: true }, superseded: { replaced: true } }), /only one status/);
+  assert.throws(() => resolveStatuses(DEFAULT_STATUSES, []), /auditStatuses/);
+});
+
+test('configured statuses drive the schema and semantic checks', () => {
+  const schema = loadSchema();
+  assert.equal(statusFindings(validateContent(adr('on-hold'), { schema })).length, 2);
+  assert.deepEqual(statusFindings(validateContent(adr('on-hold'), { schema, statuses })), []);
+
+  const findings = statusFindings(validateContent(adr('deprecated'), { schema, statuses }));
+  assert.equal(findings.length, 2);
+  const semantic = findings.find((f) => f.ruleId === 'smadr/status-value');
+  assert.match(semantic.message, /Must be one of: draft, proposed, accepted, on-hold, rejected, superseded/);
+});
+
+test('configured audit statuses drive the audit status check', () => {
+  const content = `${adr('accepted')}\n## Audit\n\n### 2026-01-10\n\n**Status:** Waived\n`;
+  const ids = (result) => result.warnings.map((w) => w.ruleId);
+  assert.ok(ids(validateContent(content)).includes('smadr/audit-status-value'));
+  assert.ok(!ids(validateContent(content, { auditStatuses: ['Compliant', 'Waived'] })).includes('smadr/audit-status-value'));
+});
+
+test('only active statuses are audited and closesValidity ends MIF validity', () => {
+  const options = { today: '2026-10-18', maxAge: 30, statuses };
+  assert.equal(auditDocument(parseAdr(adr('on-hold')), options).overdue, null);
+  assert.notEqual(auditDocument(parseAdr(adr('draft')), options).overdue, null);
+
+  const fm = { title: 'Caching', status: 'rejected', created: '2026-01-10', updated: '2026-02-01' };
+  assert.equal(projectAdr(fm, '', { level: 3 }).temporal.validUntil, undefined);
+  const { closesValidity } = resolveStatuses(statuses);
+  assert.equal(projectAdr(fm, '', { level: 3, closesValidity }).temporal.validUntil, '2026-02-01T00:00:00Z');
+});
@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, writeFileSync, readdirSync, mkdtempSync, rmSync, cpSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { findAdr, supersede, planSupersede, writeAll } from './supersede.js';
+import { parseFrontmatter, validateFiles } from './validate.js';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+const decisions = join(root, 'docs', 'decisions');
+
+/**
+ * A scratch copy of the project's ADRs.
+ */
+function copyDecisions(t) {
+  const dir = mkdtempSync(join(tmpdir(), 'smadr-supersede-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  cpSync(decisions, dir, { recursive: true });
+  return dir;
+}
+
+function read(dir, number) {
+  const filePath = findAdr(dir, number);
+  return { filePath, content: readFileSync(filePath, 'utf-8') };
+}
+
+test('findAdr resolves numbers, ADR ids and file names', () => {
+  const file = join(decisions, '0002-github-action-validator.md');
+  assert.equal(findAdr(decisions, '0002'), file);
+  assert.equal(findAdr(decisions, 'ADR-2'), file);
+  assert.equal(findAdr(decisions, '0002-github-action-validator.md'), file);
+  assert.equal(findAdr(decisions, '0099'), null);
+});
+
+test('supersede updates frontmatter and body of both ADRs', (t) => {
+  const dir = copyDecisions(t);
+  const old = read(dir, '0002');
+  const next = supersede(old, read(dir, '0003'), { today: '2026-10-18' });
+
+  const { frontmatter: before } = parseFrontmatter(next.old);
+  assert.equal(before.status, 'superseded');
+  assert.equal(before['x-superseded-by'], '0003-adopt-mif-compliance.md');
+  assert.equal(String(before.updated), '2026-10-18');
+  assert.deepEqual(before.related, ['0001-adopt-structured-madr-format.md', '0003-adopt-mif-compliance.md']);
+  assert.match(next.old, /## Status\n\nSuperseded\n\nSuperseded by \[ADR-0003: .*\]\(0003-adopt-mif-compliance\.md\)\n/);
+  assert.match(next.old, /^- \[ADR-0003: .*\]\(0003-adopt-mif-compliance\.md\) - Supersedes this decision$/m);
+
+  const { frontmatter: after } = parseFrontmatter(next.successor);
+  assert.equal(after.status, 'accepted');
+  assert.match(next.successor, /\nAccepted\n\nSupersedes \[ADR-0002: .*\]\(0002-github-action-validator\.md\)\n/);
+
+  // Everything else is left as written
+  const untouched = (text) => text.split('\n').filter((l) => !/supersede|^status:|^updated:|^ {2}- 0003/i.test(l));
+  assert.deepEqual(untouched(next.old).filter((l) => l !== ''), untouched(old.content).filter((l) => l !== '' && l !== 'Accepted'));
+
+  assert.throws(() => supersede(old, old, { today: '2026-10-18' }), /cannot supersede itself/);
+});
+
+test('planSupersede validates the result before anything is written', (t) => {
+  const dir = copyDecisions(t);
+  const plan = planSupersede(findAdr(dir, '0002'), read(dir, '0003'), { today: '2026-10-18' });
+  assert.equal(plan.summary.valid, true, JSON.stringify(plan.summary.results.map((r) => r.errors)));
+
+  writeAll(plan.documents);
+  assert.deepEqual(readdirSync(dir).sort(), readdirSync(decisions).sort());
+  assert.equal(validateFiles(readdirSync(dir).map((f) => join(dir, f))).valid, true);
+
+  const broken = read(dir, '0001');
+  writeFileSync(broken.filePath, broken.content.replace('  - madr\n', '  - MADR\n'));
+  const refused = planSupersede(broken.filePath, read(dir, '0003'), { today: '2026-10-18' });
+  assert.equal(refused.summary.valid, false);
+  assert.deepEqual(refused.summary.results.flatMap((r) => r.errors.map((e) => e.ruleId)), ['smadr/tag-format']);
+});
+
+test('supersede follows a configured status vocabulary', (t) => {
+  const dir = copyDecisions(t);
+  const statuses = {
+    draft: { active: true },
+    accepted: { active: true, decided: true },
+    retired: { terminal: true, closesValidity: true, replaced: true },
+  };
+  const old = read(dir, '0002');
+  writeFileSync(old.filePath, old.content.replace('status: accepted', 'status: draft').replace('\nAccepted\n', '\nDraft\n'));
+
+  const plan = planSupersede(old.filePath, read(dir, '0003'), { today: '2026-10-18', statuses });
+  assert.equal(plan.summary.valid, true, JSON.stringify(plan.summary.results.map((r) => r.errors)));
+  const [next] = plan.documents;
+  assert.equal(parseFrontmatter(next.content).frontmatter.status, 'retired');
+  assert.match(next.content, /## Status\n\nRetired\n\nSuperseded by \[ADR-0003: .*\]\(0003-adopt-mif-compliance\.md\)\n/);
+
+  writeAll(plan.documents);
+  const retired = read(dir, '0002');
+  assert.throws(() => supersede(read(dir, '0001'), retired, { today: '2026-10-18', statuses }), /is retired and cannot replace/);
+  const unreplaceable = { draft: { active: true }, accepted: { active: true } };
+  assert.throws(() => supersede(read(dir, '0001'), read(dir, '0003'), { today: '2026-10-18', statuses: unreplaceable }), /flagged replaced/);
+});
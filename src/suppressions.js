@@ -0,0 +1,110 @@
+/**
+ * Inline suppression comments for individual ADRs.
+ *
+ *   <!-- smadr-disable option-risk-assessment -->   from here on (whole file when at the top)
+ *   <!-- smadr-enable option-risk-assessment -->    end a disabled range
+ *   <!-- smadr-disable-next-line title-mismatch --> only the following line
+ *
+ * Rule lists are comma- or space-separated and may omit the `smadr/` prefix; no
+ * list means every rule. Text after ` -- ` is a free-form reason. Directives
+ * that suppress nothing are reported under `smadr/unused-suppression`.
+ */
+
+import { ruleId } from './rules.js';
+
+const DIRECTIVE = /<!--\s*smadr-(disable-next-line|disable|enable)\b(.*?)-->/g;
+
+/**
+ * Collect suppression directives from markdown content, skipping code fences.
+ * Returns [{ kind, rules, line }] where `rules` is null for "all rules".
+ */
+export function parseSuppressions(content) {
+  const directives = [];
+  let fence = null;
+
+  content.split('\n').forEach((text, index) => {
+    const marker = text.match(/^\s{0,3}(`{3,}|~{3,})/);
+    if (marker) {
+      if (!fence) fence = marker[1][0];
+      else if (marker[1][0] === fence) fence = null;
+      return;
+    }
+    if (fence) return;
+
+    for (const match of text.matchAll(DIRECTIVE)) {
+      const list = match[2].split(' -- ')[0].trim();
+      const rules = list ? list.split(/[\s,]+/).filter(Boolean).map(ruleId) : null;
+      directives.push({ kind: match[1], rules, line: index + 1 });
+    }
+  });
+
+  return directives;
+}
+
+function covers(directive, id) {
+  return directive.rules === null || directive.rules.includes(id);
+}
+
+/**
+ * The directive that suppresses a finding, or null when none applies.
+ *
+ * A finding without a line (e.g. a missing section) has no position in the
+ * file, so any disable directive for its rule suppresses it.
+ */
+function suppressorOf(directives, finding) {
+  const { ruleId: id, line } = finding;
+  if (!id) return null;
+
+  if (line == null) {
+    return directives.find((d) => d.kind === 'disable' && covers(d, id)) ?? null;
+  }
+
+  const nextLine = directives.find(
+    (d) => d.kind === 'disable-next-line' && d.line + 1 === line && covers(d, id)
+  );
+  if (nextLine) return nextLine;
+
+  let active = null;
+  for (const d of directives) {
+    if (d.line > line) break;
+    if (d.kind === 'disable-next-line' || !covers(d, id)) continue;
+    active = d.kind === 'disable' ? d : null;
+  }
+  return active;
+}
+
+/**
+ * Drop suppressed findings from a ValidationResult and report unused directives.
+ */
+export function applySuppressions(result, content) {
+  const directives = parseSuppressions(content);
+  if (directives.length === 0) return result;
+
+  // (directive, rule) pairs that suppressed something; `*` stands for "all rules"
+  const used = new Map(directives.map((d) => [d, new Set()]));
+  const keep = (finding) => {
+    const by = suppressorOf(directives, finding);
+    if (!by) return true;
+    used.get(by).add(by.rules === null ? '*' : finding.ruleId);
+    return false;
+  };
+
+  result.errors = result.errors.filter(keep);
+  result.warnings = result.warnings.filter(keep);
+  result.valid = result.errors.length === 0;
+
+  for (const d of directives) {
+    if (d.kind === 'enable') continue;
+    const hits = used.get(d);
+    const unused = d.rules === null ? (hits.size ? [] : ['all rules']) : d.rules.filter((id) => !hits.has(id));
+    for (const id of unused) {
+      result.report(
+        'smadr/unused-suppression',
+        `Unused smadr-${d.kind} directive for ${id}: nothing to suppress`,
+        d.line
+      );
+    }
+  }
+
+  return result;
+}
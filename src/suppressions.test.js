@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { validateContent } from './validate.js';
+import { parseSuppressions } from './suppressions.js';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+const exampleText = readFileSync(
+  join(root, 'examples', '0001-use-rust-implementation-language.md'),
+  'utf-8'
+);
+
+// The example with every **Risk Assessment** removed from its options
+const noRisk = exampleText.replace(/\*\*Risk Assessment\*\*/g, '**Risks**');
+
+const ruleIds = (result) => [...result.errors, ...result.warnings].map((f) => f.ruleId);
+
+test('parseSuppressions reads kinds, rule lists and reasons, ignoring code fences', () => {
+  const directives = parseSuppressions(
+    [
+      '<!-- smadr-disable option-risk-assessment, smadr/title-mismatch -- imported -->',
+      '```markdown',
+      '<!-- smadr-disable -->',
+      '```',
+      '<!-- smadr-disable-next-line -->',
+    ].join('\n')
+  );
+  assert.deepEqual(directives, [
+    { kind: 'disable', rules: ['smadr/option-risk-assessment', 'smadr/title-mismatch'], line: 1 },
+    { kind: 'disable-next-line', rules: null, line: 5 },
+  ]);
+});
+
+test('smadr-disable silences a rule for the rest of the file', () => {
+  assert.ok(ruleIds(validateContent(noRisk)).includes('smadr/option-risk-assessment'));
+
+  const text = noRisk.replace('## Considered Options', '<!-- smadr-disable option-risk-assessment -->\n\n## Considered Options');
+  assert.deepEqual(ruleIds(validateContent(text)), []);
+});
+
+test('smadr-enable ends a disabled range', () => {
+  const text = noRisk
+    .replace('## Considered Options', '<!-- smadr-disable option-risk-assessment -->\n## Considered Options')
+    .replace(/(### Option 2)/, '<!-- smadr-enable option-risk-assessment -->\n$1');
+  const remaining = validateContent(text).warnings.filter((w) => w.ruleId === 'smadr/option-risk-assessment');
+  assert.ok(remaining.length > 0);
+  assert.ok(remaining.every((w) => !/Option 1/.test(w.message)));
+});
+
+test('smadr-disable-next-line applies to the following line only', () => {
+  const text = noRisk.replace(/(### Option 1)/, '<!-- smadr-disable-next-line option-risk-assessment -->\n$1');
+  const messages = validateContent(text).warnings.map((w) => w.message);
+  assert.ok(!messages.some((m) => /Option 1/.test(m) && /Risk Assessment/.test(m)));
+  assert.ok(messages.some((m) => /Risk Assessment/.test(m)));
+});
+
+test('unused suppressions are reported at the directive line', () => {
+  const text = exampleText.replace('## Context', '<!-- smadr-disable duplicate-tags -->\n## Context');
+  const [unused] = validateContent(text).warnings;
+  assert.equal(unused.ruleId, 'smadr/unused-suppression');
+  assert.equal(text.split('\n')[unused.line - 1], '<!-- smadr-disable duplicate-tags -->');
+});
@@ -1,24 +1,45 @@
-#!/usr/bin/env node
-
 /**
  * Structured MADR Validator
  *
  * Validates Architectural Decision Records against the Structured MADR specification.
- * Can be run as a CLI tool or as part of a GitHub Action.
+ * This module is the library API: importing it has no side effects, and all
+ * configuration is passed per call. The GitHub Action entrypoint lives in
+ * action.js and is a thin wrapper around validateFile().
  */
 
-import { readFileSync, existsSync } from 'node:fs';
-import { join, resolve, dirname } from 'node:path';
+import { readFileSync } from 'node:fs';
+import { join, dirname, basename } from 'node:path';
 import { fileURLToPath } from 'node:url';
-import { glob } from 'glob';
 import Ajv from 'ajv';
 import addFormats from 'ajv-formats';
 import { parse as parseYaml } from 'yaml';
+import { resolveSeverities } from './rules.js';
+import { applySuppressions } from './suppressions.js';
+import { buildCorpus, fileNumber } from './corpus.js';
+import { buildDocument } from './document.js';
+import { checkHistory, defaultTransitions, previousRevision } from './history.js';
+import { DEFAULT_STATUSES, DEFAULT_AUDIT_STATUSES, resolveStatuses } from './statuses.js';
+import { fieldRange } from './frontmatter.js';
+import { ruleRegistry, pluginFindings, addCorpusFindings } from './plugins.js';
+import {
+  parseMarkdown,
+  nodeText,
+  visit,
+  headingNodes,
+  sectionChildren,
+  boldLabels,
+} from '../.github/bin/markdown.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
-// Default body sections — overridable via schema.body
-const REQUIRED_SECTIONS = [
+// Built-in frontmatter schema shipped with the package
+export const DEFAULT_SCHEMA_PATH = join(__dirname, '..', 'schemas', 'structured-madr.schema.json');
+
+// Published JSON Schema for the parseAdr() document model
+export const DOCUMENT_SCHEMA_PATH = join(__dirname, '..', 'schemas', 'adr-document.schema.json');
+
+// Default body sections — overridable via schema.body or options.sections
+export const DEFAULT_SECTIONS = Object.freeze([
   'Status',
   'Context',
   'Decision Drivers',
@@ -30,48 +51,57 @@ const REQUIRED_SECTIONS = [
   'Links',
   'More Information',
   'Audit',
-];
+]);
 
-// Default subsections — overridable via schema.body
-const REQUIRED_SUBSECTIONS = {
+// Default subsections — overridable via schema.body or options.subsections
+export const DEFAULT_SUBSECTIONS = Object.freeze({
   Context: ['Background and Problem Statement'],
   'Decision Drivers': ['Primary Decision Drivers', 'Secondary Decision Drivers'],
   Consequences: ['Positive', 'Negative', 'Neutral'],
-};
-
-// Optional sections — populated from schema.body.optional_sections
-let OPTIONAL_SECTIONS = new Set();
+});
 
-// Title pattern — overridable from schema.body.title_pattern
-let TITLE_PATTERN = /^ADR-(\d+):\s*(.+)$/;
+// Default title pattern — overridable from schema.body.title_pattern
+export const DEFAULT_TITLE_PATTERN = /^ADR-(\d+):\s*(.+)$/;
 
-// Whether to require ### headings under Considered Options
-let REQUIRE_OPTION_HEADINGS = true;
+// Built-in status values for frontmatter — overridable via options.statuses
+export const VALID_STATUSES = Object.freeze(Object.keys(DEFAULT_STATUSES));
 
-// Valid status values for frontmatter
-const VALID_STATUSES = ['proposed', 'accepted', 'deprecated', 'superseded'];
+// Built-in audit statuses — overridable via options.auditStatuses
+export const VALID_AUDIT_STATUSES = DEFAULT_AUDIT_STATUSES;
 
-// Valid audit statuses
-const VALID_AUDIT_STATUSES = ['Pending', 'Compliant', 'Non-Compliant', 'Partial'];
+// Compiled schema validators, keyed by schema object and then by the configured
+// status enum, so repeated calls with the same schema don't recompile. Holds no
+// configuration of its own.
+const compiledSchemas = new WeakMap();
 
 /**
  * ValidationResult holds the outcome of validating a single ADR file.
+ *
+ * Checks call report() with a rule id; the configured severity for that rule
+ * decides whether the finding becomes an error, a warning, or is dropped.
  */
-class ValidationResult {
-  constructor(filePath) {
+export class ValidationResult {
+  constructor(filePath, severities = resolveSeverities()) {
     this.filePath = filePath;
+    this.severities = severities;
     this.errors = [];
     this.warnings = [];
     this.valid = true;
   }
 
-  addError(message, line = null) {
-    this.errors.push({ message, line });
+  addError(message, line = null, ruleId = null, column = null) {
+    this.errors.push({ message, line, column, ruleId });
     this.valid = false;
   }
 
-  addWarning(message, line = null) {
-    this.warnings.push({ message, line });
+  addWarning(message, line = null, ruleId = null, column = null) {
+    this.warnings.push({ message, line, column, ruleId });
+  }
+
+  report(ruleId, message, line = null, column = null) {
+    const severity = this.severities[ruleId] ?? 'error';
+    if (severity === 'error') this.addError(message, line, ruleId, column);
+    else if (severity === 'warn') this.addWarning(message, line, ruleId, column);
   }
 }
 
@@ -79,7 +109,7 @@ class ValidationResult {
  * Parse YAML frontmatter from markdown content.
  * Returns { frontmatter, body, frontmatterEndLine } or null if no frontmatter.
  */
-function parseFrontmatter(content) {
+export function parseFrontmatter(content) {
   const lines = content.split('\n');
 
   if (lines[0] !== '---') {
@@ -118,35 +148,40 @@ function parseFrontmatter(content) {
 }
 
 /**
- * Extract headings from markdown body.
- * Returns array of { level, text, line }
+ * Parse a markdown body as CommonMark + GFM.
+ *
+ * Returns { tree, headings } where headings are the top-level headings as
+ * { level, text, line, column, endLine, node }, with lines counted from
+ * `startLine` (the body's first line in the file). `text` is the plain text,
+ * without inline markup or closing #s.
  */
-function extractHeadings(body, startLine = 1) {
-  const lines = body.split('\n');
-  const headings = [];
-  let inCodeFence = false;
-
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    if (line.startsWith('```')) { inCodeFence = !inCodeFence; continue; }
-    if (inCodeFence) continue;
-    const match = line.match(/^(#{1,6})\s+(.+)$/);
-    if (match) {
-      headings.push({
-        level: match[1].length,
-        text: match[2].trim(),
-        line: startLine + i,
-      });
-    }
-  }
+function parseBody(body, startLine = 1) {
+  const tree = parseMarkdown(body);
+  const offset = startLine - 1;
+  const headings = headingNodes(tree).map((node) => ({
+    level: node.depth,
+    text: nodeText(node),
+    line: node.position.start.line + offset,
+    column: node.position.start.column,
+    endLine: node.position.end.line + offset,
+    node,
+  }));
+  return { tree, headings, offset };
+}
 
-  return headings;
+/**
+ * Extract headings from markdown body (ATX and setext; not in code, HTML
+ * blocks, lists or quotes).
+ * Returns array of { level, text, line, column, endLine }
+ */
+export function extractHeadings(body, startLine = 1) {
+  return parseBody(body, startLine).headings.map(({ node, ...heading }) => heading);
 }
 
 /**
  * Find a heading by text (case-insensitive partial match).
  */
-function findHeading(headings, text, level = null) {
+export function findHeading(headings, text, level = null) {
   return headings.find(
     (h) =>
       h.text.toLowerCase().includes(text.toLowerCase()) &&
@@ -157,42 +192,66 @@ function findHeading(headings, text, level = null) {
 /**
  * Validate frontmatter against JSON Schema.
  */
-function validateFrontmatterSchema(frontmatter, schema, result) {
-  const ajv = new Ajv({ allErrors: true, strict: false });
-  addFormats(ajv);
-
-  const validate = ajv.compile(schema);
+function validateFrontmatterSchema(frontmatter, config, result) {
+  const { schema, statusEnum } = config;
+  if (!compiledSchemas.has(schema)) compiledSchemas.set(schema, new Map());
+  const variants = compiledSchemas.get(schema);
+  const key = statusEnum?.join(',') ?? '';
+  let validate = variants.get(key);
+  if (!validate) {
+    const ajv = new Ajv({ allErrors: true, strict: false });
+    addFormats(ajv);
+    validate = ajv.compile(statusEnum ? withStatusEnum(schema, statusEnum) : schema);
+    variants.set(key, validate);
+  }
   const valid = validate(frontmatter);
 
   if (!valid) {
     for (const error of validate.errors) {
       const path = error.instancePath || 'root';
-      result.addError(`Frontmatter schema error at ${path}: ${error.message}`);
+      result.report(
+        'smadr/frontmatter-schema',
+        `Frontmatter schema error at ${path}: ${error.message}`
+      );
     }
   }
 
   return valid;
 }
 
+/**
+ * Copy of a schema whose `status` property allows exactly the configured
+ * statuses.
+ */
+function withStatusEnum(schema, statuses) {
+  if (!schema.properties?.status) return schema;
+  const copy = structuredClone(schema);
+  copy.properties.status.enum = [...statuses];
+  return copy;
+}
+
 /**
  * Validate frontmatter fields beyond schema (semantic validation).
  */
-function validateFrontmatterSemantics(frontmatter, result) {
+function validateFrontmatterSemantics(frontmatter, config, result) {
   // Check date ordering
   if (frontmatter.created && frontmatter.updated) {
     const created = new Date(frontmatter.created);
     const updated = new Date(frontmatter.updated);
     if (updated < created) {
-      result.addError(
+      result.report(
+        'smadr/date-order',
         `'updated' date (${frontmatter.updated}) cannot be before 'created' date (${frontmatter.created})`
       );
     }
   }
 
   // Check status is valid
-  if (frontmatter.status && !VALID_STATUSES.includes(frontmatter.status)) {
-    result.addError(
-      `Invalid status '${frontmatter.status}'. Must be one of: ${VALID_STATUSES.join(', ')}`
+  const { names } = config.statuses;
+  if (frontmatter.status && !names.includes(frontmatter.status)) {
+    result.report(
+      'smadr/status-value',
+      `Invalid status '${frontmatter.status}'. Must be one of: ${names.join(', ')}`
     );
   }
 
@@ -201,7 +260,8 @@ function validateFrontmatterSemantics(frontmatter, result) {
     const tagPattern = /^[a-z0-9][a-z0-9-]*[a-z0-9]$|^[a-z0-9]$/;
     for (const tag of frontmatter.tags) {
       if (!tagPattern.test(tag)) {
-        result.addError(
+        result.report(
+          'smadr/tag-format',
           `Invalid tag '${tag}'. Tags must be lowercase alphanumeric with hyphens, no leading/trailing hyphens.`
         );
       }
@@ -210,7 +270,7 @@ function validateFrontmatterSemantics(frontmatter, result) {
     // Check for duplicate tags
     const uniqueTags = new Set(frontmatter.tags);
     if (uniqueTags.size !== frontmatter.tags.length) {
-      result.addWarning('Duplicate tags found in frontmatter');
+      result.report('smadr/duplicate-tags', 'Duplicate tags found in frontmatter');
     }
   }
 }
@@ -218,26 +278,33 @@ function validateFrontmatterSemantics(frontmatter, result) {
 /**
  * Validate the H1 title format matches specification.
  */
-function validateTitle(headings, frontmatter, result) {
+function validateTitle(headings, frontmatter, config, result) {
   const h1Headings = headings.filter((h) => h.level === 1);
 
   if (h1Headings.length === 0) {
-    result.addError('Missing H1 title. Expected format: # ADR-{NUMBER}: {TITLE}');
+    result.report(
+      'smadr/missing-title',
+      'Missing H1 title. Expected format: # ADR-{NUMBER}: {TITLE}'
+    );
     return;
   }
 
   if (h1Headings.length > 1) {
-    result.addWarning(
+    result.report(
+      'smadr/multiple-titles',
       `Multiple H1 headings found. ADR should have exactly one H1 title.`,
-      h1Headings[1].line
+      h1Headings[1].line,
+      h1Headings[1].column
     );
   }
 
-  const titleMatch = h1Headings[0].text.match(TITLE_PATTERN);
+  const titleMatch = h1Headings[0].text.match(config.titlePattern);
   if (!titleMatch) {
-    result.addError(
-      `H1 title does not match required pattern: ${TITLE_PATTERN}`,
-      h1Headings[0].line
+    result.report(
+      'smadr/title-pattern',
+      `H1 title does not match required pattern: ${config.titlePattern}`,
+      h1Headings[0].line,
+      h1Headings[0].column
     );
     return;
   }
@@ -249,9 +316,11 @@ function validateTitle(headings, frontmatter, result) {
       bodyTitle.toLowerCase() !== frontmatter.title.toLowerCase() &&
       !bodyTitle.toLowerCase().includes(frontmatter.title.toLowerCase())
     ) {
-      result.addWarning(
+      result.report(
+        'smadr/title-mismatch',
         `H1 title "${bodyTitle}" differs from frontmatter title "${frontmatter.title}"`,
-        h1Headings[0].line
+        h1Headings[0].line,
+        h1Headings[0].column
       );
     }
   }
@@ -261,7 +330,7 @@ function validateTitle(headings, frontmatter, result) {
  * Match a section heading, handling cases where section names are prefixes of others
  * (e.g., "Decision" vs "Decision Drivers" vs "Decision Outcome").
  */
-function matchSection(headingText, sectionName) {
+export function matchSection(headingText, sectionName) {
   const headingLower = headingText.toLowerCase();
   const sectionLower = sectionName.toLowerCase();
 
@@ -277,24 +346,26 @@ function matchSection(headingText, sectionName) {
 /**
  * Validate required sections are present and in order.
  */
-function validateSections(headings, result) {
+function validateSections(headings, config, result) {
   const h2Headings = headings.filter((h) => h.level === 2);
   const h2Texts = h2Headings.map((h) => h.text);
 
   // Check each required section exists
   let lastFoundIndex = -1;
-  for (const section of REQUIRED_SECTIONS) {
+  for (const section of config.sections) {
     const foundIndex = h2Texts.findIndex((t) => matchSection(t, section));
 
     if (foundIndex === -1) {
-      if (OPTIONAL_SECTIONS.has(section.toLowerCase())) continue;
-      result.addError(`Missing required section: ## ${section}`);
+      if (config.optional.has(section.toLowerCase())) continue;
+      result.report('smadr/missing-section', `Missing required section: ## ${section}`);
     } else {
       // Check order
       if (foundIndex < lastFoundIndex) {
-        result.addWarning(
+        result.report(
+          'smadr/section-order',
           `Section "## ${section}" appears out of order`,
-          h2Headings[foundIndex].line
+          h2Headings[foundIndex].line,
+          h2Headings[foundIndex].column
         );
       }
       lastFoundIndex = Math.max(lastFoundIndex, foundIndex);
@@ -305,8 +376,8 @@ function validateSections(headings, result) {
 /**
  * Validate required subsections within main sections.
  */
-function validateSubsections(headings, result) {
-  for (const [parentSection, requiredSubs] of Object.entries(REQUIRED_SUBSECTIONS)) {
+function validateSubsections(headings, config, result) {
+  for (const [parentSection, requiredSubs] of Object.entries(config.subsections)) {
     // Find the parent section
     const parentIndex = headings.findIndex(
       (h) => h.level === 2 && h.text.toLowerCase().startsWith(parentSection.toLowerCase())
@@ -330,37 +401,167 @@ function validateSubsections(headings, result) {
     for (const sub of requiredSubs) {
       const found = subsections.some((s) => s.includes(sub.toLowerCase()));
       if (!found) {
-        result.addError(
+        result.report(
+          'smadr/missing-subsection',
           `Missing required subsection "### ${sub}" under "## ${parentSection}"`,
-          headings[parentIndex].line
+          headings[parentIndex].line,
+          headings[parentIndex].column
         );
       }
     }
   }
 }
 
+/**
+ * Status a paragraph opens with ("Accepted", "On hold: ..."), or null. Matched
+ * case-insensitively against the vocabulary, spaces standing in for hyphens;
+ * the longest name wins.
+ */
+export function statusWord(text, names) {
+  const words = text.toLowerCase().replace(/\s+/g, ' ');
+  return (
+    [...names]
+      .sort((a, b) => b.length - a.length)
+      .find((name) => new RegExp(`^${name.replace(/-/g, '[- ]')}(?![\\w-])`).test(words)) ?? null
+  );
+}
+
+/**
+ * File names of the relative .md links in the nodes.
+ */
+function linkedFiles(nodes) {
+  const files = [];
+  for (const root of nodes) {
+    visit(root, (node) => {
+      if (node.type === 'link' && !/^[a-z]+:/i.test(node.url) && /\.md(#|$)/.test(node.url)) {
+        files.push(basename(node.url.split('#')[0]));
+      }
+    });
+  }
+  return files;
+}
+
+/**
+ * True when the nodes name the ADR in `fileName`: a link to the file or its
+ * "ADR-NNNN" number.
+ */
+function namesAdr(nodes, fileName) {
+  if (linkedFiles(nodes).includes(fileName)) return true;
+  const number = fileNumber(fileName);
+  return number !== null && nodes.some((n) => new RegExp(`\\bADR-0*${number}\\b`, 'i').test(nodeText(n)));
+}
+
+/**
+ * Check the body `## Status` section (SPECIFICATION.md §4.2) against the
+ * frontmatter: it opens with the `status`, and a superseded ADR names the
+ * successor from `x-superseded-by` there and under `## Related Decisions`.
+ */
+function validateStatusSection(tree, headings, frontmatter, offset, config, result) {
+  const statusHeading = headings.find((h) => h.level === 2 && matchSection(h.text, 'Status'));
+  if (!statusHeading) return;
+  const nodes = sectionChildren(tree, statusHeading.node);
+  const paragraphs = nodes.filter((n) => n.type === 'paragraph');
+  // Line and column of a node, or of the heading when there is none
+  const at = (node) =>
+    node ? [node.position.start.line + offset, node.position.start.column] : [statusHeading.line, statusHeading.column];
+
+  const { status } = frontmatter;
+  if (typeof status === 'string' && config.statuses.names.includes(status)) {
+    const [first] = paragraphs;
+    const stated = first ? statusWord(nodeText(first), config.statuses.names) : null;
+    if (stated !== status) {
+      result.report(
+        'smadr/status-body-mismatch',
+        stated
+          ? `## Status says '${stated}' but frontmatter status is '${status}'`
+          : `## Status should open with the status '${status}'`,
+        ...at(first)
+      );
+    }
+  }
+
+  const successor = frontmatter['x-superseded-by'];
+  for (const paragraph of paragraphs.filter((p) => /^superseded by\b/i.test(nodeText(p)))) {
+    const named = linkedFiles([paragraph]);
+    if (named.length && !named.includes(successor)) {
+      result.report(
+        'smadr/status-body-mismatch',
+        successor
+          ? `## Status names ${named.join(', ')} as successor but x-superseded-by is '${successor}'`
+          : `## Status names ${named.join(', ')} as successor but x-superseded-by is not set`,
+        ...at(paragraph)
+      );
+    }
+  }
+
+  if (typeof successor !== 'string' || !successor) return;
+  if (!namesAdr(nodes, successor)) {
+    result.report(
+      'smadr/successor-not-named',
+      `## Status should name the successor: "Superseded by" a link to ${successor}`,
+      statusHeading.line,
+      statusHeading.column
+    );
+  }
+  const related = headings.find((h) => h.level === 2 && matchSection(h.text, 'Related Decisions'));
+  if (related && !namesAdr(sectionChildren(tree, related.node), successor)) {
+    result.report(
+      'smadr/successor-not-named',
+      `## Related Decisions should list the successor ${successor}`,
+      related.line,
+      related.column
+    );
+  }
+}
+
+/**
+ * Subsections (headings one level down) of a section, as heading entries.
+ */
+function childHeadings(tree, headings, parent) {
+  const nodes = new Set(sectionChildren(tree, parent.node));
+  return headings.filter((h) => h.level === parent.level + 1 && nodes.has(h.node));
+}
+
+/**
+ * True when the nodes name `label`: as a bold label, a line starting with
+ * "Label:", or a heading.
+ */
+function hasLabel(nodes, label) {
+  const wanted = label.toLowerCase();
+  if (boldLabels(nodes).some((l) => l.label.toLowerCase() === wanted)) return true;
+  let found = false;
+  for (const root of nodes) {
+    visit(root, (node) => {
+      if (found || node.type === 'code' || node.type === 'html') return false;
+      if (node.type === 'heading') {
+        found = nodeText(node).replace(/:$/, '').trim().toLowerCase() === wanted;
+        return false;
+      }
+      if (node.type === 'paragraph') {
+        found = nodeText(node).toLowerCase().startsWith(`${wanted}:`);
+        return !found;
+      }
+    });
+    if (found) break;
+  }
+  return found;
+}
+
 /**
  * Validate the Audit section has at least one entry.
  */
-function validateAuditSection(body, headings, result) {
+function validateAuditSection(tree, headings, offset, config, result) {
   const auditHeading = findHeading(headings, 'Audit', 2);
   if (!auditHeading) return;
 
-  // Find H3 headings after Audit
-  const auditIndex = headings.indexOf(auditHeading);
-  const nextH2Index = headings.findIndex(
-    (h, i) => i > auditIndex && h.level === 2
-  );
-  const endIndex = nextH2Index === -1 ? headings.length : nextH2Index;
-
-  const auditEntries = headings
-    .slice(auditIndex + 1, endIndex)
-    .filter((h) => h.level === 3);
+  const auditEntries = childHeadings(tree, headings, auditHeading);
 
   if (auditEntries.length === 0) {
-    result.addError(
+    result.report(
+      'smadr/audit-entry-missing',
       'Audit section must contain at least one dated entry (### YYYY-MM-DD)',
-      auditHeading.line
+      auditHeading.line,
+      auditHeading.column
     );
     return;
   }
@@ -369,345 +570,371 @@ function validateAuditSection(body, headings, result) {
   const datePattern = /^\d{4}-\d{2}-\d{2}$/;
   for (const entry of auditEntries) {
     if (!datePattern.test(entry.text)) {
-      result.addWarning(
+      result.report(
+        'smadr/audit-entry-date',
         `Audit entry heading should be a date (YYYY-MM-DD), found: "${entry.text}"`,
-        entry.line
+        entry.line,
+        entry.column
       );
     }
   }
 
-  // Check for required audit fields in the body
-  const lines = body.split('\n');
-  let inAuditSection = false;
-  let hasStatus = false;
-  let hasFindings = false;
-  let hasSummary = false;
-  let hasActionRequired = false;
-
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    if (line.startsWith('## Audit')) {
-      inAuditSection = true;
-    } else if (line.startsWith('## ') && inAuditSection) {
-      break;
-    }
+  // Check for required audit fields anywhere in the section
+  const labels = boldLabels(sectionChildren(tree, auditHeading.node));
+  const has = (label) => labels.some((l) => l.label === label);
 
-    if (inAuditSection) {
-      if (line.includes('**Status:**') || line.startsWith('**Status:**')) {
-        hasStatus = true;
-        // Validate status value
-        const statusMatch = line.match(/\*\*Status:\*\*\s*(\w+)/);
-        if (statusMatch && !VALID_AUDIT_STATUSES.includes(statusMatch[1])) {
-          result.addWarning(
-            `Audit status "${statusMatch[1]}" should be one of: ${VALID_AUDIT_STATUSES.join(', ')}`
-          );
-        }
-      }
-      if (line.includes('**Findings:**')) hasFindings = true;
-      if (line.includes('**Summary:**')) hasSummary = true;
-      if (line.includes('**Action Required:**')) hasActionRequired = true;
+  for (const status of labels.filter((l) => l.label === 'Status')) {
+    const value = status.value.match(/^[\w-]+/)?.[0];
+    if (value && !config.statuses.audit.includes(value)) {
+      result.report(
+        'smadr/audit-status-value',
+        `Audit status "${value}" should be one of: ${config.statuses.audit.join(', ')}`,
+        status.node.position.start.line + offset,
+        status.node.position.start.column
+      );
     }
   }
 
-  if (!hasStatus) {
-    result.addWarning('Audit entry should include **Status:** field', auditHeading.line);
-  }
-  if (!hasFindings) {
-    result.addWarning('Audit entry should include **Findings:** section', auditHeading.line);
-  }
-  if (!hasSummary) {
-    result.addWarning('Audit entry should include **Summary:** field', auditHeading.line);
-  }
-  if (!hasActionRequired) {
-    result.addWarning(
-      'Audit entry should include **Action Required:** field',
-      auditHeading.line
-    );
+  const fields = [
+    ['Status', 'Audit entry should include **Status:** field'],
+    ['Findings', 'Audit entry should include **Findings:** section'],
+    ['Summary', 'Audit entry should include **Summary:** field'],
+    ['Action Required', 'Audit entry should include **Action Required:** field'],
+  ];
+  for (const [label, message] of fields) {
+    if (!has(label)) {
+      result.report('smadr/audit-missing-field', message, auditHeading.line, auditHeading.column);
+    }
   }
 }
 
 /**
  * Validate options in the Considered Options section.
  */
-function validateOptions(content, headings, result) {
+function validateOptions(tree, headings, result) {
   const optionsHeading = findHeading(headings, 'Considered Options', 2);
   if (!optionsHeading) return;
 
-  const optionsIndex = headings.indexOf(optionsHeading);
-  const nextH2Index = headings.findIndex(
-    (h, i) => i > optionsIndex && h.level === 2
-  );
-  const endIndex = nextH2Index === -1 ? headings.length : nextH2Index;
-
-  const optionHeadings = headings
-    .slice(optionsIndex + 1, endIndex)
-    .filter((h) => h.level === 3);
+  const optionHeadings = childHeadings(tree, headings, optionsHeading);
 
   if (optionHeadings.length === 0) {
-    result.addError(
+    result.report(
+      'smadr/option-missing',
       'Considered Options section must contain at least one option (### Option N: Name)',
-      optionsHeading.line
+      optionsHeading.line,
+      optionsHeading.column
     );
     return;
   }
 
-  // For each option, check for required subsections
-  const allLines = content.split('\n');
-  for (let i = 0; i < optionHeadings.length; i++) {
-    const option = optionHeadings[i];
-    const optionLineIndex = option.line - 1; // Convert to 0-indexed
-
-    // Find end of this option (next H3/H2 or next option or end of options section)
-    const nextOption = optionHeadings[i + 1];
-    const nextH2 = headings.find(
-      (h) => h.level === 2 && h.line > option.line
-    );
-
-    let endLineIndex = allLines.length;
-    if (nextOption) {
-      endLineIndex = nextOption.line - 1;
-    } else if (nextH2) {
-      endLineIndex = nextH2.line - 1;
-    }
-
-    const optionContent = allLines.slice(optionLineIndex, endLineIndex).join('\n');
-
-    // Check for required elements (using SHOULD level - warnings not errors)
-    // Match both bold format (**Advantages**:) and plain text (Advantages:)
-    const hasAdvantages = /\*\*Advantages\*\*|Advantages:/i.test(optionContent);
-    const hasDisadvantages = /\*\*Disadvantages\*\*|Disadvantages:/i.test(optionContent);
-    const hasRiskAssessment = /\*\*Risk Assessment\*\*|Risk Assessment:/i.test(optionContent);
-
-    if (!hasAdvantages) {
-      result.addWarning(
-        `Option "${option.text}" should include Advantages section`,
-        option.line
-      );
-    }
-    if (!hasDisadvantages) {
-      result.addWarning(
-        `Option "${option.text}" should include Disadvantages section`,
-        option.line
-      );
-    }
-    if (!hasRiskAssessment) {
-      result.addWarning(
-        `Option "${option.text}" should include Risk Assessment`,
-        option.line
-      );
+  // Each option runs to the next H3 or H2. Required elements are SHOULD level
+  // (warnings by default) and may be bold labels, "Label:" lines or headings
+  const elements = [
+    ['smadr/option-advantages', 'Advantages', 'Advantages section'],
+    ['smadr/option-disadvantages', 'Disadvantages', 'Disadvantages section'],
+    ['smadr/option-risk-assessment', 'Risk Assessment', 'Risk Assessment'],
+  ];
+  for (const option of optionHeadings) {
+    const nodes = sectionChildren(tree, option.node);
+    for (const [ruleId, label, name] of elements) {
+      if (!hasLabel(nodes, label)) {
+        result.report(ruleId, `Option "${option.text}" should include ${name}`, option.line, option.column);
+      }
     }
   }
 }
 
 /**
- * Validate a single ADR file.
+ * Resolve the per-call validation config.
+ *
+ * Layers, lowest to highest precedence: the built-in defaults, the `body` block
+ * of a custom schema, `body` from options (the .smadrrc block of the same
+ * shape), then explicit options. Optional sections are appended to
+ * the ordered section list so they are order-checked when present. `rules` maps
+ * rule ids to 'off' | 'warn' | 'error' and throws on unknown ids; `plugins`
+ * (loaded by loadPlugins() in plugins.js) add their own rules. `statuses`
+ * and `auditStatuses` declare the status vocabulary (see statuses.js);
+ * `transitions` maps each status to the statuses it may change to (see
+ * history.js).
  */
-function resolveBodyConfig(schema) {
-  const body = schema?.body;
-  if (!body) return {};
+export function resolveConfig(options = {}) {
+  const body = { ...options.schema?.body, ...options.body };
+  const sections = options.sections ?? body.sections ?? DEFAULT_SECTIONS;
+  const optionalSections = options.optionalSections ?? body.optional_sections ?? [];
+  const titlePattern = options.titlePattern ?? body.title_pattern;
+  const statuses = resolveStatuses(options.statuses, options.auditStatuses);
+  const plugins = options.plugins ?? [];
+
   return {
-    sections: [...(body.sections ?? []), ...(body.optional_sections ?? [])],
-    optional: new Set((body.optional_sections ?? []).map((s) => s.toLowerCase())),
-    subsections: body.subsections ?? null,
-    titlePattern: body.title_pattern ? new RegExp(body.title_pattern) : null,
-    requireOptionHeadings: body.require_option_headings ?? true,
+    schema: options.schema ?? null,
+    severities: resolveSeverities(options.rules, ruleRegistry(plugins)),
+    sections: [
+      ...sections,
+      ...optionalSections.filter((s) => !sections.includes(s)),
+    ],
+    optional: new Set(optionalSections.map((s) => s.toLowerCase())),
+    subsections: options.subsections ?? body.subsections ?? DEFAULT_SUBSECTIONS,
+    titlePattern: titlePattern
+      ? titlePattern instanceof RegExp
+        ? titlePattern
+        : new RegExp(titlePattern)
+      : DEFAULT_TITLE_PATTERN,
+    requireOptionHeadings:
+      options.requireOptionHeadings ?? body.require_option_headings ?? true,
+    statuses,
+    // Configured statuses replace the schema's status enum
+    statusEnum: options.statuses ? statuses.names : null,
+    transitions: options.transitions ?? defaultTransitions(statuses),
+    plugins,
   };
 }
 
-function validateFile(filePath, schema) {
-  const result = new ValidationResult(filePath);
+/**
+ * Load a JSON Schema file. Defaults to the built-in Structured MADR schema.
+ */
+export function loadSchema(schemaPath = DEFAULT_SCHEMA_PATH) {
+  return JSON.parse(readFileSync(schemaPath, 'utf-8'));
+}
 
-  // Read file
-  let content;
-  try {
-    content = readFileSync(filePath, 'utf-8');
-  } catch (error) {
-    result.addError(`Failed to read file: ${error.message}`);
-    return result;
+/**
+ * Parse an ADR into its document model (see document.js and
+ * schemas/adr-document.schema.json) without validating it.
+ *
+ * @param {string} content  full file text, frontmatter included
+ * @param {object} options  { filePath, titlePattern, schema, body } plus any other
+ *                          validateContent() option (ignored)
+ * @returns {object|null}   null when the frontmatter is missing or invalid
+ */
+export function parseAdr(content, options = {}) {
+  const parsed = parseFrontmatter(content);
+  if (!parsed || parsed.error) return null;
+  const { titlePattern } = resolveConfig({ titlePattern: options.titlePattern, schema: options.schema, body: options.body });
+  return buildDocument(
+    { ...parsed, ...parseBody(parsed.body, parsed.frontmatterEndLine + 1) },
+    { filePath: options.filePath ?? null, titlePattern }
+  );
+}
+
+/**
+ * Validate ADR markdown content.
+ *
+ * @param {string} content  full file text, frontmatter included
+ * @param {object} options  { filePath, schema, body, rules, sections, optionalSections,
+ *                            subsections, titlePattern, requireOptionHeadings,
+ *                            statuses, auditStatuses, transitions, plugins,
+ *                            corpus, previous } (corpus:
+ *                            buildCorpus() result for the set; previous: text
+ *                            of the file's previous revision)
+ * @returns {ValidationResult}
+ */
+export function validateContent(content, options = {}) {
+  const config = resolveConfig(options);
+  const result = new ValidationResult(options.filePath ?? null, config.severities);
+
+  runChecks(content, config, result);
+  const adr = config.plugins.length ? pluginInput(content, options.filePath ?? null, config) : null;
+  for (const finding of adr ? pluginFindings(config.plugins, adr) : []) {
+    result.report(finding.ruleId, finding.message, finding.line, finding.column);
+  }
+  for (const finding of options.corpus?.findings.get(options.filePath) ?? []) {
+    result.report(finding.ruleId, finding.message, finding.line, finding.column);
+  }
+  if (options.previous != null) {
+    for (const finding of historyFindings(options.previous, content, config)) {
+      result.report(finding.ruleId, finding.message, finding.line, finding.column);
+    }
   }
 
+  // Inline <!-- smadr-disable --> comments apply to every finding above
+  return applySuppressions(result, content);
+}
+
+/**
+ * Run every check against the content, recording findings on the result.
+ */
+function runChecks(content, config, result) {
   // Parse frontmatter
   const parsed = parseFrontmatter(content);
 
   if (!parsed) {
-    result.addError('Missing YAML frontmatter. File must start with ---');
-    return result;
+    result.report(
+      'smadr/frontmatter-missing',
+      'Missing YAML frontmatter. File must start with ---'
+    );
+    return;
   }
 
   if (parsed.error) {
-    result.addError(`Invalid YAML frontmatter: ${parsed.error}`);
-    return result;
+    result.report('smadr/frontmatter-yaml', `Invalid YAML frontmatter: ${parsed.error}`);
+    return;
   }
 
   const { frontmatter, body, frontmatterEndLine } = parsed;
 
+  // An empty block or a bare scalar leaves nothing for the other checks to read
+  if (typeof frontmatter !== 'object' || frontmatter === null || Array.isArray(frontmatter)) {
+    result.report('smadr/frontmatter-schema', 'Frontmatter must be a mapping of fields', 1);
+    return;
+  }
+
   // Validate frontmatter against schema
-  if (schema) {
-    validateFrontmatterSchema(frontmatter, schema, result);
+  if (config.schema) {
+    validateFrontmatterSchema(frontmatter, config, result);
   }
 
   // Validate frontmatter semantics
-  validateFrontmatterSemantics(frontmatter, result);
+  validateFrontmatterSemantics(frontmatter, config, result);
 
-  // Extract and validate body structure
-  const headings = extractHeadings(body, frontmatterEndLine);
+  // Parse and validate body structure (the body starts after the closing ---)
+  const { tree, headings, offset } = parseBody(body, frontmatterEndLine + 1);
 
-  validateTitle(headings, frontmatter, result);
-  validateSections(headings, result);
-  validateSubsections(headings, result);
-  validateAuditSection(body, headings, result);
-  if (REQUIRE_OPTION_HEADINGS) {
-    validateOptions(content, headings, result);
+  validateTitle(headings, frontmatter, config, result);
+  validateSections(headings, config, result);
+  validateSubsections(headings, config, result);
+  validateStatusSection(tree, headings, frontmatter, offset, config, result);
+  validateAuditSection(tree, headings, offset, config, result);
+  if (config.requireOptionHeadings) {
+    validateOptions(tree, headings, result);
   }
-
-  return result;
 }
 
 /**
- * Output GitHub Actions annotation.
+ * Lifecycle findings for the change from the previous revision to the content.
+ * Nothing is reported when either side has no usable frontmatter; the regular
+ * checks cover the current one.
  */
-function outputAnnotation(type, message, file, line = null) {
-  const lineParam = line ? `,line=${line}` : '';
-  console.log(`::${type} file=${file}${lineParam}::${message}`);
+function historyFindings(previous, content, config) {
+  const before = parseAdr(previous, config);
+  const after = parseAdr(content, config);
+  if (!before || !after) return [];
+  const { frontmatterEndLine } = parseFrontmatter(content);
+  const status = fieldRange(content.split('\n'), frontmatterEndLine - 1, 'status');
+  return checkHistory(before, after, {
+    transitions: config.transitions,
+    statuses: config.statuses.names,
+    decided: config.statuses.decided,
+    statusLine: status ? status.start + 1 : null,
+  });
 }
 
 /**
- * Main entry point.
+ * What plugin checks see of an ADR (see plugins.js), or null when the
+ * frontmatter is missing or invalid.
  */
-async function main() {
-  // Get configuration from environment (GitHub Actions inputs)
-  const inputPath = process.env.INPUT_PATH || 'docs/decisions';
-  const inputPattern = process.env.INPUT_PATTERN || '**/*.md';
-  const inputSchema = process.env.INPUT_SCHEMA || '';
-  const strict = process.env.INPUT_STRICT === 'true';
-  const failOnError = process.env.INPUT_FAIL_ON_ERROR !== 'false';
-  const actionPath = process.env.ACTION_PATH || dirname(__dirname);
-
-  // Resolve paths
-  const searchPath = resolve(process.cwd(), inputPath);
-  const fullPattern = join(searchPath, inputPattern);
-
-  // Load schema
-  let schema = null;
-  const schemaPath = inputSchema
-    ? resolve(process.cwd(), inputSchema)
-    : join(actionPath, 'schemas', 'structured-madr.schema.json');
-
-  if (existsSync(schemaPath)) {
-    try {
-      schema = JSON.parse(readFileSync(schemaPath, 'utf-8'));
-    } catch (error) {
-      console.log(`::warning::Failed to load schema: ${error.message}`);
-    }
-  }
-
-  // Apply body config from schema if present
-  if (schema?.body) {
-    const b = schema.body;
-    if (b.sections || b.optional_sections) {
-      REQUIRED_SECTIONS.length = 0;
-      REQUIRED_SECTIONS.push(...(b.sections ?? []));
-    }
-    if (b.title_pattern) {
-      TITLE_PATTERN = new RegExp(b.title_pattern);
-    }
-    if (b.optional_sections) {
-      OPTIONAL_SECTIONS = new Set(b.optional_sections.map((s) => s.toLowerCase()));
-    }
-    if (b.subsections) {
-      Object.keys(REQUIRED_SUBSECTIONS).forEach((k) => delete REQUIRED_SUBSECTIONS[k]);
-      Object.assign(REQUIRED_SUBSECTIONS, b.subsections);
-    }
-    if (b.require_option_headings === false) {
-      REQUIRE_OPTION_HEADINGS = false;
-    }
-  }
-
-  // Find ADR files
-  const files = await glob(fullPattern, { nodir: true });
+function pluginInput(content, filePath, config) {
+  const parsed = parseFrontmatter(content);
+  if (!parsed || parsed.error) return null;
+  const { tree, headings } = parseBody(parsed.body, parsed.frontmatterEndLine + 1);
+  return {
+    filePath,
+    content,
+    frontmatter: parsed.frontmatter ?? {},
+    body: parsed.body,
+    headings: headings.map(({ node, ...heading }) => heading),
+    document: buildDocument({ ...parsed, tree, headings }, { filePath, titlePattern: config.titlePattern }),
+  };
+}
 
-  if (files.length === 0) {
-    console.log(`::warning::No ADR files found matching pattern: ${fullPattern}`);
-    console.log('valid=true');
-    console.log('total=0');
-    console.log('passed=0');
-    console.log('failed=0');
-    console.log('warnings=0');
+function readFailure(filePath, error, options) {
+  const result = new ValidationResult(filePath, resolveSeverities(options.rules, ruleRegistry(options.plugins)));
+  result.report('smadr/file-read', `Failed to read file: ${error.message}`);
+  return result;
+}
 
-    // Set outputs for GitHub Actions
-    if (process.env.GITHUB_OUTPUT) {
-      const outputs = ['valid=true', 'total=0', 'passed=0', 'failed=0', 'warnings=0'];
-      const fs = await import('node:fs');
-      fs.appendFileSync(process.env.GITHUB_OUTPUT, outputs.join('\n') + '\n');
-    }
-    return;
+/**
+ * Validate a single ADR file. Accepts the same options as validateContent().
+ */
+export function validateFile(filePath, options = {}) {
+  let content;
+  try {
+    content = readFileSync(filePath, 'utf-8');
+  } catch (error) {
+    return readFailure(filePath, error, options);
   }
 
-  console.log(`\nValidating ${files.length} ADR file(s)...\n`);
-
-  let totalErrors = 0;
-  let totalWarnings = 0;
-  let passedCount = 0;
-  let failedCount = 0;
-
-  for (const file of files) {
-    const result = validateFile(file, schema);
-
-    // Output results
-    const relativePath = file.replace(process.cwd() + '/', '');
-
-    if (result.valid && result.warnings.length === 0) {
-      console.log(`\u2713 ${relativePath}`);
-      passedCount++;
-    } else if (result.valid) {
-      console.log(`\u26A0 ${relativePath} (${result.warnings.length} warning(s))`);
-      passedCount++;
-    } else {
-      console.log(`\u2717 ${relativePath} (${result.errors.length} error(s))`);
-      failedCount++;
-    }
+  return validateContent(content, { ...options, filePath });
+}
 
-    // Output errors
-    for (const error of result.errors) {
-      outputAnnotation('error', error.message, relativePath, error.line);
-      totalErrors++;
+/**
+ * Validate a list of ADR files and summarise the outcome.
+ *
+ * Besides the per-file checks, the files are validated as a set (numbering,
+ * links, supersession; see corpus.js, and plugin corpus checks) unless
+ * `corpus: false` is passed. With
+ * `history: true`, each file is also checked against its previous revision in
+ * git (see history.js).
+ * `configFor(filePath)`, when given, returns options that override these for
+ * one file (per-directory config); the set-level checks use the shared ones.
+ * `strict` only affects the summary's `valid` flag (warnings then fail the run);
+ * the per-file results are identical either way.
+ */
+export function validateFiles(files, options = {}) {
+  const documents = files.map((filePath) => {
+    try {
+      return { filePath, content: readFileSync(filePath, 'utf-8') };
+    } catch (error) {
+      return { filePath, error };
     }
+  });
+  return validateDocuments(documents, options);
+}
 
-    // Output warnings
-    for (const warning of result.warnings) {
-      outputAnnotation('warning', warning.message, relativePath, warning.line);
-      totalWarnings++;
+/**
+ * validateFiles() for content already in memory, e.g. edits not yet written.
+ *
+ * @param {Array<object>} documents  { filePath, content } or { filePath, error }
+ */
+export function validateDocuments(documents, options = {}) {
+  let corpus = null;
+  if (options.corpus !== false) {
+    const config = resolveConfig(options);
+    const parsed = documents
+      .filter((d) => !d.error)
+      .map((d) => {
+        const fm = parseFrontmatter(d.content);
+        return {
+          ...d,
+          frontmatter: fm && !fm.error ? fm.frontmatter : null,
+          frontmatterEndLine: fm?.frontmatterEndLine ?? 0,
+          headings: fm && !fm.error ? extractHeadings(fm.body, fm.frontmatterEndLine + 1) : [],
+        };
+      });
+    corpus = buildCorpus(parsed, { titlePattern: config.titlePattern, statuses: config.statuses });
+    if (config.plugins.length) {
+      const adrs = parsed.map((d) => pluginInput(d.content, d.filePath, config)).filter(Boolean);
+      addCorpusFindings(config.plugins, adrs, corpus.findings);
     }
   }
 
-  // Summary
-  console.log('\n---');
-  console.log(`Total: ${files.length} | Passed: ${passedCount} | Failed: ${failedCount}`);
-  console.log(`Errors: ${totalErrors} | Warnings: ${totalWarnings}`);
-
-  // Determine overall validity
-  const valid = failedCount === 0 && (!strict || totalWarnings === 0);
+  const results = documents.map((d) => {
+    const own = { ...options, ...options.configFor?.(d.filePath) };
+    return d.error
+      ? readFailure(d.filePath, d.error, own)
+      : validateContent(d.content, {
+          ...own,
+          filePath: d.filePath,
+          corpus,
+          previous: options.history ? previousRevision(d.filePath, d.content) : options.previous,
+        });
+  });
+  return summarize(results, options);
+}
 
-  // Set outputs for GitHub Actions
-  if (process.env.GITHUB_OUTPUT) {
-    const fs = await import('node:fs');
-    const outputs = [
-      `valid=${valid}`,
-      `total=${files.length}`,
-      `passed=${passedCount}`,
-      `failed=${failedCount}`,
-      `warnings=${totalWarnings}`,
-    ];
-    fs.appendFileSync(process.env.GITHUB_OUTPUT, outputs.join('\n') + '\n');
-  }
+/**
+ * Totals for a list of ValidationResults, in the shape the reporters take.
+ */
+export function summarize(results, { strict = false } = {}) {
+  const failed = results.filter((r) => !r.valid).length;
+  const errors = results.reduce((n, r) => n + r.errors.length, 0);
+  const warnings = results.reduce((n, r) => n + r.warnings.length, 0);
 
-  // Exit with appropriate code
-  if (!valid && failOnError) {
-    process.exit(1);
-  }
+  return {
+    results,
+    total: results.length,
+    passed: results.length - failed,
+    failed,
+    errors,
+    warnings,
+    valid: failed === 0 && (!strict || warnings === 0),
+  };
 }
-
-main().catch((error) => {
-  console.error(`::error::${error.message}`);
-  process.exit(1);
-});
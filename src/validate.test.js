@@ -0,0 +1,172 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import {
+  validateContent,
+  validateFile,
+  extractHeadings,
+  loadSchema,
+  resolveConfig,
+  DEFAULT_SECTIONS,
+} from './validate.js';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+const example = join(root, 'examples', '0001-use-rust-implementation-language.md');
+const exampleText = readFileSync(example, 'utf-8');
+
+test('validateFile accepts the bundled example with the built-in schema', () => {
+  const result = validateFile(example, { schema: loadSchema() });
+  assert.equal(result.filePath, example);
+  assert.equal(result.valid, true, JSON.stringify(result.errors));
+});
+
+test('validateContent reports missing frontmatter', () => {
+  const result = validateContent('# ADR-0001: No frontmatter\n');
+  assert.equal(result.valid, false);
+  assert.match(result.errors[0].message, /Missing YAML frontmatter/);
+});
+
+test('validateContent reports frontmatter that is not a mapping', () => {
+  for (const content of ['---\n---\n# 1. X', '---\njust text\n---\n# 1. X']) {
+    const result = validateContent(content);
+    assert.equal(result.valid, false);
+    assert.deepEqual(
+      result.errors.map((e) => [e.ruleId, e.message]),
+      [['smadr/frontmatter-schema', 'Frontmatter must be a mapping of fields']]
+    );
+  }
+});
+
+test('per-call options do not leak into later calls', () => {
+  const relaxed = validateContent(exampleText, {
+    sections: ['Status'],
+    titlePattern: '^Decision: (.+)$',
+  });
+  assert.ok(relaxed.errors.some((e) => /does not match required pattern/.test(e.message)));
+
+  const defaults = validateContent(exampleText);
+  assert.equal(defaults.valid, true, JSON.stringify(defaults.errors));
+});
+
+test('schema.body configures sections, optional sections and option headings', () => {
+  const config = resolveConfig({
+    schema: {
+      body: {
+        sections: ['Status', 'Context'],
+        optional_sections: ['Links'],
+        require_option_headings: false,
+      },
+    },
+  });
+  assert.deepEqual(config.sections, ['Status', 'Context', 'Links']);
+  assert.ok(config.optional.has('links'));
+  assert.equal(config.requireOptionHeadings, false);
+  assert.deepEqual(resolveConfig().sections, [...DEFAULT_SECTIONS]);
+});
+
+test('findings carry rule ids and honour per-rule severities', () => {
+  const withoutLinks = exampleText.replace(/^## Links$/m, '## References');
+
+  const defaults = validateContent(withoutLinks);
+  const missing = defaults.errors.find((e) => e.ruleId === 'smadr/missing-section');
+  assert.match(missing.message, /## Links/);
+
+  const relaxed = validateContent(withoutLinks, { rules: { 'missing-section': 'warn' } });
+  assert.equal(relaxed.valid, true);
+  assert.ok(relaxed.warnings.some((w) => w.ruleId === 'smadr/missing-section'));
+
+  const silenced = validateContent(withoutLinks, { rules: { 'smadr/missing-section': 'off' } });
+  assert.equal(silenced.errors.length + silenced.warnings.length, 0);
+});
+
+test('extractHeadings follows CommonMark: fences, setext, closing #s and HTML blocks', () => {
+  const body = [
+    '# ADR-0001: Title #',
+    '',
+    '~~~',
+    '## Not a heading',
+    '~~~',
+    '',
+    '  ```',
+    '  ## Indented fence',
+    '  ```',
+    '',
+    '<div>',
+    '## Inside HTML',
+    '</div>',
+    '',
+    'Context',
+    '-------',
+    '',
+    '### **Bold** `code` ###',
+  ].join('\n');
+
+  assert.deepEqual(
+    extractHeadings(body, 5).map((h) => [h.level, h.text, h.line, h.column]),
+    [
+      [1, 'ADR-0001: Title', 5, 1],
+      [2, 'Context', 19, 1],
+      [3, 'Bold code', 22, 1],
+    ]
+  );
+});
+
+test('body findings report line and column, and ignore fenced code', () => {
+  const audit = exampleText.slice(exampleText.indexOf('\n## Audit'));
+  const fenced = exampleText.replace(
+    audit,
+    audit
+      .replace(/\*\*Findings:\*\*/, '```\n**Findings:**\n```')
+      .replace(/\*\*Status:\*\* \w+/, '**Status:** Non-Compliant')
+  );
+  const result = validateContent(fenced);
+  assert.ok(!result.warnings.some((w) => w.ruleId === 'smadr/audit-status-value'));
+
+  const missing = result.warnings.find((w) => /\*\*Findings:\*\*/.test(w.message));
+  const lines = fenced.split('\n');
+  assert.equal(lines[missing.line - 1], '## Audit');
+  assert.equal(missing.column, 1);
+
+  const invalid = validateContent(fenced.replace('**Status:** Non-Compliant', 'Done: **Status:** Unknown'));
+  const status = invalid.warnings.find((w) => w.ruleId === 'smadr/audit-status-value');
+  assert.equal(status.column, 7);
+});
+
+test('the body Status section must agree with the frontmatter', () => {
+  const findings = (content, options) => {
+    const result = validateContent(content, options);
+    return [...result.errors, ...result.warnings]
+      .filter((f) => ['smadr/status-body-mismatch', 'smadr/successor-not-named'].includes(f.ruleId))
+      .map((f) => `${f.ruleId}@${f.line}:${f.column}: ${f.message}`);
+  };
+
+  assert.deepEqual(findings(exampleText.replace('status: accepted', 'status: proposed')), [
+    "smadr/status-body-mismatch@33:1: ## Status says 'accepted' but frontmatter status is 'proposed'",
+  ]);
+  assert.deepEqual(findings(exampleText.replace('\nAccepted\n', '\n')), [
+    "smadr/status-body-mismatch@31:1: ## Status should open with the status 'accepted'",
+  ]);
+
+  const statuses = { proposed: {}, accepted: {}, 'on-hold': {} };
+  const onHold = exampleText.replace('status: accepted', 'status: on-hold').replace('\nAccepted\n', '\nOn hold until Q3\n');
+  assert.deepEqual(findings(onHold, { statuses }), []);
+
+  const superseded = exampleText
+    .replace('status: accepted', 'status: superseded\nx-superseded-by: 0004-use-zig.md')
+    .replace('\nAccepted\n', '\nSuperseded\n');
+  assert.deepEqual(
+    findings(superseded).map((f) => f.split(':')[0]),
+    ['smadr/successor-not-named@32', 'smadr/successor-not-named@197']
+  );
+
+  const named = superseded
+    .replace('\nSuperseded\n', '\nSuperseded\n\nSuperseded by [ADR-0004: Zig](0004-use-zig.md)\n')
+    .replace('## Related Decisions\n', '## Related Decisions\n\n- ADR-0004 replaces this decision\n');
+  assert.deepEqual(findings(named), []);
+
+  assert.deepEqual(findings(named.replace('(0004-use-zig.md)', '(0005-use-go.md)')).map((f) => f.split(': ')[1]), [
+    "## Status names 0005-use-go.md as successor but x-superseded-by is '0004-use-zig.md'",
+  ]);
+});